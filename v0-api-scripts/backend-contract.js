@@ -0,0 +1,164 @@
+/**
+ * Backend Contract
+ * The single description of the backend generated components must fit: endpoints, interfaces, metrics,
+ * roles and import aliases. The system prompts (v0-system-prompts.js) are rendered from it and the
+ * post-download validator (backend-integration-config.js) checks against it, so the two can't drift apart.
+ *
+ * Pure data and helpers without dependencies, so the prompt library can load it from CommonJS and ESM alike
+ */
+
+/**
+ * Query Engine Studio's contract; a project replaces keys of it with the "backend" key of its config
+ */
+const DEFAULT_BACKEND_CONTRACT = {
+  // Name the prompts use for the backend
+  projectName: 'Query Engine Studio',
+
+  // What the application is and who uses it, for the domain context of the system prompt
+  domain: {
+    title: 'Call Center Analytics Query Engine Studio',
+    description: `You are building components for a post-call analytics system used by:
+- Speech analysts who analyze call quality and compliance
+- Query builders who create custom analytics reports
+- Administrators who manage users and system settings
+
+The system analyzes call center agent behaviors including:
+- Sentiment scoring (positive/negative on 0-100 scale)
+- Talk time analysis (non-talk %, cross-talk %, agent talk %)
+- Compliance tracking (mobile pitch, branded greeting, cost disclosure)
+- Customer satisfaction and call resolution metrics
+
+All components should reflect this professional call center analytics context.`
+  },
+
+  // API Routes that components will call: a path, or { method, path, description, input, output }.
+  // The first route with an input is the prompt's example call
+  requiredApiRoutes: [
+    { method: 'POST', path: '/api/analytics/query', description: 'executing analytics queries', input: 'QueryConfig', output: 'AnalyticsResult' },
+    { method: 'POST', path: '/api/analytics/save-query', description: 'saving queries' },
+    { method: 'GET', path: '/api/analytics/saved-queries', description: 'fetching saved queries' },
+    { method: 'GET', path: '/api/admin/users', description: 'user management (admin only)' },
+    '/api/admin/users/[id]'
+  ],
+
+  // Database schema requirements
+  requiredTables: [
+    'call_analytics',
+    'calls',
+    'agents',
+    'users',
+    'saved_queries'
+  ],
+
+  // Environment variables that must be present
+  requiredEnvVars: [
+    'NEXT_PUBLIC_SUPABASE_URL',
+    'NEXT_PUBLIC_SUPABASE_ANON_KEY',
+    'NEXT_PUBLIC_DEV_SUPABASE_REDIRECT_URL'
+  ],
+
+  // TypeScript interfaces that components expect; a "?" after the type marks an optional field
+  requiredInterfaces: {
+    QueryConfig: {
+      metrics: 'string[]',
+      filters: 'QueryFilter[]',
+      groupBy: 'string[]',
+      dateRange: '{ start: string; end: string }'
+    },
+    QueryFilter: {
+      id: 'string',
+      field: 'string',
+      operator: 'string',
+      value: 'string'
+    },
+    AnalyticsResult: {
+      success: 'boolean',
+      data: 'any[]',
+      totalRecords: 'number',
+      error: 'string?'
+    }
+  },
+
+  // Metrics a query can select: a name, or { name, description }
+  metrics: [
+    { name: 'sentiment_score', description: 'number 0-100' },
+    { name: 'non_talk_percentage', description: 'percentage 0-100' },
+    { name: 'cross_talk_percentage', description: 'percentage 0-100' },
+    { name: 'agent_talk_percentage', description: 'percentage 0-100' },
+    { name: 'mobile_pitch_expressed', description: 'boolean' },
+    { name: 'branded_greeting_used', description: 'boolean' },
+    { name: 'cost_disclosure_compliant', description: 'boolean' },
+    { name: 'customer_satisfaction_score', description: 'number 1-5' }
+  ],
+
+  // User roles and the permissions RoleGuard checks
+  roles: ['admin', 'analyst', 'query_builder'],
+  permissions: ['canViewAnalytics', 'canCreateQueries', 'canSaveQueries', 'canShareQueries', 'canExportData', 'canManageUsers'],
+
+  // Component import paths that should be maintained: an alias, or { path, use }
+  standardImportPaths: [
+    { path: '@/components/ui/', use: 'all UI components (Button, Card, Input, etc.)' },
+    { path: '@/lib/supabase/client', use: 'client-side Supabase operations' },
+    { path: '@/lib/supabase/server', use: 'server-side Supabase operations' },
+    { path: '@/lib/api/client', use: 'standardized API calls' },
+    { path: '@/components/', use: 'other components' }
+  ],
+
+  // Database the components read through the API; rowLevelSecurity asks components to respect its row policies
+  database: {
+    engine: 'PostgreSQL',
+    rowLevelSecurity: true
+  },
+
+  // Auth provider and its client patterns, for the authentication section of the prompts
+  authProvider: 'Supabase',
+  supabasePatterns: {
+    clientImport: 'import { createClient } from "@/lib/supabase/client"',
+    clientSetup: 'const supabase = createClient()',
+    serverImport: 'import { createClient } from "@/lib/supabase/server"',
+    authCheck: 'const { data: { user } } = await supabase.auth.getUser()',
+    profileQuery: 'const { data: profile } = await supabase.from(\'users\').select(\'*\').eq(\'id\', user.id).single()'
+  },
+
+  // Files the hook creates when they are missing
+  scaffold: {
+    middleware: true,
+    apiHelpers: true,
+    envTemplate: true
+  }
+};
+
+/**
+ * Read a contract route in either form
+ * @param {string|Object} route - A path, or { method, path, description, input, output }
+ * @returns {{method: ?string, path: string, description: ?string, input: ?string, output: ?string}} Route
+ */
+function normalizeRoute(route) {
+  const { method = null, path, description = null, input = null, output = null } = typeof route === 'string' ? { path: route } : route;
+  return { method, path, description, input, output };
+}
+
+/**
+ * Read a contract import alias in either form
+ * @param {string|Object} importPath - An alias, or { path, use }
+ * @returns {{path: string, use: ?string}} Import alias
+ */
+function normalizeImportPath(importPath) {
+  return typeof importPath === 'string' ? { path: importPath, use: null } : { use: null, ...importPath };
+}
+
+/**
+ * Read a contract metric in either form
+ * @param {string|Object} metric - A name, or { name, description }
+ * @returns {{name: string, description: ?string}} Metric
+ */
+function normalizeMetric(metric) {
+  return typeof metric === 'string' ? { name: metric, description: null } : { description: null, ...metric };
+}
+
+module.exports = {
+  DEFAULT_BACKEND_CONTRACT,
+  normalizeRoute,
+  normalizeImportPath,
+  normalizeMetric
+};
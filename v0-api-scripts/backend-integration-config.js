@@ -5,113 +5,110 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getLogger } = require('./logger');
+const { loadProjectConfig } = require('./project-config');
+const { DEFAULT_BACKEND_CONTRACT, normalizeRoute } = require('./backend-contract');
+const { getPromptVariables } = require('./v0-system-prompts');
+
+const logger = getLogger();
 
 /**
  * Backend Integration Configuration
- * This ensures your auto-downloaded components work with your existing backend
+ * This ensures your auto-downloaded components work with your existing backend.
+ * The same contract renders the system prompts (see backend-contract.js)
  */
-const BACKEND_INTEGRATION_CONFIG = {
-  // API Routes that components will call
-  requiredApiRoutes: [
-    '/api/analytics/query',
-    '/api/analytics/save-query', 
-    '/api/analytics/saved-queries',
-    '/api/admin/users',
-    '/api/admin/users/[id]'
-  ],
-  
-  // Database schema requirements
-  requiredTables: [
-    'call_analytics',
-    'calls', 
-    'agents',
-    'users',
-    'saved_queries'
-  ],
-  
-  // Environment variables that must be present
-  requiredEnvVars: [
-    'NEXT_PUBLIC_SUPABASE_URL',
-    'NEXT_PUBLIC_SUPABASE_ANON_KEY',
-    'NEXT_PUBLIC_DEV_SUPABASE_REDIRECT_URL'
-  ],
+const BACKEND_INTEGRATION_CONFIG = DEFAULT_BACKEND_CONTRACT;
+
+/**
+ * Resolve the backend contract for the current project
+ * The "backend" key of the project config replaces keys of BACKEND_INTEGRATION_CONFIG one by one
+ * (domain, database, supabasePatterns and scaffold are merged field by field); "backend": false turns the integration hook off
+ * @param {Object} [config] - Project config (default: the discovered .v0rc / v0.config.js)
+ * @returns {Object|null} Contract, or null when the project opted out
+ */
+function getBackendContract(config = loadProjectConfig().config) {
+  const overrides = config.backend;
+  if (overrides === false) return null;
+  if (!overrides) return BACKEND_INTEGRATION_CONFIG;
   
-  // TypeScript interfaces that components expect
-  requiredInterfaces: {
-    QueryConfig: {
-      metrics: 'string[]',
-      filters: 'QueryFilter[]',
-      groupBy: 'string[]',
-      dateRange: '{ start: string; end: string }'
-    },
-    QueryFilter: {
-      id: 'string',
-      field: 'string', 
-      operator: 'string',
-      value: 'string'
-    },
-    AnalyticsResult: {
-      success: 'boolean',
-      data: 'any[]',
-      totalRecords: 'number',
-      error: 'string?'
+  Object.keys(overrides).forEach(key => {
+    if (!(key in BACKEND_INTEGRATION_CONFIG)) {
+      throw new Error(`Unknown backend key "${key}" (expected ${Object.keys(BACKEND_INTEGRATION_CONFIG).join(', ')})`);
     }
-  },
-  
-  // Component import paths that should be maintained
-  standardImportPaths: [
-    '@/components/ui/',
-    '@/lib/supabase/',
-    '@/components/'
-  ],
+  });
   
-  // Supabase client patterns
-  supabasePatterns: {
-    clientImport: 'import { createClient } from "@/lib/supabase/client"',
-    serverImport: 'import { createClient } from "@/lib/supabase/server"',
-    authCheck: 'const { data: { user } } = await supabase.auth.getUser()'
-  }
-};
+  return {
+    ...BACKEND_INTEGRATION_CONFIG,
+    ...overrides,
+    domain: { ...BACKEND_INTEGRATION_CONFIG.domain, ...overrides.domain },
+    database: { ...BACKEND_INTEGRATION_CONFIG.database, ...overrides.database },
+    supabasePatterns: { ...BACKEND_INTEGRATION_CONFIG.supabasePatterns, ...overrides.supabasePatterns },
+    scaffold: { ...BACKEND_INTEGRATION_CONFIG.scaffold, ...overrides.scaffold }
+  };
+}
 
 /**
  * Post-download integration hook
  * This function runs after each v0 download to ensure backend compatibility
+ * @param {Array<string>} downloadedFiles - Paths written by the download
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Integration options
+ * @param {RunJournal} [options.journal] - Journal that snapshots every file this hook modifies or creates
+ * @param {Object|null} [options.contract] - Backend contract (default: getBackendContract()); null skips the hook
  */
-async function ensureBackendIntegration(downloadedFiles, outputDir) {
-  console.log('\n🔧 BACKEND INTEGRATION: Ensuring compatibility...');
+async function ensureBackendIntegration(downloadedFiles, outputDir, options = {}) {
+  const { journal = null } = options;
+  
+  let contract;
+  try {
+    contract = options.contract !== undefined ? options.contract : getBackendContract();
+  } catch (error) {
+    logger.error('❌ Backend integration warning:', error.message);
+    return;
+  }
+  if (!contract) {
+    logger.debug('⏭️  Backend integration disabled by the project config');
+    return;
+  }
+  
+  logger.info('\n🔧 BACKEND INTEGRATION: Ensuring compatibility...');
   
   try {
     // 1. Validate API route contracts
-    await validateApiContracts(downloadedFiles);
+    await validateApiContracts(downloadedFiles, contract);
     
     // 2. Check environment variables
-    await validateEnvironmentVariables();
+    await validateEnvironmentVariables(journal, contract);
     
     // 3. Ensure import paths are correct
-    await fixImportPaths(downloadedFiles, outputDir);
+    await fixImportPaths(downloadedFiles, outputDir, journal);
     
     // 4. Validate TypeScript interfaces
-    await validateTypeScriptInterfaces(downloadedFiles);
+    await validateTypeScriptInterfaces(downloadedFiles, contract);
     
     // 5. Create middleware integration
-    await ensureMiddlewareIntegration();
+    if (contract.scaffold.middleware) await ensureMiddlewareIntegration(journal);
     
     // 6. Generate API client helpers
-    await generateApiHelpers(outputDir);
+    if (contract.scaffold.apiHelpers) await generateApiHelpers(outputDir, journal, contract);
     
-    console.log('✅ Backend integration validation completed successfully!');
+    logger.info('✅ Backend integration validation completed successfully!');
     
   } catch (error) {
-    console.error('❌ Backend integration warning:', error.message);
-    console.log('💡 Components may need manual adjustments for full backend compatibility');
+    logger.error('❌ Backend integration warning:', error.message);
+    logger.info('💡 Components may need manual adjustments for full backend compatibility');
   }
 }
 
 /**
  * Validate that downloaded components use correct API contracts
+ * @param {Array<string>} downloadedFiles - Paths written by the download
+ * @param {Object} [contract=BACKEND_INTEGRATION_CONFIG] - Backend contract
+ * @returns {Promise<Array<{file: string, endpoint: string}>>} Calls to endpoints outside the contract
  */
-async function validateApiContracts(downloadedFiles) {
-  console.log('🔍 Validating API contracts...');
+async function validateApiContracts(downloadedFiles, contract = BACKEND_INTEGRATION_CONFIG) {
+  logger.info('🔍 Validating API contracts...');
+  const unknownEndpoints = [];
   
   for (const filePath of downloadedFiles) {
     if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
@@ -122,43 +119,54 @@ async function validateApiContracts(downloadedFiles) {
       if (apiCalls) {
         apiCalls.forEach(call => {
           const endpoint = call.match(/['"`]([^'"`]*)['"]/)[1];
-          if (!BACKEND_INTEGRATION_CONFIG.requiredApiRoutes.some(route => 
-            endpoint.includes(route.replace('[id]', '')))) {
-            console.log(`⚠️  Warning: ${filePath} uses non-standard API endpoint: ${endpoint}`);
+          if (!contract.requiredApiRoutes.some(route => 
+            endpoint.includes(normalizeRoute(route).path.replace('[id]', '')))) {
+            logger.info(`⚠️  Warning: ${filePath} uses non-standard API endpoint: ${endpoint}`);
+            unknownEndpoints.push({ file: filePath, endpoint });
           }
         });
       }
     }
   }
+  
+  return unknownEndpoints;
 }
 
 /**
  * Validate environment variables are present
+ * @param {RunJournal} [journal] - Journal that snapshots the template if one is created
+ * @param {Object} [contract=BACKEND_INTEGRATION_CONFIG] - Backend contract
+ * @returns {Promise<Array<string>>} Required variables missing from .env (all of them when there is no .env)
  */
-async function validateEnvironmentVariables() {
-  console.log('🔍 Validating environment variables...');
+async function validateEnvironmentVariables(journal, contract = BACKEND_INTEGRATION_CONFIG) {
+  logger.info('🔍 Validating environment variables...');
   
   const envPath = path.join(process.cwd(), '.env');
   if (!fs.existsSync(envPath)) {
-    console.log('⚠️  .env file not found, creating template...');
-    await createEnvTemplate();
-    return;
+    if (contract.scaffold?.envTemplate !== false) {
+      logger.info('⚠️  .env file not found, creating template...');
+      await createEnvTemplate(journal, contract);
+    } else {
+      logger.info(`⚠️  .env file not found (needs ${contract.requiredEnvVars.join(', ')})`);
+    }
+    return contract.requiredEnvVars;
   }
   
   const envContent = fs.readFileSync(envPath, 'utf8');
+  const missing = contract.requiredEnvVars.filter(envVar => !envContent.includes(envVar));
   
-  BACKEND_INTEGRATION_CONFIG.requiredEnvVars.forEach(envVar => {
-    if (!envContent.includes(envVar)) {
-      console.log(`⚠️  Missing environment variable: ${envVar}`);
-    }
+  missing.forEach(envVar => {
+    logger.info(`⚠️  Missing environment variable: ${envVar}`);
   });
+  
+  return missing;
 }
 
 /**
  * Fix import paths to match project structure
  */
-async function fixImportPaths(downloadedFiles, outputDir) {
-  console.log('🔧 Fixing import paths...');
+async function fixImportPaths(downloadedFiles, outputDir, journal) {
+  logger.info('🔧 Fixing import paths...');
   
   for (const filePath of downloadedFiles) {
     if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
@@ -181,8 +189,9 @@ async function fixImportPaths(downloadedFiles, outputDir) {
       });
       
       if (modified) {
+        if (journal) journal.track(filePath);
         fs.writeFileSync(filePath, content, 'utf8');
-        console.log(`✅ Fixed imports in: ${path.basename(filePath)}`);
+        logger.info(`✅ Fixed imports in: ${path.basename(filePath)}`);
       }
     }
   }
@@ -190,19 +199,23 @@ async function fixImportPaths(downloadedFiles, outputDir) {
 
 /**
  * Validate TypeScript interfaces match backend expectations
+ * @param {Array<string>} downloadedFiles - Paths written by the download
+ * @param {Object} [contract=BACKEND_INTEGRATION_CONFIG] - Backend contract
  */
-async function validateTypeScriptInterfaces(downloadedFiles) {
-  console.log('🔍 Validating TypeScript interfaces...');
+async function validateTypeScriptInterfaces(downloadedFiles, contract = BACKEND_INTEGRATION_CONFIG) {
+  logger.info('🔍 Validating TypeScript interfaces...');
   
   // This is a simplified check - in production you might use TypeScript compiler API
   for (const filePath of downloadedFiles) {
     if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
       const content = fs.readFileSync(filePath, 'utf8');
       
-      // Check for QueryConfig interface usage
-      if (content.includes('QueryConfig') && !content.includes('interface QueryConfig')) {
-        console.log(`💡 ${path.basename(filePath)} uses QueryConfig - ensure it matches backend expectations`);
-      }
+      // Check for usage of the contract's interfaces
+      Object.keys(contract.requiredInterfaces).forEach(name => {
+        if (new RegExp(`\\b${name}\\b`).test(content) && !content.includes(`interface ${name}`)) {
+          logger.info(`💡 ${path.basename(filePath)} uses ${name} - ensure it matches backend expectations`);
+        }
+      });
     }
   }
 }
@@ -210,28 +223,39 @@ async function validateTypeScriptInterfaces(downloadedFiles) {
 /**
  * Ensure middleware integration exists
  */
-async function ensureMiddlewareIntegration() {
-  console.log('🔧 Checking middleware integration...');
+async function ensureMiddlewareIntegration(journal) {
+  logger.info('🔧 Checking middleware integration...');
   
   const middlewarePath = path.join(process.cwd(), 'src', 'middleware.ts');
   if (!fs.existsSync(middlewarePath)) {
-    console.log('📝 Creating middleware.ts...');
-    await createMiddlewareFile();
+    logger.info('📝 Creating middleware.ts...');
+    await createMiddlewareFile(journal);
   }
 }
 
 /**
  * Generate API client helpers for consistent backend communication
+ * Query Engine Studio's endpoints get its hand-written client; other contracts get one helper per route
+ * @param {string} outputDir - Output directory
+ * @param {RunJournal} [journal] - Journal that snapshots lib/api/client.ts
+ * @param {Object} [contract=BACKEND_INTEGRATION_CONFIG] - Backend contract
  */
-async function generateApiHelpers(outputDir) {
-  console.log('📝 Generating API helpers...');
+async function generateApiHelpers(outputDir, journal, contract = BACKEND_INTEGRATION_CONFIG) {
+  const isDefaultApi = contract.requiredApiRoutes === BACKEND_INTEGRATION_CONFIG.requiredApiRoutes &&
+    contract.requiredInterfaces === BACKEND_INTEGRATION_CONFIG.requiredInterfaces;
+  if (!isDefaultApi && !(contract.requiredApiRoutes || []).length) {
+    logger.info('⏭️  Skipping API helpers: the backend contract has no requiredApiRoutes to call');
+    return;
+  }
+  
+  logger.info('📝 Generating API helpers...');
   
   const helpersDir = path.join(outputDir, 'lib', 'api');
   if (!fs.existsSync(helpersDir)) {
     fs.mkdirSync(helpersDir, { recursive: true });
   }
   
-  const apiHelperContent = `
+  const apiHelperContent = !isDefaultApi ? buildApiClient(contract) : `
 /**
  * Auto-generated API helpers for Query Engine Studio
  * Ensures consistent backend communication
@@ -371,15 +395,106 @@ export async function getCurrentUser() {
 }
 `;
 
+  if (journal) journal.track(path.join(helpersDir, 'client.ts'));
   fs.writeFileSync(path.join(helpersDir, 'client.ts'), apiHelperContent, 'utf8');
-  console.log('✅ Created API helpers at lib/api/client.ts');
+  logger.info('✅ Created API helpers at lib/api/client.ts');
+}
+
+/**
+ * Name of the helper for a route, e.g. GET /api/tickets/[id] -> getTicketsById
+ * @param {string} method - HTTP method
+ * @param {string} routePath - Route path
+ * @returns {string} camelCase function name
+ */
+function helperName(method, routePath) {
+  const words = routePath.split('/')
+    .filter(segment => segment && segment !== 'api')
+    .flatMap(segment => {
+      const param = segment.match(/^\[(?:\.\.\.)?(\w+)\]$/);
+      return param ? ['by', param[1]] : segment.split(/[^a-zA-Z0-9]+/);
+    })
+    .filter(Boolean);
+  
+  return [method.toLowerCase(), ...words]
+    .map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+/**
+ * Write lib/api/client.ts for a contract's own endpoints
+ * Routes without a method are GET; a route's input is sent as the JSON body (except on GET) and
+ * [param] segments become arguments. Input and output types not among requiredInterfaces are any.
+ * @param {Object} contract - Backend contract
+ * @returns {string} File contents
+ */
+function buildApiClient(contract) {
+  const interfaces = contract.requiredInterfaces || {};
+  const typeOf = name => (name && name in interfaces ? name : 'any');
+  const usedNames = new Set();
+  
+  const helpers = contract.requiredApiRoutes.map(normalizeRoute).map(route => {
+    const method = (route.method || 'GET').toUpperCase();
+    const params = [...route.path.matchAll(/\[(?:\.\.\.)?(\w+)\]/g)].map(match => match[1]);
+    const hasInput = Boolean(route.input) && method !== 'GET';
+    const url = route.path.replace(/\[(?:\.\.\.)?(\w+)\]/g, (match, param) => `\${encodeURIComponent(${param})}`);
+    
+    let name = helperName(method, route.path);
+    for (let suffix = 2; usedNames.has(name); suffix++) name = `${helperName(method, route.path)}${suffix}`;
+    usedNames.add(name);
+    
+    const args = [...params.map(param => `${param}: string`), ...(hasInput ? [`input: ${typeOf(route.input)}`] : [])];
+    return `
+/**
+ * ${method} ${route.path}${route.description ? ` - ${route.description}` : ''}
+ */
+export function ${name}(${args.join(', ')}): Promise<${typeOf(route.output)}> {
+  return request('${method}', \`${url}\`${hasInput ? ', input' : ''});
+}`;
+  });
+  
+  const types = getPromptVariables(contract).interfaces.replace(/^interface /gm, 'export interface ');
+  
+  return `
+/**
+ * Auto-generated API helpers for ${contract.projectName || 'the backend'}
+ * One function per endpoint of the backend contract
+ */
+${types ? `\n${types}\n` : ''}
+async function request(method: string, path: string, input?: unknown) {
+  const response = await fetch(path, {
+    method,
+    ...(input !== undefined && {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(input),
+    }),
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.error || \`\${method} \${path} failed\`);
+  }
+
+  return result;
+}
+${helpers.join('\n')}
+`;
 }
 
 /**
  * Create environment template
+ * Projects with their own requiredEnvVars get a blank entry per variable instead of the Supabase template
+ * @param {RunJournal} [journal] - Journal that snapshots the template
+ * @param {Object} [contract=BACKEND_INTEGRATION_CONFIG] - Backend contract
  */
-async function createEnvTemplate() {
-  const envTemplate = `
+async function createEnvTemplate(journal, contract = BACKEND_INTEGRATION_CONFIG) {
+  const envTemplate = contract.requiredEnvVars !== BACKEND_INTEGRATION_CONFIG.requiredEnvVars ? `
+# Project Configuration
+${contract.requiredEnvVars.map(envVar => `${envVar}=`).join('\n')}
+
+# V0 API Configuration
+V0_API_KEY=your_v0_api_key_here
+` : `
 # Supabase Configuration
 NEXT_PUBLIC_SUPABASE_URL=your_supabase_url_here
 NEXT_PUBLIC_SUPABASE_ANON_KEY=your_supabase_anon_key_here
@@ -392,14 +507,15 @@ V0_API_KEY=your_v0_api_key_here
 NODE_ENV=development
 `;
 
+  if (journal) journal.track('.env.template');
   fs.writeFileSync('.env.template', envTemplate, 'utf8');
-  console.log('📝 Created .env.template - copy to .env and fill in your values');
+  logger.info('📝 Created .env.template - copy to .env and fill in your values');
 }
 
 /**
  * Create middleware file
  */
-async function createMiddlewareFile() {
+async function createMiddlewareFile(journal) {
   const middlewareContent = `
 import { updateSession } from '@/lib/supabase/middleware'
 
@@ -415,12 +531,14 @@ export const config = {
 `;
 
   const middlewarePath = path.join(process.cwd(), 'src', 'middleware.ts');
+  if (journal) journal.track(middlewarePath);
   fs.writeFileSync(middlewarePath, middlewareContent, 'utf8');
-  console.log('✅ Created middleware.ts');
+  logger.info('✅ Created middleware.ts');
 }
 
 module.exports = {
   BACKEND_INTEGRATION_CONFIG,
+  getBackendContract,
   ensureBackendIntegration,
   validateApiContracts,
   validateEnvironmentVariables,
@@ -0,0 +1,255 @@
+/**
+ * Barrel File
+ * Builds the index file of an output directory from the real exports of each generated file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx'];
+const INDEX_NAMES = ['index.ts', 'index.js'];
+
+/**
+ * Convert a file name such as "sales-chart" into a valid PascalCase identifier ("SalesChart")
+ * @param {string} name - File name without extension
+ * @returns {string} Identifier
+ */
+function toPascalCase(name) {
+  const identifier = name
+    .split(/[^A-Za-z0-9_$]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+
+  if (!identifier) return 'Component';
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+/**
+ * Find the names a module exports
+ * Regex based, which is enough for the component files v0 generates
+ * @param {string} content - Source code
+ * @returns {{hasDefault: boolean, values: Array<string>, types: Array<string>}} Default export flag,
+ *   named value exports and type-only exports
+ */
+function parseExports(content) {
+  const source = content
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|[^:'"`])\/\/.*$/gm, '$1');
+
+  const values = new Set();
+  const types = new Set();
+  let hasDefault = /\bexport\s+default\b/.test(source);
+
+  const declaration = /\bexport\s+(?:declare\s+)?(?:async\s+)?(function\*?|const|let|var|class|abstract\s+class|enum|const\s+enum|type|interface)\s+([A-Za-z_$][\w$]*)/g;
+  let match;
+  while ((match = declaration.exec(source)) !== null) {
+    (['type', 'interface'].includes(match[1]) ? types : values).add(match[2]);
+  }
+
+  const list = /\bexport\s+(type\s+)?\{([^}]*)\}/g;
+  while ((match = list.exec(source)) !== null) {
+    match[2].split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+      const typeOnly = Boolean(match[1]) || item.startsWith('type ');
+      const parts = item.replace(/^type\s+/, '').split(/\s+as\s+/);
+      const name = (parts[1] || parts[0]).trim();
+
+      if (name === 'default') {
+        hasDefault = true;
+      } else if (/^[A-Za-z_$][\w$]*$/.test(name)) {
+        (typeOnly ? types : values).add(name);
+      }
+    });
+  }
+
+  return { hasDefault, values: Array.from(values), types: Array.from(types) };
+}
+
+/**
+ * Check whether the project around an output directory uses TypeScript
+ * @param {string} outputDir - Output directory
+ * @returns {boolean} True if a tsconfig.json exists in the output directory or any parent up to the cwd
+ */
+function isTypeScriptProject(outputDir) {
+  const stop = path.resolve(process.cwd());
+  let dir = path.resolve(outputDir);
+
+  while (true) {
+    if (fs.existsSync(path.join(dir, 'tsconfig.json'))) return true;
+    if (dir === stop || dir === path.dirname(dir)) return false;
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Read the export lines of an existing barrel, keyed by module specifier
+ * @param {string} indexPath - Existing index file
+ * @returns {{header: Array<string>, entries: Map<string, Array<string>>}} Lines that aren't re-exports
+ *   (kept as-is at the top) and re-export lines per specifier
+ */
+function readBarrel(indexPath) {
+  const header = [];
+  const entries = new Map();
+
+  fs.readFileSync(indexPath, 'utf8').split('\n').forEach(line => {
+    const match = /^export\s.*\sfrom\s+['"](\.{1,2}\/[^'"]+)['"];?\s*$/.exec(line);
+
+    if (match) {
+      entries.set(match[1], [...(entries.get(match[1]) || []), line]);
+    } else if (line.trim() !== '') {
+      header.push(line);
+    }
+  });
+
+  return { header, entries };
+}
+
+/**
+ * List the names a barrel line exports, e.g. ["SalesChart"] for "export { default as SalesChart } from ..."
+ * @param {string} line - Re-export line
+ * @returns {Array<string>} Exported names (possibly invalid identifiers in barrels written by older versions)
+ */
+function exportedNames(line) {
+  const match = /\{([^}]*)\}/.exec(line);
+  if (!match) return [];
+
+  return match[1].split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const parts = item.replace(/^type\s+/, '').split(/\s+as\s+/);
+    return (parts[1] || parts[0]).trim();
+  });
+}
+
+/**
+ * Build the re-export lines for one file
+ * @param {string} file - Source file
+ * @param {string} specifier - Specifier used in the barrel, e.g. "./sales-chart"
+ * @param {boolean} typescript - Whether type-only exports can be re-exported
+ * @param {Set<string>} taken - Names already exported by other entries of the barrel
+ * @returns {Array<string>} Re-export lines (empty when the file exports nothing new)
+ */
+function buildEntry(file, specifier, typescript, taken) {
+  const { hasDefault, values, types } = parseExports(fs.readFileSync(file, 'utf8'));
+  const available = name => {
+    if (!taken.has(name)) return true;
+    logger.info(`⚠️  ${name} from ${specifier} is already exported by the index; skipped`);
+    return false;
+  };
+  const lines = [];
+
+  // shadcn-style files already export the component by name; don't export it twice
+  const defaultName = toPascalCase(path.basename(specifier));
+  if (hasDefault && !values.includes(defaultName) && available(defaultName)) {
+    lines.push(`export { default as ${defaultName} } from '${specifier}';`);
+  }
+
+  const namedValues = values.filter(available);
+  if (namedValues.length > 0) {
+    lines.push(`export { ${namedValues.join(', ')} } from '${specifier}';`);
+  }
+
+  const namedTypes = typescript ? types.filter(available) : [];
+  if (namedTypes.length > 0) {
+    lines.push(`export type { ${namedTypes.join(', ')} } from '${specifier}';`);
+  }
+
+  return lines;
+}
+
+/**
+ * Check whether a barrel specifier still points at a file
+ * @param {string} outputDir - Output directory
+ * @param {string} specifier - Specifier such as "./sales-chart"
+ * @returns {boolean} True if a source file or directory index exists for it
+ */
+function specifierExists(outputDir, specifier) {
+  const base = path.join(outputDir, specifier);
+  return SOURCE_EXTENSIONS.some(extension =>
+    fs.existsSync(`${base}${extension}`) || fs.existsSync(path.join(base, `index${extension}`))
+  );
+}
+
+/**
+ * Create or update the index file of an output directory
+ * Exports of the given files are parsed and merged with the entries already in the barrel;
+ * entries whose file was deleted are dropped
+ * @param {string} outputDir - Output directory
+ * @param {Array<string>} filePaths - Files that were just written
+ * @param {RunJournal} [journal] - Journal of the current run
+ * @returns {string|null} Path of the index file, or null when there was nothing to export
+ */
+function writeBarrelFile(outputDir, filePaths, journal) {
+  const typescript = fs.existsSync(path.join(outputDir, 'index.ts')) ||
+    isTypeScriptProject(outputDir) ||
+    filePaths.some(file => /\.tsx?$/.test(file));
+  const indexPath = path.join(outputDir, typescript ? 'index.ts' : 'index.js');
+
+  // Start from the existing barrel; a JavaScript barrel is migrated once the project uses TypeScript
+  let barrel = { header: [], entries: new Map() };
+  const existing = INDEX_NAMES.map(name => path.join(outputDir, name)).filter(file => fs.existsSync(file));
+  if (existing.includes(indexPath)) {
+    barrel = readBarrel(indexPath);
+  } else if (existing.length > 0) {
+    barrel = readBarrel(existing[0]);
+  }
+
+  const sourceFiles = filePaths.filter(file =>
+    SOURCE_EXTENSIONS.includes(path.extname(file)) &&
+    !file.endsWith('.d.ts') &&
+    !INDEX_NAMES.includes(path.basename(file)) &&
+    !path.relative(outputDir, file).startsWith('..')
+  );
+
+  const toSpecifier = file => `./${path.relative(outputDir, file).split(path.sep).join('/').replace(/\.[jt]sx?$/, '')}`;
+  const rebuild = new Map(sourceFiles.map(file => [toSpecifier(file), file]));
+
+  Array.from(barrel.entries.keys()).forEach(specifier => {
+    if (!specifierExists(outputDir, specifier)) {
+      barrel.entries.delete(specifier);
+    } else if (!rebuild.has(specifier) && barrel.entries.get(specifier).some(line =>
+      exportedNames(line).some(name => !/^[A-Za-z_$][\w$]*$/.test(name))
+    )) {
+      // Older barrels exported kebab-case names such as "sales-chart"; rebuild those entries
+      const file = SOURCE_EXTENSIONS.map(extension => path.join(outputDir, `${specifier}${extension}`)).find(fs.existsSync);
+      if (file) rebuild.set(specifier, file);
+      barrel.entries.delete(specifier);
+    }
+  });
+
+  rebuild.forEach((file, specifier) => {
+    barrel.entries.delete(specifier);
+
+    const taken = new Set();
+    barrel.entries.forEach(lines => lines.forEach(line => exportedNames(line).forEach(name => taken.add(name))));
+
+    const lines = buildEntry(file, specifier, typescript, taken);
+    if (lines.length > 0) barrel.entries.set(specifier, lines);
+  });
+
+  if (barrel.entries.size === 0) return null;
+
+  const body = Array.from(barrel.entries.keys())
+    .sort()
+    .map(specifier => barrel.entries.get(specifier).join('\n'));
+  const content = [...barrel.header, ...body].join('\n') + '\n';
+
+  if (journal) journal.track(indexPath);
+  fs.writeFileSync(indexPath, content, 'utf8');
+
+  existing.filter(file => file !== indexPath).forEach(file => {
+    if (journal) journal.track(file);
+    fs.unlinkSync(file);
+    logger.info(`🗑️  Replaced ${file} with ${indexPath}`);
+  });
+
+  return indexPath;
+}
+
+module.exports = {
+  toPascalCase,
+  parseExports,
+  isTypeScriptProject,
+  writeBarrelFile
+};
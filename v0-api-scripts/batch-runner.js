@@ -0,0 +1,357 @@
+/**
+ * Batch Runner
+ * Generates every component of a spec file with bounded concurrency and per-item retries.
+ * Progress is saved after each item, so a batch that crashed or was cancelled resumes where it stopped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isAbortError, sleep, throwIfAborted } = require('./cancellation');
+const { getRetryDelay } = require('./retry-policy');
+const { V0ValidationError, V0AuthError, getExitCode } = require('./v0-errors');
+const { describeError } = require('./cli-result');
+const { recordGeneration } = require('./generation-history');
+const { MODELS, PRIVACY_LEVELS } = require('./cli-args');
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+const BATCHES_DIR = path.join('.v0', 'batches');
+const ITEM_KEYS = ['id', 'prompt', 'componentType', 'model', 'output', 'privacy', 'thinking'];
+const SPEC_KEYS = ['items', 'concurrency', 'retries'];
+
+// A whole generation is retried, so back off far longer than for a single request
+const ITEM_RETRY_POLICY = { minDelay: 5000, maxDelay: 60000 };
+
+/**
+ * Read and check a batch spec
+ * The spec is a list of items, or an object with items plus optional concurrency and retries.
+ * Each item has a prompt and optionally id, componentType, model, output, privacy and thinking.
+ * @param {string} specPath - .json, .yaml or .yml file
+ * @returns {{items: Array<Object>, concurrency: (number|undefined), retries: (number|undefined)}} Spec;
+ *   every item has an id (default: item-<n>)
+ * @throws {V0ValidationError} When the file can't be read or an item is invalid
+ */
+function loadBatchSpec(specPath) {
+  let spec;
+  try {
+    const content = fs.readFileSync(specPath, 'utf8');
+    spec = /\.ya?ml$/i.test(specPath) ? require('yaml').parse(content) : JSON.parse(content);
+  } catch (error) {
+    throw new V0ValidationError(`Failed to read batch spec ${specPath}: ${error.message}`, { cause: error });
+  }
+
+  if (Array.isArray(spec)) spec = { items: spec };
+  if (!spec || typeof spec !== 'object' || !Array.isArray(spec.items)) {
+    throw new V0ValidationError(`${specPath} must be a list of items or an object with an "items" list`);
+  }
+
+  Object.keys(spec).forEach(key => {
+    if (!SPEC_KEYS.includes(key)) {
+      throw new V0ValidationError(`${specPath}: unknown key "${key}" (expected ${SPEC_KEYS.join(', ')})`);
+    }
+  });
+  ['concurrency', 'retries'].forEach(key => {
+    const min = key === 'concurrency' ? 1 : 0;
+    if (spec[key] !== undefined && !(Number.isInteger(spec[key]) && spec[key] >= min)) {
+      throw new V0ValidationError(`${specPath}: "${key}" must be a whole number of at least ${min}`);
+    }
+  });
+
+  const ids = new Set();
+  const items = spec.items.map((item, index) => {
+    const where = `${specPath}: item ${index + 1}`;
+    if (typeof item === 'string') item = { prompt: item };
+    if (!item || typeof item !== 'object') throw new V0ValidationError(`${where} must be an object or a prompt`);
+
+    Object.keys(item).forEach(key => {
+      if (!ITEM_KEYS.includes(key)) {
+        throw new V0ValidationError(`${where}: unknown key "${key}" (expected ${ITEM_KEYS.join(', ')})`);
+      }
+    });
+    if (typeof item.prompt !== 'string' || !item.prompt.trim()) {
+      throw new V0ValidationError(`${where} needs a prompt`);
+    }
+    if (item.model !== undefined && !MODELS.includes(item.model)) {
+      throw new V0ValidationError(`${where}: model "${item.model}" is not one of ${MODELS.join(', ')}`);
+    }
+    if (item.privacy !== undefined && !PRIVACY_LEVELS.includes(item.privacy)) {
+      throw new V0ValidationError(`${where}: privacy "${item.privacy}" is not one of ${PRIVACY_LEVELS.join(', ')}`);
+    }
+
+    const id = String(item.id ?? `item-${index + 1}`);
+    if (ids.has(id)) throw new V0ValidationError(`${where}: duplicate id "${id}"`);
+    ids.add(id);
+
+    return { ...item, id };
+  });
+
+  return { items, concurrency: spec.concurrency, retries: spec.retries };
+}
+
+/**
+ * Generation options of an item: its own settings, falling back to the batch's
+ * @param {Object} item - Spec item
+ * @param {Object} options - Batch options the item falls back to
+ * @returns {Object} Options that shape the chat and where its files go
+ */
+function getItemOptions(item, options) {
+  return {
+    componentType: item.componentType,
+    modelId: item.model || options.modelId,
+    privacy: item.privacy || options.privacy,
+    thinking: item.thinking ?? options.thinking,
+    outputDir: item.output || options.outputDir,
+    promptBudget: options.promptBudget
+  };
+}
+
+/**
+ * Fingerprint of everything that affects an item's output, so a changed item isn't skipped on resume
+ * @param {Object} item - Spec item
+ * @param {Object} options - Batch options the item falls back to
+ * @returns {string} Short hash
+ */
+function hashItem(item, options) {
+  const inputs = [item.prompt, getItemOptions(item, options)];
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Saved progress of one spec file, kept in .v0/batches
+ */
+class BatchState {
+  /**
+   * @param {string} specPath - Spec file; its absolute path names the state file
+   * @param {Object} [options] - State options
+   * @param {boolean} [options.fresh=false] - Ignore progress saved by earlier runs
+   */
+  constructor(specPath, options = {}) {
+    const absoluteSpec = path.resolve(specPath);
+    const key = crypto.createHash('sha256').update(absoluteSpec).digest('hex').slice(0, 12);
+
+    this.statePath = path.join(process.cwd(), BATCHES_DIR, `${path.basename(specPath).replace(/\.[^.]+$/, '')}-${key}.json`);
+    this.state = { spec: absoluteSpec, items: {} };
+
+    if (!options.fresh && fs.existsSync(this.statePath)) {
+      try {
+        this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      } catch (error) {
+        logger.warn(`⚠️  Could not read ${this.statePath}, starting over:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Saved result of an item
+   * @param {string} id - Item id
+   * @returns {Object|undefined} Result
+   */
+  get(id) {
+    return this.state.items[id];
+  }
+
+  /**
+   * Record an item's result and save right away; written to a temporary file first so a crash can't corrupt it
+   * @param {string} id - Item id
+   * @param {Object} result - Result to keep
+   */
+  set(id, result) {
+    this.state.items[id] = result;
+    this.state.updatedAt = new Date().toISOString();
+
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    const tempPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2) + '\n', 'utf8');
+    fs.renameSync(tempPath, this.statePath);
+  }
+}
+
+/**
+ * Generate one item, retrying the whole generation when it fails or downloads nothing
+ * Auth and validation errors aren't retried: they would fail the same way again
+ * @param {Object} item - Spec item
+ * @param {Function} generate - (item, options) => chat result, see runBatch
+ * @param {Object} options - Options for generate
+ * @param {number} retries - Retries after the first attempt
+ * @returns {Promise<{chat: Object, attempts: number}>} Result of the successful attempt
+ */
+async function generateWithRetries(item, generate, options, retries) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const chat = await generate(item, options);
+      if (chat.downloadFailure) throw chat.downloadFailure;
+      return { chat, attempts: attempt + 1 };
+    } catch (error) {
+      error.attempts = attempt + 1;
+      const permanent = isAbortError(error) || error instanceof V0AuthError || error instanceof V0ValidationError;
+      if (permanent || attempt >= retries) throw error;
+
+      const delay = getRetryDelay(attempt, ITEM_RETRY_POLICY, error);
+      logger.info(`🔁 [${item.id}] ${error.message}; retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+/**
+ * Run a batch: up to `concurrency` items at a time, each with its own retries
+ * Items that succeeded in an earlier run of the same spec (and haven't changed) are skipped
+ * @param {string} specPath - Spec file, see loadBatchSpec
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.concurrency=2] - Items generated at the same time (spec value wins over the default)
+ * @param {number} [options.itemRetries=1] - Retries per item (spec value wins over the default)
+ * @param {boolean} [options.fresh=false] - Ignore saved progress and run every item
+ * @param {string} [options.outputDir='./src/components'] - Output directory of items without output
+ * @param {string} [options.modelId] - Model of items without model
+ * @param {string} [options.privacy] - Privacy of items without privacy
+ * @param {Function} [options.generate] - (item, options) => Promise of a chat result like createAndDownload's;
+ *   default: the smart generator, with the item's componentType instead of detection
+ * @param {AbortSignal} [options.signal] - Stops starting new items and cancels running ones
+ * @returns {Promise<Object>} Report: spec, statePath, items (one result per spec item, in spec order) and summary
+ */
+async function runBatch(specPath, options = {}) {
+  const spec = loadBatchSpec(specPath);
+  const concurrency = options.concurrency ?? spec.concurrency ?? 2;
+  const retries = options.itemRetries ?? spec.retries ?? 1;
+  const { signal, outputDir = './src/components' } = options;
+  const state = new BatchState(specPath, { fresh: options.fresh });
+
+  let generate = options.generate;
+  if (!generate) {
+    // Required lazily so spec errors surface without loading the prompt library
+    const { SmartV0Generator } = require('./smart-v0-generator');
+    const generator = new SmartV0Generator({ retry: options.retry });
+    generate = (item, itemOptions) => generator.generateComponent(item.prompt, itemOptions);
+  }
+
+  logger.info(`📦 Batch ${specPath}: ${spec.items.length} items, ${concurrency} at a time, ${retries} ${retries === 1 ? 'retry' : 'retries'} per item`);
+
+  const results = new Map();
+  const queue = [];
+
+  spec.items.forEach(item => {
+    const hash = hashItem(item, { ...options, outputDir });
+    const saved = state.get(item.id);
+
+    if (saved?.status === 'succeeded' && saved.hash === hash) {
+      logger.info(`⏭️  [${item.id}] already generated (chat ${saved.chatId})`);
+      results.set(item.id, { ...saved, status: 'skipped' });
+    } else {
+      queue.push({ item, hash });
+    }
+  });
+
+  /**
+   * Take items off the queue until it's empty or the batch is cancelled
+   * @returns {Promise<void>} Resolves when this worker has nothing left to do
+   */
+  async function worker() {
+    while (queue.length > 0 && !signal?.aborted) {
+      const { item, hash } = queue.shift();
+      const itemOptions = {
+        ...getItemOptions(item, { ...options, outputDir }),
+        merge: options.merge,
+        conflictStyle: options.conflictStyle,
+        timeout: options.timeout,
+        signal
+      };
+      const base = { id: item.id, prompt: item.prompt, hash, outputDir: itemOptions.outputDir };
+
+      logger.info(`\n▶️  [${item.id}] ${item.prompt}`);
+      state.set(item.id, { ...base, status: 'running', startedAt: new Date().toISOString() });
+
+      try {
+        throwIfAborted(signal);
+        const { chat, attempts } = await generateWithRetries(item, generate, itemOptions, retries);
+
+        const result = {
+          ...base,
+          status: 'succeeded',
+          attempts,
+          chatId: chat.id,
+          versionId: chat.latestVersion?.id ?? null,
+          componentType: chat.componentType ?? item.componentType ?? null,
+          files: chat.downloadedFiles || [],
+          finishedAt: new Date().toISOString()
+        };
+        state.set(item.id, result);
+        results.set(item.id, result);
+        recordGeneration('batch', { ...itemOptions, prompt: item.prompt }, { chat, runId: chat.runId });
+        logger.info(`✅ [${item.id}] ${result.files.length} files (chat ${result.chatId})`);
+      } catch (error) {
+        const result = {
+          ...base,
+          status: 'failed',
+          attempts: error.attempts || 1,
+          chatId: error.chatId ?? null,
+          exitCode: getExitCode(error),
+          error: describeError(error),
+          finishedAt: new Date().toISOString()
+        };
+        state.set(item.id, result);
+        results.set(item.id, result);
+        recordGeneration('batch', { ...itemOptions, prompt: item.prompt }, { error });
+        logger.error(`❌ [${item.id}] ${error.message}`);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, () => worker()));
+
+  // Items never started because the batch was cancelled
+  spec.items.forEach(item => {
+    if (!results.has(item.id)) {
+      results.set(item.id, { id: item.id, prompt: item.prompt, status: 'pending' });
+    }
+  });
+
+  const items = spec.items.map(item => results.get(item.id));
+  const count = status => items.filter(result => result.status === status).length;
+
+  return {
+    spec: path.resolve(specPath),
+    statePath: state.statePath,
+    cancelled: Boolean(signal?.aborted),
+    items,
+    summary: {
+      total: items.length,
+      succeeded: count('succeeded'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      pending: count('pending')
+    }
+  };
+}
+
+/**
+ * Print the final report of a batch
+ * @param {Object} report - Result of runBatch
+ */
+function printBatchReport(report) {
+  const icons = { succeeded: '✅', skipped: '⏭️ ', failed: '❌', pending: '⏸️ ' };
+  const { succeeded, skipped, failed, pending, total } = report.summary;
+
+  logger.info('\n📦 BATCH REPORT');
+  report.items.forEach(result => {
+    const detail = result.status === 'failed'
+      ? result.error.message
+      : result.status === 'pending'
+        ? 'not started'
+        : `${result.files?.length ?? 0} files in ${result.outputDir} (chat ${result.chatId})`;
+    logger.info(`   ${icons[result.status]} ${result.id.padEnd(20)} ${detail}`);
+  });
+
+  logger.info(`\n📊 ${succeeded} succeeded, ${skipped} skipped (already done), ${failed} failed, ${pending} not started - ${total} total`);
+  if (failed > 0 || pending > 0) {
+    logger.info(`💡 Run the same command again to retry the rest; progress is kept in ${path.relative(process.cwd(), report.statePath)}`);
+  }
+}
+
+module.exports = {
+  BATCHES_DIR,
+  loadBatchSpec,
+  runBatch,
+  printBatchReport
+};
@@ -0,0 +1,172 @@
+/**
+ * Cancellation
+ * AbortSignal helpers shared by the creators: overall deadlines, abortable requests and sleeps, Ctrl-C handling
+ */
+
+const { V0TimeoutError } = require('./v0-errors');
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+/**
+ * Create the error used when an operation is cancelled
+ * @param {string} [message='Operation cancelled'] - Error message
+ * @returns {Error} Error named AbortError
+ */
+function createAbortError(message = 'Operation cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Create the error used when an overall deadline passes
+ * @param {number} timeout - Deadline in milliseconds
+ * @returns {V0TimeoutError} Timeout error
+ */
+function createTimeoutError(timeout) {
+  return new V0TimeoutError(`Deadline of ${Math.round(timeout / 1000)}s exceeded`, { timeout });
+}
+
+/**
+ * Check whether an error comes from cancellation or a deadline
+ * @param {Error} error - Any error
+ * @returns {boolean} True for AbortError, TimeoutError and V0TimeoutError
+ */
+function isAbortError(error) {
+  return Boolean(error) && ['AbortError', 'TimeoutError', 'V0TimeoutError'].includes(error.name);
+}
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw isAbortError(signal.reason) ? signal.reason : createAbortError();
+  }
+}
+
+/**
+ * Signal that aborts as soon as any of the given signals does
+ * Uses AbortSignal.any, which doesn't keep the result alive from the sources. Where it is missing (Node 18)
+ * the listeners only hold a weak reference and are removed once the result aborts.
+ * @param {Array<AbortSignal>} signals - Source signals
+ * @returns {AbortSignal} Combined signal, aborted with the reason of the first source that aborts
+ */
+function anySignal(signals) {
+  if (typeof AbortSignal.any === 'function') return AbortSignal.any(signals);
+
+  const controller = new AbortController();
+  const aborted = signals.find(signal => signal.aborted);
+  if (aborted) {
+    controller.abort(aborted.reason);
+    return controller.signal;
+  }
+
+  const target = new WeakRef(controller);
+  const listeners = signals.map(signal => {
+    const onAbort = () => target.deref()?.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    return [signal, onAbort];
+  });
+  controller.signal.addEventListener('abort', () => {
+    listeners.forEach(([signal, onAbort]) => signal.removeEventListener('abort', onAbort));
+  }, { once: true });
+
+  return controller.signal;
+}
+
+/**
+ * Combine an optional signal with an overall deadline
+ * Call this once at the entry point and pass the returned signal down, so the deadline isn't restarted.
+ * The caller's signal keeps no listener of its own for the combined one, so a long-lived signal shared by
+ * many calls doesn't pile them up.
+ * @param {Object} [options] - Options of a public method
+ * @param {AbortSignal} [options.signal] - Caller's signal
+ * @param {number} [options.timeout] - Overall deadline in milliseconds
+ * @returns {AbortSignal|undefined} Signal that aborts on either, or the caller's signal when there is no deadline
+ */
+function withDeadline(options = {}) {
+  const { signal, timeout } = options;
+  if (!timeout) return signal;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(createTimeoutError(timeout)), timeout);
+  if (timer.unref) timer.unref();
+
+  const combined = signal ? anySignal([signal, controller.signal]) : controller.signal;
+  if (combined.aborted) {
+    clearTimeout(timer);
+  } else {
+    combined.addEventListener('abort', () => clearTimeout(timer), { once: true });
+  }
+  return combined;
+}
+
+/**
+ * Stop waiting for a promise as soon as the signal aborts
+ * Used for SDK calls, which don't take a signal themselves
+ * @param {Promise} promise - Pending operation
+ * @param {AbortSignal} [signal] - Signal to honour
+ * @returns {Promise} Settles with the operation, or rejects with the abort reason
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const onAbort = () => reject(isAbortError(signal.reason) ? signal.reason : createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Wait for a number of milliseconds, or until the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal to honour
+ * @returns {Promise<void>} Resolves after ms, rejects when aborted
+ */
+function sleep(ms, signal) {
+  let timer;
+  return abortable(new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  }), signal).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Cancel on Ctrl-C: the first press aborts the returned signal, the second exits immediately
+ * @returns {AbortSignal} Signal for the CLI's top-level call
+ */
+function cancelOnInterrupt() {
+  const controller = new AbortController();
+
+  process.once('SIGINT', () => {
+    logger.info('\n⏹️  Cancelling... (press Ctrl-C again to quit immediately)');
+    controller.abort(createAbortError('Cancelled by user'));
+    process.once('SIGINT', () => process.exit(130));
+  });
+
+  return controller.signal;
+}
+
+module.exports = {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  withDeadline,
+  abortable,
+  sleep,
+  cancelOnInterrupt
+};
@@ -0,0 +1,83 @@
+/**
+ * Chat Version Pinning
+ * Remembers a known-good version per chat so downloads don't silently move to the latest one
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+const PINS_FILE = path.join('.v0', 'pins.json');
+
+/**
+ * Read all pinned versions for the current project
+ * @returns {Object<string, {versionId: string, pinnedAt: string}>} Pins keyed by chat ID
+ */
+function readPins() {
+  const pinsPath = path.join(process.cwd(), PINS_FILE);
+  if (!fs.existsSync(pinsPath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(pinsPath, 'utf8'));
+  } catch (error) {
+    logger.error(`⚠️  Could not read ${PINS_FILE}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Persist pinned versions
+ * @param {Object} pins - Pins keyed by chat ID
+ */
+function writePins(pins) {
+  const pinsPath = path.join(process.cwd(), PINS_FILE);
+  fs.mkdirSync(path.dirname(pinsPath), { recursive: true });
+  fs.writeFileSync(pinsPath, JSON.stringify(pins, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Get the pinned version ID for a chat
+ * @param {string} chatId - The chat ID
+ * @returns {string|null} Pinned version ID, or null when the chat follows the latest version
+ */
+function getPinnedVersion(chatId) {
+  const pin = readPins()[chatId];
+  return pin ? pin.versionId : null;
+}
+
+/**
+ * Pin a chat to a specific version
+ * @param {string} chatId - The chat ID
+ * @param {string} versionId - The version ID to pin
+ */
+function pinVersion(chatId, versionId) {
+  const pins = readPins();
+  pins[chatId] = { versionId, pinnedAt: new Date().toISOString() };
+  writePins(pins);
+  logger.info(`📌 Pinned chat ${chatId} to version ${versionId}`);
+}
+
+/**
+ * Remove the pin for a chat so downloads follow the latest version again
+ * @param {string} chatId - The chat ID
+ * @returns {boolean} True if a pin was removed
+ */
+function unpinVersion(chatId) {
+  const pins = readPins();
+  if (!pins[chatId]) return false;
+
+  delete pins[chatId];
+  writePins(pins);
+  logger.info(`📌 Unpinned chat ${chatId}`);
+  return true;
+}
+
+module.exports = {
+  PINS_FILE,
+  readPins,
+  getPinnedVersion,
+  pinVersion,
+  unpinVersion
+};
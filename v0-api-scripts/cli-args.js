@@ -0,0 +1,229 @@
+/**
+ * CLI Args
+ * Declarative flag parsing and help text for the v0 command: every subcommand lists the flags it accepts,
+ * and anything else is an error instead of being silently ignored
+ */
+
+const { V0ValidationError } = require('./v0-errors');
+const { parseHistoryDate } = require('./generation-history');
+
+const MODELS = ['v0-1.5-sm', 'v0-1.5-md', 'v0-1.5-lg', 'v0-gpt-5'];
+const PRIVACY_LEVELS = ['private', 'public', 'team', 'team-edit', 'unlisted'];
+const CONFLICT_STYLES = ['markers', 'sidecar'];
+
+/**
+ * Parse a number of seconds into milliseconds
+ * @param {Object} [limits] - Accepted range
+ * @param {boolean} [limits.allowZero=false] - Accept 0
+ * @returns {function(string): number} Parser for a flag value
+ */
+function seconds({ allowZero = false } = {}) {
+  return value => {
+    const ms = Number(value) * 1000;
+    if (!(allowZero ? ms >= 0 : ms > 0)) throw new Error('requires a number of seconds');
+    return ms;
+  };
+}
+
+/**
+ * Parse a whole number
+ * @param {number} [min=0] - Smallest accepted value
+ * @returns {function(string): number} Parser for a flag value
+ */
+function wholeNumber(min = 0) {
+  return value => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) throw new Error(`requires a whole number of at least ${min}`);
+    return number;
+  };
+}
+
+/**
+ * Every flag a subcommand can accept
+ * key is the option it sets ("retry.retries" sets options.retry.retries); flags without a value are booleans
+ */
+const FLAGS = {
+  prompt: { flag: '--prompt', alias: '-p', key: 'prompt', value: '<text>', description: 'Prompt (instead of the positional argument)' },
+  system: { flag: '--system', alias: '-s', key: 'system', value: '<text>', description: 'System context for the AI' },
+  model: { flag: '--model', alias: '-m', key: 'modelId', value: '<id>', choices: MODELS, description: `Model ID (${MODELS.join(', ')})` },
+  thinking: { flag: '--thinking', alias: '-t', key: 'thinking', description: 'Enable thinking mode' },
+  privacy: { flag: '--privacy', key: 'privacy', value: '<level>', choices: PRIVACY_LEVELS, description: 'Privacy level (private, public, team, team-edit, unlisted)' },
+  output: { flag: '--output', alias: '-o', key: 'outputDir', value: '<path>', description: 'Output directory (default: ./src/components)' },
+  version: { flag: '--version', key: 'versionId', value: '<version-id>', description: 'Use this version instead of the latest (or pinned) one' },
+  dryRun: { flag: '--dry-run', key: 'dryRun', description: 'Print a unified diff against the files on disk, write nothing' },
+  plan: { flag: '--plan', key: 'plan', description: 'Print a JSON plan (create/modify/unchanged per path), write nothing' },
+  merge: { flag: '--merge', key: 'merge', description: 'Three-way merge local edits instead of overwriting them' },
+  conflictStyle: { flag: '--conflict-style', key: 'conflictStyle', value: '<style>', choices: CONFLICT_STYLES, description: 'Unmergeable files get markers (default) or a .v0-incoming sidecar' },
+  async: { flag: '--async', key: 'responseMode', set: 'async', description: 'Show live generation progress instead of blocking on the request' },
+  timeout: { flag: '--timeout', key: 'timeout', value: '<seconds>', parse: seconds(), description: 'Overall deadline (Ctrl-C cancels any time)' },
+  retries: { flag: '--retries', key: 'retry.retries', value: '<n>', parse: wholeNumber(), description: 'Retries per failed API request (default: 3, 0 disables)' },
+  retryDelay: { flag: '--retry-delay', key: 'retry.minDelay', value: '<seconds>', parse: seconds({ allowZero: true }), description: 'Backoff before the first retry, doubled each time (default: 1)' },
+  retryWrites: { flag: '--retry-writes', key: 'retry.retryNonIdempotent', description: 'Also retry creating chats and sending messages (may duplicate a generation)' },
+  concurrency: { flag: '--concurrency', key: 'concurrency', value: '<n>', parse: wholeNumber(1), description: 'Items generated at the same time (default: 2)' },
+  itemRetries: { flag: '--item-retries', key: 'itemRetries', value: '<n>', parse: wholeNumber(), description: 'Times a failed item is generated again (default: 1)' },
+  fresh: { flag: '--fresh', key: 'fresh', description: 'Ignore saved progress and run every item again' },
+  type: { flag: '--type', key: 'componentType', value: '<type>', description: 'Component type, e.g. dashboard or forms' },
+  explain: { flag: '--explain', key: 'explain', description: 'Show how the prompt is classified (scores, keywords), call nothing' },
+  budget: { flag: '--budget', key: 'promptBudget', value: '<tokens>', parse: wholeNumber(1), description: 'Token budget of the system + enhanced prompt (default: 4000); low-priority sections are trimmed to fit' },
+  show: { flag: '--show', key: 'show', description: 'Print the exact system and user prompt' },
+  since: { flag: '--since', key: 'since', value: '<date|age>', parse: parseHistoryDate, description: 'Only runs since a date (2025-01-31) or age (12h, 7d)' },
+  until: { flag: '--until', key: 'until', value: '<date|age>', parse: parseHistoryDate, description: 'Only runs until a date or age' },
+  path: { flag: '--path', key: 'path', value: '<path>', description: 'Only runs whose output directory or files contain this path' },
+  limit: { flag: '--limit', key: 'limit', value: '<n>', parse: wholeNumber(1), description: 'Show at most n runs (default: 20)' },
+  force: { flag: '--force', alias: '-f', key: 'force', description: 'Also restore files edited after the run' },
+  json: { flag: '--json', key: 'json', description: 'Print one JSON result object on stdout (logs go to stderr)' },
+  help: { flag: '--help', alias: '-h', key: 'help', description: 'Show help for this command' }
+};
+
+// Accepted by every subcommand, but applied by applyLogFlags before parsing (see logger.js)
+const LOG_FLAGS_HELP = [
+  ['--log-level <level>', 'silent, error, warn, info (default), debug or trace'],
+  ['--verbose', 'Same as --log-level debug'],
+  ['--quiet', 'Same as --log-level silent'],
+  ['--log-json', 'Write logs as JSON lines, e.g. for CI']
+];
+
+/**
+ * Set an option, creating nested objects for dotted keys
+ * @param {Object} options - Options being built
+ * @param {string} key - Option name, e.g. "retry.retries"
+ * @param {*} value - Value to set
+ */
+function setOption(options, key, value) {
+  const [head, ...rest] = key.split('.');
+  if (rest.length === 0) {
+    options[head] = value;
+  } else {
+    options[head] = { ...options[head] };
+    setOption(options[head], rest.join('.'), value);
+  }
+}
+
+/**
+ * Parse the arguments of one subcommand
+ * Positional values fill command.positional in order; a positional whose key was already set by its flag
+ * (e.g. --prompt) is skipped
+ * @param {Object} command - Command definition
+ * @param {string} command.name - Command name, for error messages
+ * @param {Array<string>} [command.flags] - Names of the FLAGS it accepts (help is always accepted)
+ * @param {Array<Object>} [command.positional] - { name, key, required } per positional argument
+ * @param {Array<string>} args - Arguments after the command name
+ * @param {Object} [defaults] - Starting options, e.g. from the project config
+ * @returns {Object} Options
+ * @throws {V0ValidationError} On unknown flags, missing or invalid values, and missing or extra arguments
+ */
+function parseCommandLine(command, args, defaults = {}) {
+  const accepted = [...(command.flags || []), 'help'].map(name => FLAGS[name]);
+  const options = { ...defaults };
+  const positional = [];
+  const fromFlags = new Set();
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const spec = accepted.find(flag => flag.flag === name || flag.alias === name);
+    if (!spec) {
+      throw new V0ValidationError(`Unknown option "${name}" for "v0 ${command.name}"`);
+    }
+
+    if (!spec.value) {
+      if (inlineValue !== undefined) throw new V0ValidationError(`${spec.flag} does not take a value`);
+      setOption(options, spec.key, spec.set !== undefined ? spec.set : true);
+      fromFlags.add(spec.key);
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith('-') && value !== '-')) {
+      throw new V0ValidationError(`${spec.flag} requires a value ${spec.value}`);
+    }
+    if (spec.choices && !spec.choices.includes(value)) {
+      throw new V0ValidationError(`Invalid ${spec.flag} "${value}" (expected ${spec.choices.join(', ')})`);
+    }
+
+    try {
+      setOption(options, spec.key, spec.parse ? spec.parse(value) : value);
+      fromFlags.add(spec.key);
+    } catch (error) {
+      throw new V0ValidationError(`${spec.flag} ${error.message}`);
+    }
+  }
+
+  if (options.help) return options;
+
+  const slots = (command.positional || []).filter(slot => !fromFlags.has(slot.key));
+  if (positional.length > slots.length) {
+    throw new V0ValidationError(`Unexpected argument "${positional[slots.length]}" for "v0 ${command.name}"`);
+  }
+  slots.forEach((slot, index) => {
+    if (positional[index] !== undefined) {
+      options[slot.key] = positional[index];
+    } else if (slot.required) {
+      throw new V0ValidationError(`Missing <${slot.name}> for "v0 ${command.name}"`);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Usage line of a command
+ * @param {Object} command - Command definition
+ * @returns {string} e.g. "v0 download <chat-id> [output-dir] [options]"
+ */
+function formatUsage(command) {
+  const args = (command.positional || []).map(slot => slot.required ? `<${slot.name}>` : `[${slot.name}]`);
+  return ['v0', command.name, ...args, '[options]'].join(' ');
+}
+
+/**
+ * Help text of a command: usage, description, flags and examples
+ * @param {Object} command - Command definition (name, summary, description, positional, flags, examples)
+ * @returns {string} Help text
+ */
+function formatCommandHelp(command) {
+  const rows = [...(command.flags || []), 'help'].map(name => {
+    const spec = FLAGS[name];
+    const label = `${spec.alias ? `${spec.alias}, ` : '    '}${spec.flag}${spec.value ? ` ${spec.value}` : ''}`;
+    return [label, spec.description];
+  });
+  const logRows = LOG_FLAGS_HELP.map(([label, description]) => [`    ${label}`, description]);
+  const width = Math.max(...[...rows, ...logRows].map(([label]) => label.length)) + 2;
+  const formatRows = list => list.map(([label, description]) => `  ${label.padEnd(width)}${description}`).join('\n');
+
+  return [
+    `Usage: ${formatUsage(command)}`,
+    '',
+    command.description || command.summary,
+    '',
+    'Options:',
+    formatRows(rows),
+    '',
+    'Logging:',
+    formatRows(logRows),
+    ...(command.examples ? ['', 'Examples:', ...command.examples.map(example => `  ${example}`)] : [])
+  ].join('\n');
+}
+
+module.exports = {
+  MODELS,
+  PRIVACY_LEVELS,
+  CONFLICT_STYLES,
+  FLAGS,
+  parseCommandLine,
+  formatUsage,
+  formatCommandHelp
+};
@@ -0,0 +1,145 @@
+/**
+ * CLI Result
+ * The single JSON object a command prints with --json, so scripts never have to scrape log output
+ */
+
+const { getExitCode } = require('./v0-errors');
+const { getLogger } = require('./logger');
+const { getCliDefaults } = require('./project-config');
+
+/**
+ * Send every log line to stderr, leaving stdout for the result object
+ * @param {Logger} [logger] - Logger to redirect (default: the shared logger)
+ */
+function useJsonOutput(logger = getLogger()) {
+  logger.configure({ stream: process.stderr });
+}
+
+/**
+ * Option defaults from the project config, for a script's argument parser
+ * An invalid config ends the command like an invalid flag would
+ * @returns {Object} See getCliDefaults in project-config.js
+ */
+function readCliDefaults() {
+  try {
+    return getCliDefaults();
+  } catch (error) {
+    getLogger().error(`❌ ${error.message}`);
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Describe the problems of a download that still succeeded overall
+ * @param {Object} [report] - Download details
+ * @param {Array<Object>} [report.conflicts] - Files left for manual merge review
+ * @param {Array<Object>} [report.rejected] - Files refused by the path sandbox
+ * @param {Array<Object>} [report.skipped] - Files skipped by a routing rule
+ * @returns {Array<string>} One human-readable warning per problem
+ */
+function collectWarnings(report = {}) {
+  const { conflicts = [], rejected = [], skipped = [] } = report;
+  return [
+    ...conflicts.map(conflict => `Merge conflict in ${conflict.path}${conflict.sidecar ? ` (see ${conflict.sidecar})` : ''}`),
+    ...rejected.map(entry => `Rejected ${entry.name}: ${entry.reason}`),
+    ...skipped.map(entry => `Skipped ${entry.name}: ${entry.reason}`)
+  ];
+}
+
+/**
+ * Serialise an error for the result object
+ * @param {Error} error - Error that failed the command
+ * @returns {Object} name, message, status, requestId and chatId
+ */
+function describeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    status: error.status ?? null,
+    requestId: error.requestId ?? null,
+    chatId: error.chatId ?? null
+  };
+}
+
+/**
+ * Build the result of a generate, refine or create run from the chat the creator returned
+ * @param {string} command - Command name
+ * @param {Object} chat - Result of createAndDownload / generateComponent
+ * @returns {Object} Result object; ok is false and exitCode set when the download failed
+ */
+function chatResult(command, chat) {
+  const failure = chat.downloadFailure;
+  const warnings = collectWarnings({ conflicts: chat.conflicts, rejected: chat.rejectedFiles });
+  if (chat.downloadError) warnings.push(`Download failed: ${chat.downloadError}`);
+
+  return {
+    command,
+    ok: !failure,
+    exitCode: failure ? getExitCode(failure) : 0,
+    chatId: chat.id,
+    versionId: chat.latestVersion?.id ?? null,
+    webUrl: chat.webUrl ?? null,
+    demoUrl: chat.latestVersion?.demoUrl || chat.demo || null,
+    componentType: chat.componentType ?? null,
+    ...(chat.componentTypes?.length > 1 && { componentTypes: chat.componentTypes }),
+    files: chat.downloadedFiles || [],
+    download: {
+      status: chat.autoDownloadStatus || null,
+      conflicts: chat.conflicts || [],
+      rejected: chat.rejectedFiles || []
+    },
+    ...(chat.downloadPlan && { plan: chat.downloadPlan }),
+    warnings,
+    error: failure ? describeError(failure) : null
+  };
+}
+
+/**
+ * Build the result of a command that failed outright
+ * @param {string} command - Command name
+ * @param {Error} error - Error that ended the command
+ * @param {Object} [fields] - Anything already known, e.g. chatId
+ * @returns {Object} Result object with ok false
+ */
+function errorResult(command, error, fields = {}) {
+  return {
+    command,
+    ok: false,
+    exitCode: getExitCode(error),
+    ...fields,
+    warnings: [],
+    error: describeError(error)
+  };
+}
+
+/**
+ * Print a result object on stdout
+ * @param {Object} result - Result object
+ */
+function printResult(result) {
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}
+
+/**
+ * End a command that failed: print its result with --json and exit with its code
+ * @param {string} command - Command name
+ * @param {Error} error - Error that ended the command
+ * @param {Object} [options] - Output options
+ * @param {boolean} [options.json] - Print the result object
+ * @param {Object} [options.fields] - Extra result fields, e.g. chatId
+ */
+function exitWithError(command, error, options = {}) {
+  if (options.json) printResult(errorResult(command, error, options.fields));
+  process.exit(getExitCode(error));
+}
+
+module.exports = {
+  useJsonOutput,
+  readCliDefaults,
+  collectWarnings,
+  describeError,
+  chatResult,
+  errorResult,
+  printResult,
+  exitWithError
+};
@@ -0,0 +1,247 @@
+/**
+ * Component Classifier
+ * Scores a prompt against weighted keywords per component type and ranks the types with a confidence,
+ * instead of taking the first type with a keyword anywhere in the prompt
+ */
+
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+/**
+ * Built-in keywords and their weights, per component type
+ * Phrases that name a component outright weigh most; words that also turn up in other requests
+ * (list, home, edit, export) weigh little. Plurals match too: "chart" matches "charts", "query" matches "queries".
+ */
+const COMPONENT_PATTERNS = {
+  dashboard: {
+    'dashboard': 3, 'overview': 2, 'main page': 2, 'home page': 2, 'landing page': 1.5,
+    'analytics studio': 2, 'kpi': 1.5, 'home': 0.5
+  },
+  queryBuilder: {
+    'query builder': 4, 'query building': 3, 'query interface': 3, 'query editor': 3, 'search builder': 3,
+    'filter builder': 3, 'query': 1.5, 'filter': 1, 'group by': 1
+  },
+  resultsTable: {
+    'results table': 4, 'data table': 3, 'table': 2.5, 'data display': 2, 'data grid': 3, 'grid': 1.5,
+    'results': 1.5, 'pagination': 1, 'sortable': 1, 'list': 1, 'export': 0.5
+  },
+  analyticsCharts: {
+    'chart': 3, 'graph': 2.5, 'visualization': 2.5, 'visualisation': 2.5, 'metrics display': 2,
+    'plot': 2, 'trend': 1, 'analytics': 1
+  },
+  userManagement: {
+    'user management': 4, 'manage users': 3, 'user admin': 3, 'admin panel': 2, 'users': 1.5,
+    'permission': 1.5, 'role': 1.5, 'admin': 1.5, 'user': 1
+  },
+  authentication: {
+    'login': 3, 'log in': 3, 'sign in': 3, 'signup': 3, 'sign up': 3, 'authentication': 3,
+    'forgot password': 3, 'register': 2, 'registration': 2, 'auth': 2, 'password': 1.5
+  },
+  navigation: {
+    'navigation': 3, 'navbar': 3, 'nav bar': 3, 'sidebar': 3, 'nav': 2, 'menu': 2, 'header': 2,
+    'breadcrumb': 2, 'footer': 1.5, 'tabs': 1
+  },
+  forms: {
+    'form': 3, 'wizard': 2, 'add new': 1, 'input': 1, 'field': 1, 'submit': 1, 'edit': 0.5
+  }
+};
+
+// Weight of each keyword declared without one (see prompt-packs.js)
+const DEFAULT_KEYWORD_WEIGHT = 3;
+
+// Words that turn the next few words into something the component should NOT have
+const NEGATIONS = ['no', 'not', 'without', 'never', "don't", 'dont', 'excluding', 'except', 'instead of'];
+const NEGATION_WINDOW = 3;
+
+// Everything after one of these describes features of the component rather than what it is
+const FEATURE_MARKERS = ['with', 'including', 'includes', 'containing', 'featuring', 'showing', 'that shows', 'that has'];
+const FEATURE_FACTOR = 0.5;
+
+// Each further keyword of the same type counts half as much as the one before it
+const REPEAT_FACTOR = 0.5;
+
+// Scores below this are too weak to pick a type; the prompt gets the default type
+const MIN_SCORE = 1;
+
+// Other types scoring at least this share of the top score are combined into a composite component
+const COMPOSITE_RATIO = 0.6;
+const MAX_COMPOSITE_TYPES = 3;
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lowercase a prompt and turn hyphens, slashes and underscores into spaces, so "sign-in" matches "sign in"
+ * @param {string} text - Prompt or keyword
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return text.toLowerCase().replace(/[-_/]+/g, ' ');
+}
+
+/**
+ * Pattern for a keyword and its plural: -s and -es, or -ies for a final consonant + y
+ * @param {string} keyword - Keyword from a pattern table
+ * @returns {RegExp} Global pattern matching whole words only
+ */
+function keywordPattern(keyword) {
+  const text = escapeRegExp(normalize(keyword));
+  const forms = /[^aeiou]y$/.test(text) ? `${text.slice(0, -1)}(?:y|ies)` : `${text}(?:s|es)?`;
+  return new RegExp(`(?<![\\w'])${forms}(?![\\w'])`, 'g');
+}
+
+/**
+ * Check whether a match is negated: a negation within a few words before it, in the same clause
+ * @param {string} prompt - Normalized prompt
+ * @param {number} index - Start of the match
+ * @returns {boolean} True when negated
+ */
+function isNegated(prompt, index) {
+  const clause = prompt.slice(0, index).split(/[,.;:!?()]|\bbut\b/).pop();
+  const words = clause.trim().split(/\s+/).slice(-NEGATION_WINDOW).join(' ');
+  return NEGATIONS.some(negation => new RegExp(`(^|\\s)${escapeRegExp(negation)}(\\s|$)`).test(words));
+}
+
+/**
+ * Find every keyword of every type in a prompt
+ * Where keywords overlap, the longest one wins, so "results table" isn't also counted as "table"
+ * @param {string} prompt - Normalized prompt
+ * @param {Object<string, Object<string, number>>} patterns - Weighted keywords per type
+ * @returns {Array<Object>} Matches: componentType, keyword, index, end, weight, negated, feature
+ */
+function findMatches(prompt, patterns) {
+  const featureStart = FEATURE_MARKERS
+    .map(marker => prompt.search(new RegExp(`\\b${escapeRegExp(marker)}\\b`)))
+    .filter(index => index > 0)
+    .reduce((first, index) => Math.min(first, index), Infinity);
+
+  const candidates = [];
+  Object.entries(patterns).forEach(([componentType, keywords]) => {
+    Object.entries(keywords).forEach(([keyword, weight]) => {
+      for (const match of prompt.matchAll(keywordPattern(keyword))) {
+        candidates.push({
+          componentType,
+          keyword,
+          index: match.index,
+          end: match.index + match[0].length,
+          weight,
+          negated: isNegated(prompt, match.index),
+          feature: match.index > featureStart
+        });
+      }
+    });
+  });
+
+  const kept = [];
+  candidates
+    .sort((a, b) => (b.end - b.index) - (a.end - a.index))
+    .forEach(candidate => {
+      const overlaps = kept.some(match => candidate.index < match.end && match.index < candidate.end &&
+        (match.componentType === candidate.componentType || match.end - match.index > candidate.end - candidate.index));
+      if (!overlaps) kept.push(candidate);
+    });
+
+  return kept.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Score a prompt against weighted keywords and rank the component types
+ * Negated keywords ("without a chart") count against their type; keywords after "with", "including", ...
+ * count half, since they describe features rather than the component itself
+ * @param {string} userPrompt - Prompt to classify
+ * @param {Object} [options] - Classification options
+ * @param {Object<string, Object<string, number>>} [options.patterns=COMPONENT_PATTERNS] - Weighted keywords
+ *   per type; on equal scores, types listed first win
+ * @returns {{componentType: string, componentTypes: Array<string>, composite: boolean, ranked: Array<Object>}}
+ *   The best type ('default' when nothing scored at least MIN_SCORE), every type of a composite component
+ *   (best first), and all types that matched with score, confidence (share of all positive scores) and matches;
+ *   each match has the applied weight it added to the score (negative when negated) and its rank among the
+ *   type's matches
+ */
+function classifyPrompt(userPrompt, options = {}) {
+  const patterns = options.patterns || COMPONENT_PATTERNS;
+  const matches = findMatches(normalize(userPrompt), patterns);
+
+  const ranked = Object.keys(patterns)
+    .map(componentType => {
+      const typeMatches = matches.filter(match => match.componentType === componentType);
+      // Strongest keywords count fully, each further one by another REPEAT_FACTOR
+      typeMatches
+        .map(match => ({ match, value: (match.negated ? -1 : 1) * match.weight * (match.feature ? FEATURE_FACTOR : 1) }))
+        .sort((a, b) => b.value - a.value)
+        .forEach(({ match, value }, rank) => {
+          match.rank = rank;
+          match.applied = value * Math.pow(REPEAT_FACTOR, rank);
+        });
+      const score = typeMatches.reduce((sum, match) => sum + match.applied, 0);
+      return { componentType, score: Math.round(score * 100) / 100, matches: typeMatches };
+    })
+    .filter(entry => entry.matches.length > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const total = ranked.reduce((sum, entry) => sum + Math.max(entry.score, 0), 0);
+  ranked.forEach(entry => {
+    entry.confidence = total > 0 ? Math.round(Math.max(entry.score, 0) / total * 100) / 100 : 0;
+  });
+
+  const top = ranked[0];
+  if (!top || top.score < MIN_SCORE) {
+    return { componentType: 'default', componentTypes: ['default'], composite: false, ranked };
+  }
+
+  const componentTypes = ranked
+    .filter(entry => entry.score >= Math.max(top.score * COMPOSITE_RATIO, MIN_SCORE))
+    .slice(0, MAX_COMPOSITE_TYPES)
+    .map(entry => entry.componentType);
+
+  return { componentType: top.componentType, componentTypes, composite: componentTypes.length > 1, ranked };
+}
+
+/**
+ * Print how a prompt was classified: every matching type with its score, confidence and keywords
+ * @param {Object} classification - Result of classifyPrompt
+ */
+function printClassification(classification) {
+  const { componentType, componentTypes, composite, ranked } = classification;
+
+  logger.info(`🎯 Component type: ${componentType}${composite ? ` (composite: ${componentTypes.join(' + ')})` : ''}`);
+  if (ranked.length === 0) {
+    logger.info('   No keywords matched; using the default system prompt');
+    return;
+  }
+
+  logger.info('\n📊 Ranking:');
+  ranked.forEach(entry => {
+    const marker = componentTypes.includes(entry.componentType) ? '✅' : '  ';
+    logger.info(`${marker} ${entry.componentType.padEnd(16)} score ${entry.score.toFixed(2).padStart(5)}  confidence ${Math.round(entry.confidence * 100)}%`);
+    // Applied weights add up to the score; the notes say why one differs from the keyword's own weight
+    entry.matches.forEach(match => {
+      const applied = Math.abs(match.applied);
+      const notes = [
+        applied !== match.weight && `weight ${match.weight}`,
+        match.negated && 'negated',
+        match.feature && 'feature',
+        match.rank > 0 && `repeat x${Math.pow(REPEAT_FACTOR, match.rank)}`
+      ].filter(Boolean);
+      logger.info(`      ${match.negated ? '-' : '+'}${Number(applied.toFixed(2))} "${match.keyword}"${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+    });
+  });
+
+  if (componentType === 'default') {
+    logger.info(`\n💡 No type reached a score of ${MIN_SCORE}; using the default system prompt`);
+  }
+}
+
+module.exports = {
+  COMPONENT_PATTERNS,
+  DEFAULT_KEYWORD_WEIGHT,
+  classifyPrompt,
+  printClassification
+};
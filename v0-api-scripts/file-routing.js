@@ -0,0 +1,201 @@
+/**
+ * File Routing
+ * Maps the paths v0 generates (app/page.tsx, components/ui/button.tsx, ...) to project locations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ACTIONS = ['skip', 'skip-if-exists', 'rename', 'redirect'];
+
+/**
+ * Turn a glob into a regular expression with one capture group per wildcard
+ * Supports ** (any number of path segments), * (within one segment) and ? (one character)
+ * @param {string} glob - Glob pattern, e.g. "components/ui/**"
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        // "**/" may also match no directory at all
+        source += '(?:(.*)/)?';
+        i += 2;
+      } else {
+        source += '(.*)';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '([^/]*)';
+    } else if (char === '?') {
+      source += '([^/])';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Fill the wildcards of a target pattern with the values captured from the source path
+ * A target without wildcards ending in "/" is treated as a directory and keeps the file name
+ * @param {string} target - Target pattern, e.g. "src/app/**"
+ * @param {Array<string>} captures - Values captured by globToRegExp
+ * @param {string} name - Original file name
+ * @returns {string} Target path
+ */
+function fillTarget(target, captures, name) {
+  if (!/[*?]/.test(target)) {
+    return target.endsWith('/') ? path.posix.join(target, path.posix.basename(name)) : target;
+  }
+
+  let index = 0;
+  const filled = target.replace(/\*\*|\*|\?/g, () => captures[index++] || '');
+  return path.posix.normalize(filled).replace(/^\.\//, '');
+}
+
+/**
+ * The directory a target pattern can never leave: its literal part up to the last "/" before any wildcard
+ * @param {string} target - Target pattern, e.g. "src/app/**" (→ "src/app/") or "lib/cn.ts" (→ "lib/")
+ * @returns {string} Literal directory prefix, '' when the pattern starts with a wildcard or names a top-level file
+ */
+function literalPrefix(target) {
+  const literal = target.split(/[*?]/)[0];
+  return literal.slice(0, literal.lastIndexOf('/') + 1);
+}
+
+/**
+ * Check a generated name before any rule sees it: globs match the raw name, so "app/../../package.json"
+ * would otherwise match "app/**" and be routed anywhere
+ * @param {string} name - Generated file name, with forward slashes
+ * @returns {string|null} Why the name is refused, or null when it is fine
+ */
+function unsafeNameReason(name) {
+  if (path.posix.isAbsolute(name) || path.win32.isAbsolute(name)) return 'absolute path';
+  if (name.split('/').includes('..')) return 'contains ".." segments';
+  return null;
+}
+
+/**
+ * Normalize a routing rule from either its string or object form
+ *   "components/ui/** -> skip if exists"
+ *   "app/** -> src/app/**"
+ *   { match: 'lib/utils.ts', action: 'rename', to: 'lib/cn.ts' }
+ *   { match: 'components/ui/**', to: 'src/components/ui/**', ifExists: 'skip' }
+ * @param {string|Object} rule - Rule from the project config
+ * @returns {{match: string, action: string, to: (string|null), ifExists: (string|null), regExp: RegExp}} Normalized rule
+ */
+function normalizeRule(rule) {
+  let normalized = rule;
+
+  if (typeof rule === 'string') {
+    const [match, target] = rule.split('->').map(part => part.trim());
+    if (!match || !target) {
+      throw new Error(`Invalid routing rule "${rule}" (expected "<glob> -> <target>")`);
+    }
+
+    const keyword = target.toLowerCase().replace(/\s+/g, '-');
+    normalized = ['skip', 'skip-if-exists'].includes(keyword)
+      ? { match, action: keyword }
+      : { match, action: 'redirect', to: target };
+  }
+
+  if (!normalized || typeof normalized !== 'object') {
+    throw new Error(`Invalid routing rule ${JSON.stringify(rule)} (expected a string or an object)`);
+  }
+
+  const { match, to = null, ifExists = null } = normalized;
+  const action = normalized.action || (to ? 'redirect' : null);
+
+  if (!match || !ACTIONS.includes(action)) {
+    throw new Error(`Invalid routing rule ${JSON.stringify(rule)} (actions: ${ACTIONS.join(', ')})`);
+  }
+  if (['rename', 'redirect'].includes(action) && !to) {
+    throw new Error(`Routing rule for "${match}" needs a "to" path to ${action}`);
+  }
+
+  return { match, action, to, ifExists, regExp: globToRegExp(match) };
+}
+
+/**
+ * Apply routing rules to generated files; the first matching rule wins
+ * Unmatched files go to the output directory unchanged
+ *   skip           - never write the file
+ *   skip-if-exists - write it to the output directory only if it isn't there yet
+ *   rename         - write it under the output directory with a new name
+ *   redirect       - write it relative to the project root instead of the output directory
+ * rename and redirect also accept ifExists: 'skip', and confine the file to the literal directory of their
+ * target ("src/app/**" keeps it inside src/app/). Names that are absolute or contain ".." are refused before
+ * any rule is matched
+ * @param {Array<{name: string, content: string}>} files - Files from extractFiles
+ * @param {string} outputDir - Output directory
+ * @param {Array<string|Object>} [routes] - Routing rules from the project config
+ * @param {Object} [options] - Routing options
+ * @param {string} [options.projectRoot=process.cwd()] - Directory redirect targets are relative to
+ * @returns {{files: Array<{name: string, content: string, baseDir: string, allowedRoot: (string|undefined), source: string}>,
+ *   skipped: Array<{name: string, reason: string}>, rejected: Array<{name: string, reason: string}>}}
+ *   Routed files (name is relative to baseDir; allowedRoot is the directory the path sandbox confines a renamed
+ *   or redirected file to), the files the rules skipped and the names refused before routing
+ */
+function routeGeneratedFiles(files, outputDir, routes = [], options = {}) {
+  const rules = routes.map(normalizeRule);
+  const projectRoot = path.relative(process.cwd(), path.resolve(options.projectRoot || process.cwd())) || '.';
+  const routed = [];
+  const skipped = [];
+  const rejected = [];
+
+  files.forEach(file => {
+    const name = file.name.replace(/\\/g, '/').replace(/^\.\//, '');
+    const unsafe = unsafeNameReason(name);
+    if (unsafe) {
+      rejected.push({ name: file.name, reason: unsafe });
+      return;
+    }
+
+    let target = { ...file, baseDir: outputDir, source: file.name };
+
+    for (const rule of rules) {
+      const match = rule.regExp.exec(name);
+      if (!match) continue;
+
+      if (rule.action === 'skip') {
+        skipped.push({ name: file.name, reason: `skipped by rule "${rule.match}"` });
+        return;
+      }
+
+      if (rule.action === 'rename' || rule.action === 'redirect') {
+        const baseDir = rule.action === 'redirect' ? projectRoot : outputDir;
+        target = {
+          ...target,
+          name: fillTarget(rule.to, match.slice(1), name),
+          baseDir,
+          allowedRoot: path.join(baseDir, literalPrefix(rule.to))
+        };
+      }
+
+      const skipIfExists = rule.action === 'skip-if-exists' || rule.ifExists === 'skip';
+      if (skipIfExists && fs.existsSync(path.join(target.baseDir, target.name))) {
+        skipped.push({ name: file.name, reason: `${path.join(target.baseDir, target.name)} exists, rule "${rule.match}"` });
+        return;
+      }
+
+      break;
+    }
+
+    routed.push(target);
+  });
+
+  return { files: routed, skipped, rejected };
+}
+
+module.exports = {
+  globToRegExp,
+  literalPrefix,
+  normalizeRule,
+  routeGeneratedFiles
+};
@@ -0,0 +1,326 @@
+/**
+ * Generated File Helpers
+ * Shared logic for extracting and saving the files produced by a v0 generation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createUnifiedDiff } = require('./unified-diff');
+const { mergeThreeWay } = require('./three-way-merge');
+const { partitionSafeFiles } = require('./path-sandbox');
+const { routeGeneratedFiles } = require('./file-routing');
+const { DownloadWriteError } = require('./v0-errors');
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+/**
+ * Extract generated files from a chat or version object
+ * Handles both the latestVersion.files and the chat.files structures
+ * @param {Object} source - Chat or version returned by the v0 API
+ * @returns {Array<{name: string, content: string}>} Normalized file list
+ */
+function extractFiles(source) {
+  if (!source) return [];
+
+  let files = [];
+
+  if (source.object === 'version') {
+    logger.info(`📁 Using files from version ${source.id}`);
+    files = source.files || [];
+  } else if (source.latestVersion?.files && source.latestVersion.files.length > 0) {
+    logger.info('📁 Using files from latestVersion');
+    files = source.latestVersion.files;
+  } else if (source.files && source.files.length > 0) {
+    logger.info('📁 Using files from chat root');
+    files = source.files;
+  }
+
+  const normalized = [];
+
+  files.forEach((file, index) => {
+    if (file.name && file.content) {
+      // latestVersion.files structure
+      normalized.push({ name: file.name, content: file.content });
+    } else if (file.meta?.file && file.source) {
+      // chat.files structure
+      normalized.push({ name: file.meta.file, content: file.source });
+    } else {
+      logger.info(`⚠️  Skipping file ${index + 1}: missing name or content`);
+      logger.debug(`    File object:`, file);
+    }
+  });
+
+  return normalized;
+}
+
+// Snapshots of what v0 last delivered for each file, used as the merge base
+const BASE_DIR = path.join('.v0', 'base');
+
+/**
+ * Location of the base snapshot for a target file
+ * @param {string} filePath - Target file path
+ * @returns {string} Snapshot path under .v0/base
+ */
+function getBasePath(filePath) {
+  const key = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex');
+  return path.join(process.cwd(), BASE_DIR, key);
+}
+
+/**
+ * Read the base snapshot recorded by the last download of a file
+ * @param {string} filePath - Target file path
+ * @returns {string|null} Snapshot content, or null if the file was never downloaded
+ */
+function readBaseSnapshot(filePath) {
+  const basePath = getBasePath(filePath);
+  return fs.existsSync(basePath) ? fs.readFileSync(basePath, 'utf8') : null;
+}
+
+/**
+ * Record the content v0 delivered for a file as the base for the next merge
+ * @param {string} filePath - Target file path
+ * @param {string} content - Content delivered by v0
+ * @param {RunJournal} [journal] - Journal of the current run
+ */
+function writeBaseSnapshot(filePath, content, journal) {
+  const basePath = getBasePath(filePath);
+  if (journal) journal.track(basePath);
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+  fs.writeFileSync(basePath, content, 'utf8');
+}
+
+/**
+ * Write a file through a temporary file and a rename, so an interrupted run never leaves half a file behind
+ * @param {string} filePath - Target file path
+ * @param {string} content - File content
+ * @throws {DownloadWriteError} When the file can't be written
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.v0-tmp-${process.pid}`;
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, content, 'utf8');
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    throw new DownloadWriteError(`Failed to write ${filePath}: ${error.message}`, { path: filePath, cause: error });
+  }
+}
+
+/**
+ * Write generated files into the output directory
+ * @param {Array<{name: string, content: string}>} files - Files from extractFiles
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.onlyChanged=false] - Skip files whose content on disk is identical
+ * @param {boolean} [options.merge=false] - Three-way merge local edits with the new content instead of overwriting
+ * @param {string} [options.conflictStyle='markers'] - 'markers' writes conflict markers into the file,
+ *   'sidecar' keeps the local file and writes the new content next to it as <file>.v0-incoming
+ * @param {string} [options.label='v0'] - Label for the incoming side of conflict markers
+ * @param {RunJournal} [options.journal] - Journal that snapshots each file before it is written
+ * @param {string} [options.allowedRoot=outputDir] - Directory no generated file may escape
+ * @param {Array<string>} [options.allowedExtensions] - Extensions that may be written
+ * @param {Array<string|Object>} [options.routes] - Routing rules, see routeGeneratedFiles
+ * @param {string} [options.projectRoot] - Directory redirect targets are relative to (default: cwd)
+ * @returns {{saved: Array<string>, unchanged: Array<string>, conflicts: Array<Object>, rejected: Array<Object>,
+ *   skipped: Array<Object>}} Written and untouched file paths, one { path, reason, conflicts, sidecar } entry per
+ *   file that could not be merged cleanly, and one { name, reason } entry per file refused by the path sandbox
+ *   or skipped by a routing rule
+ */
+function writeGeneratedFiles(files, outputDir, options = {}) {
+  const { onlyChanged = false, merge = false, conflictStyle = 'markers', label = 'v0', journal = null } = options;
+  const saved = [];
+  const unchanged = [];
+  const conflicts = [];
+
+  if (merge && !['markers', 'sidecar'].includes(conflictStyle)) {
+    throw new Error(`Invalid conflict style: ${conflictStyle} (expected markers or sidecar)`);
+  }
+
+  // Create output directory
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    logger.info(`📁 Created directory: ${outputDir}`);
+  }
+
+  const { files: routed, skipped, rejected: unroutable } = routeGeneratedFiles(files, outputDir, options.routes, options);
+  skipped.forEach(({ name, reason }) => logger.info(`⏭️  Skipped: ${name} (${reason})`));
+
+  // Never trust file names from the API: anything that would land outside the output directory is dropped
+  const { accepted, rejected: unsafe } = partitionSafeFiles(routed, outputDir, options);
+  const rejected = [...unroutable, ...unsafe];
+  rejected.forEach(({ name, reason }) => logger.info(`🚫 Rejected: ${name} (${reason})`));
+
+  accepted.forEach(({ path: filePath, content }) => {
+    const local = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    let output = content;
+
+    if ((onlyChanged || merge) && local === content) {
+      logger.info(`⏭️  Unchanged: ${filePath}`);
+      writeBaseSnapshot(filePath, content, journal);
+      unchanged.push(filePath);
+      return;
+    }
+
+    if (merge && local !== null) {
+      const base = readBaseSnapshot(filePath);
+
+      if (base === null) {
+        // Never downloaded before, so local edits can't be told apart from v0 changes
+        if (journal) journal.track(`${filePath}.v0-incoming`);
+        writeFileAtomic(`${filePath}.v0-incoming`, content);
+        logger.info(`⚠️  No base snapshot for ${filePath}; wrote ${filePath}.v0-incoming`);
+        conflicts.push({ path: filePath, reason: 'no-base', conflicts: 0, sidecar: `${filePath}.v0-incoming` });
+        writeBaseSnapshot(filePath, content, journal);
+        return;
+      }
+
+      if (base !== local) {
+        const result = mergeThreeWay(base, local, content, { local: 'local', incoming: label });
+
+        if (result.conflicts > 0 && conflictStyle === 'sidecar') {
+          if (journal) journal.track(`${filePath}.v0-incoming`);
+          writeFileAtomic(`${filePath}.v0-incoming`, content);
+          logger.info(`⚠️  Conflict: kept local ${filePath}; wrote ${filePath}.v0-incoming`);
+          conflicts.push({ path: filePath, reason: 'conflict', conflicts: result.conflicts, sidecar: `${filePath}.v0-incoming` });
+          writeBaseSnapshot(filePath, content, journal);
+          return;
+        }
+
+        if (result.conflicts > 0) {
+          logger.info(`⚠️  Conflict: ${result.conflicts} conflicting hunks marked in ${filePath}`);
+          conflicts.push({ path: filePath, reason: 'conflict', conflicts: result.conflicts, sidecar: null });
+        } else if (result.content === local) {
+          // v0 changed nothing the local edits don't already cover
+          logger.info(`⏭️  Unchanged: ${filePath} (local edits kept)`);
+          writeBaseSnapshot(filePath, content, journal);
+          unchanged.push(filePath);
+          return;
+        } else {
+          logger.info(`🔀 Merged local edits into ${filePath}`);
+        }
+
+        output = result.content;
+      }
+    }
+
+    if (journal) journal.track(filePath);
+    writeFileAtomic(filePath, output);
+    writeBaseSnapshot(filePath, content, journal);
+
+    logger.info(`✅ Saved: ${filePath} (${output.length} characters)`);
+    saved.push(filePath);
+  });
+
+  return { saved, unchanged, conflicts, rejected, skipped };
+}
+
+/**
+ * Print the conflicts left behind by a merge
+ * @param {Array<Object>} conflicts - Conflict entries from writeGeneratedFiles
+ */
+function printConflictSummary(conflicts) {
+  if (conflicts.length === 0) return;
+
+  logger.info(`\n⚠️  MERGE CONFLICTS: ${conflicts.length} files need manual review`);
+  conflicts.forEach(conflict => {
+    if (conflict.sidecar) {
+      logger.info(`   ❗ ${conflict.path} → compare with ${conflict.sidecar}${conflict.reason === 'no-base' ? ' (no base snapshot)' : ''}`);
+    } else {
+      logger.info(`   ❗ ${conflict.path} (conflicting hunks: ${conflict.conflicts})`);
+    }
+  });
+  logger.info('💡 Resolve the conflicts, then delete any .v0-incoming files');
+}
+
+/**
+ * Work out what writing the generated files would do, without touching the disk
+ * @param {Array<{name: string, content: string}>} files - Files from extractFiles
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Routing and path sandbox options, see writeGeneratedFiles
+ * @returns {Array<{path: string, action: string, current: (string|null), content: string}>} Plan entries
+ *   where action is 'create', 'modify', 'unchanged', 'skip' or 'rejected' (the last two with a reason)
+ */
+function planGeneratedFiles(files, outputDir, options = {}) {
+  const { files: routed, skipped, rejected: unroutable } = routeGeneratedFiles(files, outputDir, options.routes, options);
+  const { accepted, rejected: unsafe } = partitionSafeFiles(routed, outputDir, options);
+  const rejected = [...unroutable, ...unsafe];
+
+  const plan = accepted.map(({ path: filePath, content }) => {
+    const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+
+    let action = 'create';
+    if (current !== null) {
+      action = current === content ? 'unchanged' : 'modify';
+    }
+
+    return { path: filePath, action, current, content };
+  });
+
+  skipped.forEach(({ name, reason }) => {
+    plan.push({ path: name, action: 'skip', reason, current: null, content: null });
+  });
+  rejected.forEach(({ name, reason }) => {
+    plan.push({ path: name, action: 'rejected', reason, current: null, content: null });
+  });
+
+  return plan;
+}
+
+/**
+ * Print a unified diff for every file a plan would create or modify
+ * @param {Array<Object>} plan - Entries from planGeneratedFiles
+ */
+function printPlanDiff(plan) {
+  plan.forEach(entry => {
+    if (entry.action === 'unchanged') {
+      logger.info(`⏭️  Unchanged: ${entry.path}`);
+      return;
+    }
+    if (entry.action === 'skip') {
+      logger.info(`⏭️  Skipped: ${entry.path} (${entry.reason})`);
+      return;
+    }
+    if (entry.action === 'rejected') {
+      logger.info(`🚫 Rejected: ${entry.path} (${entry.reason})`);
+      return;
+    }
+
+    logger.info(`\n📝 ${entry.action === 'create' ? 'Create' : 'Modify'}: ${entry.path}`);
+    const diff = createUnifiedDiff(entry.current || '', entry.content, {
+      fromFile: entry.action === 'create' ? '/dev/null' : `a/${entry.path}`,
+      toFile: `b/${entry.path}`
+    });
+    logger.info(diff.trimEnd());
+  });
+}
+
+/**
+ * Build the machine-readable form of a plan for --plan output
+ * @param {Array<Object>} plan - Entries from planGeneratedFiles
+ * @param {Object} [meta] - Extra fields to include, e.g. chatId and versionId
+ * @returns {Object} Plan with per-path actions and a summary of counts
+ */
+function formatPlan(plan, meta = {}) {
+  const summary = { create: 0, modify: 0, unchanged: 0, skip: 0, rejected: 0 };
+  plan.forEach(entry => summary[entry.action]++);
+
+  return {
+    ...meta,
+    files: plan.map(({ path: filePath, action, reason }) => (reason ? { path: filePath, action, reason } : { path: filePath, action })),
+    summary
+  };
+}
+
+module.exports = {
+  extractFiles,
+  writeGeneratedFiles,
+  printConflictSummary,
+  readBaseSnapshot,
+  planGeneratedFiles,
+  printPlanDiff,
+  formatPlan
+};
@@ -0,0 +1,190 @@
+/**
+ * Generation History
+ * Records every generation in .v0/history.jsonl (prompt, enhanced prompt, component type, chat, output and
+ * files) so past runs can be searched, re-run and re-downloaded without the v0 API's recent-chats list
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getExitCode, V0ValidationError } = require('./v0-errors');
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+// One JSON object per line, appended; a line cut short by a crash only loses that run
+const HISTORY_FILE = path.join('.v0', 'history.jsonl');
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Build the history entry of a finished (or failed) generation
+ * @param {string} command - Command that ran: generate, create, refine or batch
+ * @param {Object} options - Options the command ran with (prompt, modelId, outputDir, ...)
+ * @param {Object} outcome - What happened
+ * @param {Object} [outcome.chat] - Chat result of createAndDownload / generateComponent / refineAndDownload
+ * @param {Error} [outcome.error] - Error that ended the generation
+ * @param {string} [outcome.runId] - Run journal ID of the download, for undo
+ * @returns {Object} History entry
+ */
+function createEntry(command, options, { chat, error, runId } = {}) {
+  const failure = error || chat?.downloadFailure || null;
+  const files = chat?.downloadedFiles || [];
+
+  return {
+    id: crypto.randomBytes(4).toString('hex'),
+    createdAt: new Date().toISOString(),
+    command,
+    ok: !failure,
+    exitCode: failure ? getExitCode(failure) : 0,
+    prompt: options.prompt,
+    enhancedPrompt: chat?.enhancedPrompt ?? null,
+    componentType: chat?.componentType ?? options.componentType ?? null,
+    // Only a system prompt the user chose; the smart generator's is derived from the component type
+    system: command === 'create' ? options.system ?? null : null,
+    modelId: options.modelId ?? chat?.modelId ?? null,
+    thinking: Boolean(options.thinking),
+    privacy: options.privacy ?? null,
+    outputDir: options.outputDir,
+    chatId: chat?.id ?? error?.chatId ?? options.chatId ?? null,
+    versionId: chat?.latestVersion?.id ?? null,
+    webUrl: chat?.webUrl ?? null,
+    status: chat?.autoDownloadStatus ?? null,
+    files,
+    runId: files.length > 0 ? runId ?? null : null,
+    ...(options.rerunOf && { rerunOf: options.rerunOf }),
+    error: failure ? failure.message : null
+  };
+}
+
+/**
+ * Append a generation to the history
+ * Never throws: a history that can't be written must not fail the generation it describes
+ * @param {string} command - Command that ran
+ * @param {Object} options - Options the command ran with
+ * @param {Object} outcome - { chat, error, runId }, see createEntry
+ * @returns {Object|null} The recorded entry, or null when it couldn't be written
+ */
+function recordGeneration(command, options, outcome) {
+  try {
+    const entry = createEntry(command, options, outcome);
+    const historyPath = path.join(process.cwd(), HISTORY_FILE);
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    fs.appendFileSync(historyPath, JSON.stringify(entry) + '\n', 'utf8');
+    logger.debug(`🗂️  Recorded ${command} run ${entry.id} in ${HISTORY_FILE}`);
+    return entry;
+  } catch (error) {
+    logger.warn(`⚠️  Could not record the run in ${HISTORY_FILE}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read every recorded generation, oldest first
+ * Lines that aren't valid JSON (e.g. cut short by a crash) are skipped
+ * @returns {Array<Object>} History entries
+ */
+function readHistory() {
+  const historyPath = path.join(process.cwd(), HISTORY_FILE);
+  if (!fs.existsSync(historyPath)) return [];
+
+  const entries = [];
+  fs.readFileSync(historyPath, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`⚠️  Skipping unreadable line ${index + 1} of ${HISTORY_FILE}`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Parse a --since / --until value
+ * @param {string} value - A date (2025-01-31, 2025-01-31T12:00) or an age such as 30m, 12h, 7d or 2w
+ * @returns {string} ISO timestamp
+ * @throws {Error} When the value is neither
+ */
+function parseHistoryDate(value) {
+  const age = /^(\d+)([mhdw])$/.exec(value);
+  const time = age ? Date.now() - Number(age[1]) * DURATION_UNITS[age[2]] : Date.parse(value);
+  if (Number.isNaN(time)) throw new Error('requires a date (e.g. 2025-01-31) or an age (e.g. 12h, 7d)');
+  return new Date(time).toISOString();
+}
+
+/**
+ * Search the history, newest first
+ * @param {Object} [filters] - Search filters; all given filters must match
+ * @param {string} [filters.query] - Text in the prompt or enhanced prompt (case-insensitive)
+ * @param {string} [filters.componentType] - Component type
+ * @param {string} [filters.since] - Earliest ISO timestamp
+ * @param {string} [filters.until] - Latest ISO timestamp
+ * @param {string} [filters.path] - Part of the output directory or of a written file's path
+ * @param {number} [filters.limit] - Maximum number of entries
+ * @returns {Array<Object>} Matching entries
+ */
+function searchHistory(filters = {}) {
+  const query = filters.query?.toLowerCase();
+  const pathFragment = filters.path && path.normalize(filters.path).replace(/^\.[\\/]/, '');
+
+  const matches = readHistory().reverse().filter(entry =>
+    (!query || [entry.prompt, entry.enhancedPrompt].some(text => text?.toLowerCase().includes(query))) &&
+    (!filters.componentType || entry.componentType === filters.componentType) &&
+    (!filters.since || entry.createdAt >= filters.since) &&
+    (!filters.until || entry.createdAt <= filters.until) &&
+    (!pathFragment || [entry.outputDir, ...entry.files].some(file => file && path.normalize(file).includes(pathFragment)))
+  );
+
+  return filters.limit ? matches.slice(0, filters.limit) : matches;
+}
+
+/**
+ * Find one entry by its ID or an unambiguous prefix of it
+ * @param {string} id - Entry ID (or prefix)
+ * @returns {Object} The entry
+ * @throws {V0ValidationError} When no entry or more than one matches
+ */
+function findHistoryEntry(id) {
+  const matches = readHistory().filter(entry => entry.id.startsWith(id));
+  if (matches.length === 0) {
+    throw new V0ValidationError(`No run "${id}" in ${HISTORY_FILE} (see "v0 history")`);
+  }
+  if (matches.length > 1) {
+    throw new V0ValidationError(`"${id}" matches ${matches.length} runs: ${matches.map(entry => entry.id).join(', ')}`);
+  }
+  return matches[0];
+}
+
+/**
+ * Print history entries, one block per run
+ * @param {Array<Object>} entries - Entries to print
+ */
+function printHistory(entries) {
+  if (entries.length === 0) {
+    logger.info('📭 No matching runs recorded yet');
+    return;
+  }
+
+  logger.info(`🗂️  ${entries.length} run${entries.length === 1 ? '' : 's'}:\n`);
+  entries.forEach(entry => {
+    const prompt = entry.prompt.length > 80 ? `${entry.prompt.slice(0, 77)}...` : entry.prompt;
+    logger.info(`${entry.ok ? '✅' : '❌'} ${entry.id}  ${entry.createdAt.replace('T', ' ').slice(0, 19)}  ${entry.command}${entry.componentType ? ` (${entry.componentType})` : ''}`);
+    logger.info(`   📝 ${prompt}`);
+    logger.info(`   💬 Chat: ${entry.chatId || 'none'}${entry.versionId ? `  Version: ${entry.versionId}` : ''}`);
+    logger.info(`   📁 ${entry.outputDir}: ${entry.files.length} files${entry.status ? ` (${entry.status})` : ''}`);
+    if (entry.error) logger.info(`   ❗ ${entry.error}`);
+    logger.info('');
+  });
+  logger.info('💡 Re-run one with "v0 rerun <id>", or download its files again with "v0 redownload <id>"');
+}
+
+module.exports = {
+  HISTORY_FILE,
+  recordGeneration,
+  readHistory,
+  parseHistoryDate,
+  searchHistory,
+  findHistoryEntry,
+  printHistory
+};
@@ -0,0 +1,186 @@
+/**
+ * Generation Progress
+ * Turns chat polling into a stream of progress events that callers can render or stop at any time
+ */
+
+const { isAbortError, sleep, throwIfAborted } = require('./cancellation');
+const { isAuthError } = require('./retry-policy');
+const { getLogger } = require('./logger');
+
+const DEFAULT_POLL_INTERVAL = 2000;
+
+/**
+ * Watch a chat until its generation finishes
+ * Yields progress events; breaking out of the loop stops polling immediately.
+ *   { type: 'status', status, previousStatus, versionId, elapsed } - the version status changed
+ *   { type: 'file', name, versionId, elapsed }                      - a file name appeared in the version
+ *   { type: 'waiting', status, versionId, elapsed }                 - still generating (once per poll)
+ *   { type: 'error', error, elapsed }                               - a poll failed; watching continues
+ *                                                                     (auth errors end the watch by throwing)
+ *   { type: 'completed', versionId, chat, elapsed }                 - final event on success
+ *   { type: 'failed', versionId, chat, elapsed }                    - final event on failure
+ *   { type: 'timeout', status, elapsed }                            - final event when maxWaitTime ran out
+ * elapsed is in seconds. Aborting the signal rejects the next step with the abort reason.
+ * @param {Object} client - Anything with a getChat(chatId, { signal }) method, e.g. a V0ChatCreator
+ * @param {string} chatId - The chat ID
+ * @param {Object} [options] - Watch options
+ * @param {string} [options.previousVersionId] - Ignore this version and wait for a newer one
+ * @param {number} [options.maxWaitTime=300] - Give up after this many seconds
+ * @param {number} [options.interval=2000] - Milliseconds between polls
+ * @param {AbortSignal} [options.signal] - Stops polling (including an in-flight request) when aborted
+ * @returns {AsyncGenerator<Object>} Progress events
+ */
+async function* watchGeneration(client, chatId, options = {}) {
+  const { previousVersionId, maxWaitTime = 300, interval = DEFAULT_POLL_INTERVAL, signal } = options;
+  const startTime = Date.now();
+  const seenFiles = new Set();
+  let lastStatus = 'unknown';
+
+  const elapsed = () => Math.round((Date.now() - startTime) / 1000);
+
+  while (Date.now() - startTime < maxWaitTime * 1000) {
+    throwIfAborted(signal);
+
+    let chat;
+    try {
+      chat = await client.getChat(chatId, { signal });
+    } catch (error) {
+      // Polling again won't fix a rejected API key
+      if (isAbortError(error) || isAuthError(error)) throw error;
+      yield { type: 'error', error, elapsed: elapsed() };
+      await sleep(interval, signal);
+      continue;
+    }
+
+    const version = chat.latestVersion;
+    const isNew = version && version.id !== previousVersionId;
+    const status = isNew ? version.status || 'unknown' : 'pending';
+
+    if (status !== lastStatus) {
+      yield { type: 'status', status, previousStatus: lastStatus, versionId: isNew ? version.id : null, elapsed: elapsed() };
+      lastStatus = status;
+    }
+
+    if (isNew) {
+      for (const file of version.files || []) {
+        const name = file.name || file.meta?.file;
+        if (name && !seenFiles.has(name)) {
+          seenFiles.add(name);
+          yield { type: 'file', name, versionId: version.id, elapsed: elapsed() };
+        }
+      }
+
+      if (status === 'completed') {
+        yield { type: 'completed', versionId: version.id, chat, elapsed: elapsed() };
+        return;
+      }
+      if (status === 'failed') {
+        yield { type: 'failed', versionId: version.id, chat, elapsed: elapsed() };
+        return;
+      }
+    }
+
+    yield { type: 'waiting', status, versionId: isNew ? version.id : null, elapsed: elapsed() };
+    await sleep(interval, signal);
+  }
+
+  yield { type: 'timeout', status: lastStatus, elapsed: elapsed() };
+}
+
+/**
+ * Create a progress display for the CLI
+ * On a terminal a single status line is redrawn in place; otherwise only changes are printed.
+ * Follows the logger: its stream (stderr when a command prints --json results), nothing below info level,
+ * and log records instead of raw lines in JSON mode.
+ * @param {Object} [stream] - Output stream (default: the logger's stream)
+ * @param {Logger} [logger] - Logger whose stream, level and format apply (default: the shared logger)
+ * @returns {function(Object): void} Handler for watchGeneration events
+ */
+function createProgressRenderer(stream, logger = getLogger()) {
+  if (logger.isLevelEnabled && !logger.isLevelEnabled('info')) return () => {};
+  stream = stream || logger.stream || process.stdout;
+  if (logger.format === 'json') {
+    stream = { isTTY: false, write: text => logger.info(text) };
+  }
+
+  const spinner = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+  let frame = 0;
+  let lineOpen = false;
+
+  const endLine = () => {
+    if (lineOpen) {
+      stream.write('\n');
+      lineOpen = false;
+    }
+  };
+
+  return event => {
+    switch (event.type) {
+      case 'status':
+        endLine();
+        stream.write(`📊 Status: ${event.previousStatus} → ${event.status}${event.versionId ? ` (version ${event.versionId})` : ''}\n`);
+        break;
+      case 'file':
+        endLine();
+        stream.write(`   📄 ${event.name}\n`);
+        break;
+      case 'waiting':
+        if (stream.isTTY) {
+          stream.write(`\r${spinner[frame++ % spinner.length]} Generating... ${event.elapsed}s elapsed (${event.status})`);
+          lineOpen = true;
+        } else if (frame++ % 15 === 14) {
+          stream.write(`⏳ Still waiting... (${event.elapsed}s elapsed, status: ${event.status})\n`);
+        }
+        break;
+      case 'error':
+        endLine();
+        stream.write(`⚠️  Error checking generation status: ${event.error.message} (retrying)\n`);
+        break;
+      case 'completed':
+        endLine();
+        stream.write(`✅ Generation completed in ${event.elapsed}s (version ${event.versionId})\n`);
+        break;
+      case 'failed':
+        endLine();
+        stream.write(`❌ Generation of version ${event.versionId} failed after ${event.elapsed}s\n`);
+        break;
+      case 'timeout':
+        endLine();
+        stream.write(`⏰ Still ${event.status} after ${event.elapsed}s\n`);
+        break;
+      default:
+        break;
+    }
+  };
+}
+
+/**
+ * Wait for a generation to finish, reporting progress along the way
+ * @param {Object} client - Anything with a getChat(chatId, { signal }) method; its logger, if any, drives the default display
+ * @param {string} chatId - The chat ID
+ * @param {Object} [options] - Options for watchGeneration, plus:
+ * @param {function(Object): (void|boolean)} [options.onProgress] - Receives every event (default: CLI renderer);
+ *   return false to stop waiting
+ * @returns {Promise<Object>} The final event: completed, failed, timeout, or { type: 'stopped' } when onProgress stopped it;
+ *   rejects with the abort reason when options.signal aborts
+ */
+async function waitForGeneration(client, chatId, options = {}) {
+  const onProgress = options.onProgress || createProgressRenderer(undefined, client.logger);
+
+  for await (const event of watchGeneration(client, chatId, options)) {
+    if (onProgress(event) === false) {
+      return { type: 'stopped', elapsed: event.elapsed };
+    }
+    if (['completed', 'failed', 'timeout'].includes(event.type)) {
+      return event;
+    }
+  }
+
+  return { type: 'timeout', elapsed: options.maxWaitTime };
+}
+
+module.exports = {
+  watchGeneration,
+  createProgressRenderer,
+  waitForGeneration
+};
@@ -0,0 +1,219 @@
+/**
+ * Logger
+ * Leveled logging for the scripts and V0Client: human-readable text or JSON lines for CI,
+ * with the API key and other secrets from the environment redacted from every line
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const dotenv = require('dotenv');
+
+const LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4, trace: 5 };
+const REDACTED = '[REDACTED]';
+
+// Environment variables whose values are always treated as secrets
+const SECRET_NAME = /KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL|AUTH|PRIVATE/i;
+// Shorter values (ports, flags) would redact unrelated text
+const MIN_SECRET_LENGTH = 8;
+
+let envFileValues = null;
+
+/**
+ * Values defined in the project's .env file, which may hold secrets under any name
+ * @returns {Array<string>} Values, read once per process
+ */
+function readEnvFileValues() {
+  if (envFileValues === null) {
+    try {
+      envFileValues = Object.values(dotenv.parse(fs.readFileSync(path.join(process.cwd(), '.env'))));
+    } catch (error) {
+      envFileValues = [];
+    }
+  }
+  return envFileValues;
+}
+
+/**
+ * Collect the strings that must never appear in log output
+ * @param {Array<string>} [extra] - Additional secrets, e.g. an API key passed in code
+ * @returns {Array<string>} Secrets, longest first so overlapping values redact fully
+ */
+function collectSecrets(extra = []) {
+  const fromEnv = Object.entries(process.env)
+    .filter(([name]) => SECRET_NAME.test(name))
+    .map(([, value]) => value);
+
+  return [...new Set([...fromEnv, ...readEnvFileValues(), ...extra])]
+    .filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Replace secrets and bearer tokens in a string
+ * @param {string} text - Text to clean
+ * @param {Array<string>} [secrets] - Secrets to remove (default: collectSecrets())
+ * @returns {string} Redacted text
+ */
+function redact(text, secrets = collectSecrets()) {
+  const cleaned = secrets.reduce((result, secret) => result.split(secret).join(REDACTED), String(text));
+  return cleaned.replace(/\b(Bearer\s+)[^\s"'`,]+/gi, `$1${REDACTED}`);
+}
+
+/**
+ * Normalise a level name
+ * @param {string} level - Level name
+ * @returns {string} Valid level name
+ */
+function parseLevel(level) {
+  const name = String(level).toLowerCase();
+  if (!(name in LEVELS)) {
+    throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  }
+  return name;
+}
+
+/**
+ * Leveled, redacting logger
+ * Methods take the same arguments as console.log. Text output goes to stdout, warnings and errors to stderr;
+ * JSON output writes one { time, level, msg } object per line to a single stream.
+ */
+class Logger {
+  /**
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.level='info'] - silent, error, warn, info, debug or trace
+   * @param {string} [options.format='text'] - 'text' or 'json'
+   * @param {Object} [options.stream=process.stdout] - Stream for text output and all JSON lines
+   * @param {Object} [options.errorStream=process.stderr] - Stream for text warnings and errors
+   * @param {Array<string>} [options.secrets] - Extra values to redact
+   */
+  constructor(options = {}) {
+    this.level = 'info';
+    this.format = 'text';
+    this.stream = process.stdout;
+    this.errorStream = process.stderr;
+    this.secrets = [];
+    this.configure(options);
+  }
+
+  /**
+   * Change settings in place, so modules that already hold this logger pick them up
+   * @param {Object} options - Any constructor option
+   * @returns {Logger} This logger
+   */
+  configure(options = {}) {
+    if (options.level !== undefined) this.level = parseLevel(options.level);
+    if (options.format !== undefined) {
+      if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown log format "${options.format}" (expected text or json)`);
+      }
+      this.format = options.format;
+    }
+    if (options.stream) this.stream = options.stream;
+    if (options.errorStream) this.errorStream = options.errorStream;
+    if (options.secrets) this.secrets = [...this.secrets, ...options.secrets];
+    return this;
+  }
+
+  /**
+   * Check whether messages of a level are written
+   * @param {string} level - Level name
+   * @returns {boolean} True if enabled
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.level];
+  }
+
+  /**
+   * Write one message
+   * @param {string} level - Level name
+   * @param {Array} args - console.log-style arguments
+   */
+  write(level, args) {
+    if (LEVELS[level] === 0 || !this.isLevelEnabled(level)) return;
+
+    const message = redact(util.format(...args), collectSecrets(this.secrets));
+
+    if (this.format === 'json') {
+      const record = { time: new Date().toISOString(), level, msg: message.trim() };
+      this.stream.write(`${JSON.stringify(record)}\n`);
+    } else {
+      const stream = LEVELS[level] <= LEVELS.warn ? this.errorStream : this.stream;
+      stream.write(`${message}\n`);
+    }
+  }
+
+  /** @param {...*} args - Message and values */
+  error(...args) { this.write('error', args); }
+
+  /** @param {...*} args - Message and values */
+  warn(...args) { this.write('warn', args); }
+
+  /** @param {...*} args - Message and values */
+  info(...args) { this.write('info', args); }
+
+  /** @param {...*} args - Message and values; request/response dumps and other detail */
+  debug(...args) { this.write('debug', args); }
+
+  /** @param {...*} args - Message and values; every API request and poll */
+  trace(...args) { this.write('trace', args); }
+}
+
+// Shared by every module; configured from V0_LOG_LEVEL / V0_LOG_FORMAT, then by CLI flags
+const defaultLogger = new Logger({
+  level: process.env.V0_LOG_LEVEL || 'info',
+  format: process.env.V0_LOG_FORMAT || 'text'
+});
+
+/**
+ * Get the shared logger
+ * @returns {Logger} Logger used wherever none is injected
+ */
+function getLogger() {
+  return defaultLogger;
+}
+
+/**
+ * Take the logging flags out of the command line and apply them to the shared logger
+ * Runs before each script parses its own arguments, so every command accepts them (later flags win):
+ *   --log-level <level>, --verbose (debug), --quiet (silent), --log-json
+ * @param {Array<string>} [argv=process.argv] - Command line, modified in place
+ * @returns {Logger} The shared logger
+ */
+function applyLogFlags(argv = process.argv) {
+  const rest = [];
+
+  try {
+    for (let i = 0; i < argv.length; i++) {
+      const flag = argv[i];
+
+      if (flag === '--log-level') {
+        defaultLogger.configure({ level: argv[++i] });
+      } else if (flag === '--verbose') {
+        defaultLogger.configure({ level: 'debug' });
+      } else if (flag === '--quiet') {
+        defaultLogger.configure({ level: 'silent' });
+      } else if (flag === '--log-json') {
+        defaultLogger.configure({ format: 'json' });
+      } else {
+        rest.push(flag);
+      }
+    }
+  } catch (error) {
+    defaultLogger.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  argv.splice(0, argv.length, ...rest);
+  return defaultLogger;
+}
+
+module.exports = {
+  LEVELS,
+  REDACTED,
+  Logger,
+  collectSecrets,
+  redact,
+  getLogger,
+  applyLogFlags
+};
@@ -0,0 +1,135 @@
+/**
+ * Path Sandbox
+ * Keeps generated file names from writing outside the output directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+// Extensions v0 is expected to generate; anything else is rejected
+const DEFAULT_ALLOWED_EXTENSIONS = [
+  '.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs',
+  '.css', '.scss', '.json', '.md', '.mdx', '.html', '.svg', '.txt'
+];
+
+/**
+ * Find the first existing symlink between root and target (root itself excluded)
+ * @param {string} root - Resolved root directory
+ * @param {string} target - Resolved target path inside root
+ * @returns {string|null} Path of the symlink, or null if there is none
+ */
+function findSymlink(root, target) {
+  let current = root;
+
+  for (const segment of path.relative(root, target).split(path.sep)) {
+    current = path.join(current, segment);
+
+    let stats;
+    try {
+      stats = fs.lstatSync(current);
+    } catch (error) {
+      // Nothing exists below a missing segment
+      return null;
+    }
+
+    if (stats.isSymbolicLink()) return current;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a generated file name against the output directory and check it is safe to write
+ * @param {string} outputDir - Output directory
+ * @param {string} name - File name returned by the API
+ * @param {Object} [options] - Sandbox options
+ * @param {string} [options.allowedRoot=outputDir] - Directory every target must stay inside
+ * @param {Array<string>} [options.allowedExtensions] - Extensions that may be written (default: DEFAULT_ALLOWED_EXTENSIONS)
+ * @returns {{path: (string|null), reason: (string|null)}} Resolved target path, or the reason it was rejected
+ */
+function resolveSafePath(outputDir, name, options = {}) {
+  const { allowedRoot = outputDir, allowedExtensions = DEFAULT_ALLOWED_EXTENSIONS } = options;
+  const reject = reason => ({ path: null, reason });
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return reject('empty file name');
+  }
+  if (name.includes('\0')) {
+    return reject('file name contains a null byte');
+  }
+  if (path.isAbsolute(name) || path.win32.isAbsolute(name)) {
+    return reject('absolute path');
+  }
+
+  const root = path.resolve(allowedRoot);
+  const target = path.resolve(outputDir, name.replace(/\\/g, '/'));
+  const relative = path.relative(root, target);
+
+  if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    return reject(`escapes ${root}`);
+  }
+
+  const extension = path.extname(target).toLowerCase();
+  if (!allowedExtensions.includes(extension)) {
+    return reject(`extension ${extension || '(none)'} is not allowed`);
+  }
+
+  const symlink = findSymlink(root, target);
+  if (symlink) {
+    return reject(`symlink in path: ${path.relative(root, symlink)}`);
+  }
+
+  return { path: target, reason: null };
+}
+
+/**
+ * Split generated files into those that are safe to write and those that are rejected
+ * Files routed elsewhere are confined to the directory routeGeneratedFiles set (allowedRoot), else to their
+ * own base directory
+ * @param {Array<{name: string, content: string, baseDir: (string|undefined), allowedRoot: (string|undefined)}>} files - Files from extractFiles
+ *   or routeGeneratedFiles
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Sandbox options, see resolveSafePath
+ * @returns {{accepted: Array<{name: string, content: string, path: string}>, rejected: Array<{name: string, reason: string}>}}
+ *   Accepted files with their normalized path under their base directory, and rejected file names with the reason
+ */
+function partitionSafeFiles(files, outputDir, options = {}) {
+  const accepted = [];
+  const rejected = [];
+
+  files.forEach(file => {
+    const baseDir = file.baseDir || outputDir;
+    const allowedRoot = file.allowedRoot || (baseDir === outputDir ? options.allowedRoot : baseDir);
+    const sandbox = allowedRoot ? { ...options, allowedRoot } : options;
+    const { path: target, reason } = resolveSafePath(baseDir, file.name, sandbox);
+
+    if (reason) {
+      rejected.push({ name: file.source || file.name, reason });
+    } else {
+      accepted.push({ ...file, path: path.join(baseDir, path.relative(path.resolve(baseDir), target)) });
+    }
+  });
+
+  return { accepted, rejected };
+}
+
+/**
+ * Print the files that were refused by the sandbox
+ * @param {Array<{name: string, reason: string}>} rejected - Rejected entries from partitionSafeFiles
+ */
+function printRejectedSummary(rejected) {
+  if (rejected.length === 0) return;
+
+  logger.info(`\n🚫 REJECTED: ${rejected.length} generated files were not written`);
+  rejected.forEach(entry => logger.info(`   ❗ ${entry.name} (${entry.reason})`));
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_EXTENSIONS,
+  resolveSafePath,
+  partitionSafeFiles,
+  printRejectedSummary
+};
@@ -0,0 +1,165 @@
+/**
+ * Project Config
+ * Loads per-project settings from .v0rc, v0.config.js or v0.config.json, found by walking up from the working
+ * directory: CLI defaults, file routing rules, prompt packs and overrides, and the backend contract
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { V0ValidationError } = require('./v0-errors');
+const { validateTypeDefinition } = require('./prompt-packs');
+const { normalizeRule } = require('./file-routing');
+
+// Checked in this order in each directory; the first one found wins
+const CONFIG_FILES = ['.v0rc', '.v0rc.json', 'v0.config.js', 'v0.config.json'];
+
+// Top-level keys and the type each must have
+const CONFIG_SCHEMA = {
+  defaults: 'object',
+  routes: 'array',
+  prompts: 'object',
+  packs: 'array',
+  backend: 'object|false'
+};
+
+// Keys allowed in config.defaults; see getCliDefaults for the option each one sets
+const DEFAULT_KEYS = [
+  'model', 'privacy', 'outputDir', 'system', 'thinking', 'async',
+  'merge', 'conflictStyle', 'timeout', 'retries', 'retryDelay', 'promptBudget'
+];
+
+/**
+ * Find the nearest config file in a directory or one of its parents
+ * @param {string} [cwd=process.cwd()] - Directory to start from
+ * @returns {string|null} Path of the config file, or null when there is none
+ */
+function findProjectConfig(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    for (const fileName of CONFIG_FILES) {
+      const configPath = path.join(dir, fileName);
+      if (fs.existsSync(configPath) && fs.statSync(configPath).isFile()) return configPath;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Check the shape of a loaded config
+ * @param {Object} config - Parsed config
+ * @param {string} configPath - File it came from, for error messages
+ * @throws {V0ValidationError} On unknown keys, keys of the wrong type or invalid routing rules
+ */
+function validateProjectConfig(config, configPath) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new V0ValidationError(`${configPath} must export an object`);
+  }
+
+  Object.entries(config).forEach(([key, value]) => {
+    const expected = CONFIG_SCHEMA[key];
+    if (!expected) {
+      throw new V0ValidationError(`${configPath}: unknown key "${key}" (expected ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+    }
+
+    const type = value === false ? 'false' : Array.isArray(value) ? 'array' : typeof value;
+    if (!expected.split('|').includes(type)) {
+      throw new V0ValidationError(`${configPath}: "${key}" must be ${expected.replace('|', ' or ')}, got ${type}`);
+    }
+  });
+
+  Object.keys(config.defaults || {}).forEach(key => {
+    if (!DEFAULT_KEYS.includes(key)) {
+      throw new V0ValidationError(`${configPath}: unknown default "${key}" (expected ${DEFAULT_KEYS.join(', ')})`);
+    }
+  });
+
+  (config.routes || []).forEach(rule => {
+    try {
+      normalizeRule(rule);
+    } catch (error) {
+      throw new V0ValidationError(`${configPath}: routes: ${error.message}`, { cause: error });
+    }
+  });
+
+  Object.entries(config.prompts || {}).forEach(([componentType, entry]) => {
+    validateTypeDefinition(componentType, entry, `${configPath}: prompts`);
+  });
+
+  (config.packs || []).forEach(spec => {
+    if (typeof spec !== 'string' || !spec) {
+      throw new V0ValidationError(`${configPath}: packs must list pack directories, modules or npm package names`);
+    }
+  });
+}
+
+/**
+ * Load the project config
+ * .v0rc and .json files are JSON; v0.config.js is required as a CommonJS module
+ * @param {string} [cwd=process.cwd()] - Directory to start searching from
+ * @returns {{config: Object, path: (string|null), root: string}} Config (empty when no file exists),
+ *   the file it came from, and the project root that relative paths in it refer to (the file's directory)
+ */
+function loadProjectConfig(cwd = process.cwd()) {
+  const configPath = findProjectConfig(cwd);
+  if (!configPath) return { config: {}, path: null, root: path.resolve(cwd) };
+
+  let config;
+  try {
+    config = configPath.endsWith('.js')
+      ? require(configPath)
+      : JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new V0ValidationError(`Failed to load ${configPath}: ${error.message}`, { cause: error });
+  }
+
+  validateProjectConfig(config || {}, configPath);
+  return { config: config || {}, path: configPath, root: path.dirname(configPath) };
+}
+
+/**
+ * CLI option defaults from the project config
+ * Each script spreads these over its built-in defaults before parsing flags, so flags always win
+ * @param {string} [cwd=process.cwd()] - Directory to start searching from
+ * @returns {Object} Options in the scripts' own names (modelId, privacy, outputDir, timeout in ms, retry, ...)
+ */
+function getCliDefaults(cwd = process.cwd()) {
+  const { config, root } = loadProjectConfig(cwd);
+  const defaults = config.defaults || {};
+  const options = {};
+
+  if (defaults.model !== undefined) options.modelId = defaults.model;
+  if (defaults.privacy !== undefined) options.privacy = defaults.privacy;
+  if (defaults.system !== undefined) options.system = defaults.system;
+  if (defaults.thinking !== undefined) options.thinking = Boolean(defaults.thinking);
+  if (defaults.async !== undefined) options.responseMode = defaults.async ? 'async' : 'sync';
+  if (defaults.merge !== undefined) options.merge = Boolean(defaults.merge);
+  if (defaults.conflictStyle !== undefined) options.conflictStyle = defaults.conflictStyle;
+  if (defaults.timeout !== undefined) options.timeout = defaults.timeout * 1000;
+  if (defaults.promptBudget !== undefined) options.promptBudget = defaults.promptBudget;
+
+  // Relative to the config file, like every other path in it
+  if (defaults.outputDir !== undefined) {
+    options.outputDir = path.relative(path.resolve(cwd), path.resolve(root, defaults.outputDir)) || '.';
+  }
+
+  if (defaults.retries !== undefined || defaults.retryDelay !== undefined) {
+    options.retry = {
+      ...(defaults.retries !== undefined && { retries: defaults.retries }),
+      ...(defaults.retryDelay !== undefined && { minDelay: defaults.retryDelay * 1000 })
+    };
+  }
+
+  return options;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findProjectConfig,
+  validateProjectConfig,
+  loadProjectConfig,
+  getCliDefaults
+};
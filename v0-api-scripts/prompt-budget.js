@@ -0,0 +1,93 @@
+/**
+ * Prompt Budget
+ * Estimates the size of the final system + user prompt in tokens and trims priority-tagged system prompt
+ * sections, lowest priority first, until both fit a budget
+ *
+ * Estimates only: v0 doesn't publish its tokenizer, so text counts as one token per CHARS_PER_TOKEN characters,
+ * which is close for English prose and code
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Tokens the system and user prompt may take together unless --budget or defaults.promptBudget says otherwise
+const DEFAULT_PROMPT_BUDGET = 4000;
+
+// Section priorities, in the order sections are trimmed; required sections are never trimmed
+const PRIORITIES = ['low', 'medium', 'high', 'required'];
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} [text] - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Join sections into one prompt, a blank line between each
+ * @param {Array<{text: string}>} sections - Sections to join
+ * @returns {string} Prompt
+ */
+function joinSections(sections) {
+  return sections.map(section => section.text).join('\n\n');
+}
+
+/**
+ * Fit a system prompt made of sections into a token budget, together with the user prompt
+ * Sections are trimmed lowest priority first and, within a priority, last first; the user prompt and required
+ * sections are never trimmed, so a prompt may stay over budget
+ * @param {Array<{name: string, priority: string, text: string}>} sections - System prompt sections, in order
+ * @param {Object} [options] - Budget options
+ * @param {string} [options.userPrompt=''] - User prompt sent with the system prompt
+ * @param {number} [options.budget=DEFAULT_PROMPT_BUDGET] - Tokens both may take together
+ * @param {function(Array<Object>): string} [options.assemble=joinSections] - Turns the kept sections into the prompt
+ * @returns {{systemPrompt: string, sections: Array<Object>, trimmed: Array<string>, tokens: Object, budget: number,
+ *   overBudget: boolean}} The final system prompt; every section with its estimated tokens and whether it was
+ *   trimmed; the names of trimmed sections; estimated system, user and total tokens
+ */
+function fitPromptToBudget(sections, options = {}) {
+  const { userPrompt = '', budget = DEFAULT_PROMPT_BUDGET, assemble = joinSections } = options;
+  sections.forEach(section => {
+    if (!PRIORITIES.includes(section.priority)) {
+      throw new Error(`Prompt section "${section.name}" has unknown priority "${section.priority}" (expected ${PRIORITIES.join(', ')})`);
+    }
+  });
+
+  const userTokens = estimateTokens(userPrompt);
+  const trimOrder = sections
+    .map((section, index) => ({ section, index }))
+    .filter(({ section }) => section.priority !== 'required')
+    .sort((a, b) => PRIORITIES.indexOf(a.section.priority) - PRIORITIES.indexOf(b.section.priority) || b.index - a.index)
+    .map(({ section }) => section);
+
+  const trimmed = new Set();
+  let systemPrompt = assemble(sections);
+  while (estimateTokens(systemPrompt) + userTokens > budget && trimmed.size < trimOrder.length) {
+    trimmed.add(trimOrder[trimmed.size]);
+    systemPrompt = assemble(sections.filter(section => !trimmed.has(section)));
+  }
+
+  const systemTokens = estimateTokens(systemPrompt);
+  return {
+    systemPrompt,
+    sections: sections.map(section => ({
+      name: section.name,
+      priority: section.priority,
+      tokens: estimateTokens(section.text),
+      trimmed: trimmed.has(section)
+    })),
+    trimmed: sections.filter(section => trimmed.has(section)).map(section => section.name),
+    tokens: { system: systemTokens, user: userTokens, total: systemTokens + userTokens },
+    budget,
+    overBudget: systemTokens + userTokens > budget
+  };
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  DEFAULT_PROMPT_BUDGET,
+  PRIORITIES,
+  estimateTokens,
+  fitPromptToBudget
+};
@@ -0,0 +1,192 @@
+/**
+ * Prompt Packs
+ * A component type for the smart generator is declared in one place: detection keywords, system prompt,
+ * integration hint and default model. The built-in types form the first pack; packs listed in the project
+ * config (directories, modules or npm packages) and the config's own prompts are layered on top of it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { COMPONENT_CONTEXTS, INTEGRATION_HINTS } = require('./v0-system-prompts');
+const { COMPONENT_PATTERNS, DEFAULT_KEYWORD_WEIGHT } = require('./component-classifier');
+const { V0ValidationError } = require('./v0-errors');
+
+// Fields a component type may declare
+const TYPE_FIELDS = {
+  keywords: 'Detection keywords: a list, or an object of keyword weights',
+  context: 'What this type asks for, inserted into the shared backend system prompt',
+  system: 'A complete system prompt, used instead of the shared one',
+  hint: 'Integration hint appended to the user\'s prompt',
+  model: 'Model used when neither --model nor the project config sets one'
+};
+
+// Files of a pack directory: <type>.json or <type>.js declares a type, <type>.context.md / <type>.system.md
+// hold its long texts
+const DEFINITION_FILE = /^([\w-]+)\.(json|js|cjs)$/;
+const TEXT_FILE = /^([\w-]+)\.(context|system)\.(md|txt)$/;
+
+const BUILTIN_PACK = {
+  name: 'builtin',
+  source: null,
+  types: Object.fromEntries(Object.keys(COMPONENT_PATTERNS).map(componentType => [componentType, {
+    keywords: COMPONENT_PATTERNS[componentType],
+    context: COMPONENT_CONTEXTS[componentType],
+    hint: INTEGRATION_HINTS[componentType]
+  }]))
+};
+
+/**
+ * Check one component type declaration
+ * @param {string} componentType - Type name
+ * @param {Object} entry - Declaration
+ * @param {string} source - Where it came from, for error messages
+ * @throws {V0ValidationError} On unknown fields or fields of the wrong type
+ */
+function validateTypeDefinition(componentType, entry, source) {
+  const fail = reason => {
+    throw new V0ValidationError(`${source}: component type "${componentType}" ${reason}`);
+  };
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) fail('must be an object');
+
+  Object.entries(entry).forEach(([key, value]) => {
+    if (!TYPE_FIELDS[key]) fail(`has unknown field "${key}" (expected ${Object.keys(TYPE_FIELDS).join(', ')})`);
+    if (key !== 'keywords' && typeof value !== 'string') fail(`field "${key}" must be a string`);
+  });
+
+  const { keywords } = entry;
+  if (keywords === undefined) return;
+  const valid = Array.isArray(keywords)
+    ? keywords.every(keyword => typeof keyword === 'string')
+    : keywords && typeof keywords === 'object' && Object.values(keywords).every(weight => typeof weight === 'number' && weight > 0);
+  if (!valid) fail('keywords must be a list of strings or an object of positive weights');
+}
+
+/**
+ * Turn declared keywords into the weights the classifier uses
+ * @param {Array<string>|Object<string, number>} keywords - A list (each weighs DEFAULT_KEYWORD_WEIGHT) or weights
+ * @returns {Object<string, number>} Weight per keyword
+ */
+function keywordWeights(keywords) {
+  return Array.isArray(keywords)
+    ? Object.fromEntries(keywords.map(keyword => [keyword, DEFAULT_KEYWORD_WEIGHT]))
+    : keywords;
+}
+
+/**
+ * Read a pack directory without an index: one file per type plus optional text files
+ * @param {string} dir - Pack directory
+ * @returns {Object} Pack object
+ */
+function readPackDirectory(dir) {
+  const types = {};
+
+  fs.readdirSync(dir).sort().forEach(fileName => {
+    const filePath = path.join(dir, fileName);
+    const definition = DEFINITION_FILE.exec(fileName);
+    const text = TEXT_FILE.exec(fileName);
+
+    if (definition) {
+      types[definition[1]] = { ...require(filePath), ...types[definition[1]] };
+    } else if (text) {
+      types[text[1]] = { ...types[text[1]], [text[2]]: fs.readFileSync(filePath, 'utf8') };
+    }
+  });
+
+  return { name: path.basename(dir), types };
+}
+
+/**
+ * Load one prompt pack
+ * A pack module exports { name, types: { <type>: { keywords, context|system, hint, model } } }
+ * @param {string} spec - Path (relative to the project root) of a pack directory or module, or an npm package name
+ * @param {string} root - Project root
+ * @returns {{name: string, source: string, types: Object}} The pack, checked
+ * @throws {V0ValidationError} When the pack can't be found or loaded, or declares invalid types
+ */
+function loadPromptPack(spec, root) {
+  const local = spec.startsWith('.') || path.isAbsolute(spec);
+  let target;
+  try {
+    target = local ? path.resolve(root, spec) : require.resolve(spec, { paths: [root] });
+  } catch (error) {
+    throw new V0ValidationError(`Prompt pack "${spec}" not found (install it with: npm install ${spec})`, { cause: error });
+  }
+  if (!fs.existsSync(target)) {
+    throw new V0ValidationError(`Prompt pack "${spec}" not found at ${target}`);
+  }
+
+  let pack;
+  try {
+    const isPlainDirectory = fs.statSync(target).isDirectory() &&
+      !['index.js', 'package.json'].some(fileName => fs.existsSync(path.join(target, fileName)));
+    pack = isPlainDirectory ? readPackDirectory(target) : require(target);
+    // Transpiled ES modules put their export on default
+    if (pack && pack.default && !pack.types) pack = pack.default;
+  } catch (error) {
+    throw new V0ValidationError(`Failed to load prompt pack "${spec}": ${error.message}`, { cause: error });
+  }
+
+  if (!pack || typeof pack.types !== 'object' || Array.isArray(pack.types)) {
+    throw new V0ValidationError(`Prompt pack "${spec}" must export { name, types: { <type>: { ... } } }`);
+  }
+  Object.entries(pack.types).forEach(([componentType, entry]) => validateTypeDefinition(componentType, entry, `Prompt pack "${spec}"`));
+
+  return { name: pack.name || spec, source: target, types: pack.types };
+}
+
+/**
+ * Merge a type declaration over an earlier one of the same name
+ * Fields replace fields; context and system are alternatives, so declaring one drops the other
+ * @param {Object} [base] - Earlier declaration
+ * @param {Object} entry - Later declaration
+ * @param {string} pack - Name of the later declaration's pack
+ * @returns {Object} Merged declaration
+ */
+function mergeTypeDefinition(base = {}, entry, pack) {
+  const merged = { ...base, ...entry, pack };
+  if (entry.system !== undefined && entry.context === undefined) delete merged.context;
+  if (entry.context !== undefined && entry.system === undefined) delete merged.system;
+  return merged;
+}
+
+/**
+ * Build the component types of a project: the built-in pack, then each listed pack, then the config's prompts
+ * @param {Object} [options] - Sources
+ * @param {Array<string>} [options.packs] - Packs to load, see loadPromptPack
+ * @param {Object} [options.prompts] - Types declared in the project config
+ * @param {string} [options.root=process.cwd()] - Project root that pack paths are relative to
+ * @returns {{types: Object, packs: Array<Object>}} Types by name, most recently declared first (so project
+ *   types win classification ties), each with the name of the pack that declared it last; and the loaded packs
+ * @throws {V0ValidationError} When a pack can't be loaded
+ */
+function loadComponentTypes(options = {}) {
+  const root = options.root || process.cwd();
+  const packs = [
+    BUILTIN_PACK,
+    ...(options.packs || []).map(spec => loadPromptPack(spec, root)),
+    ...(options.prompts ? [{ name: 'project config', source: null, types: options.prompts }] : [])
+  ];
+
+  const merged = {};
+  packs.forEach(pack => {
+    Object.entries(pack.types).forEach(([componentType, entry]) => {
+      merged[componentType] = mergeTypeDefinition(merged[componentType], entry, pack.name);
+    });
+  });
+
+  const order = [...new Set(packs.slice().reverse().flatMap(pack => Object.keys(pack.types)))];
+  return {
+    types: Object.fromEntries(order.map(componentType => [componentType, merged[componentType]])),
+    packs
+  };
+}
+
+module.exports = {
+  TYPE_FIELDS,
+  BUILTIN_PACK,
+  validateTypeDefinition,
+  keywordWeights,
+  loadPromptPack,
+  loadComponentTypes
+};
@@ -0,0 +1,45 @@
+/**
+ * Prompt Template
+ * Fills {{variable}} placeholders in system prompts, contexts and hints. A value spanning several lines is
+ * indented to the placeholder's column, so lists and code blocks keep the layout of the template. A line with a
+ * placeholder whose value is empty is left out, so templates can mention values a contract doesn't define.
+ */
+
+const { V0ValidationError } = require('./v0-errors');
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Render a template
+ * @param {string} template - Text with {{variable}} placeholders
+ * @param {Object<string, string>} variables - Value per variable name
+ * @param {string} [source='template'] - What is being rendered, for error messages
+ * @returns {string} Rendered text
+ * @throws {V0ValidationError} When the template uses a variable that isn't defined
+ */
+function renderTemplate(template, variables, source = 'template') {
+  const valueOf = (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new V0ValidationError(`Unknown variable ${placeholder} in ${source} (available: ${Object.keys(variables).join(', ')})`);
+    }
+    return String(variables[name] ?? '');
+  };
+
+  const lines = template.split('\n');
+  const kept = lines.filter(line => [...line.matchAll(PLACEHOLDER)]
+    .map(([placeholder, name]) => valueOf(placeholder, name))
+    .every(value => value.trim()));
+  // Don't leave a double blank line where a line was dropped
+  const text = kept.length < lines.length ? kept.join('\n').replace(/\n[ \t]*\n(?:[ \t]*\n)+/g, '\n\n') : template;
+
+  return text.replace(PLACEHOLDER, (placeholder, name, offset) => {
+    const value = valueOf(placeholder, name);
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    const indent = text.slice(lineStart, offset);
+    return /^[ \t]*$/.test(indent) ? value.split('\n').join(`\n${indent}`) : value;
+  });
+}
+
+module.exports = {
+  renderTemplate
+};
@@ -0,0 +1,142 @@
+/**
+ * Retry Policy
+ * One retry policy for every v0 API call: exponential backoff with jitter, Retry-After, no retries on auth errors
+ */
+
+const { isAbortError, sleep } = require('./cancellation');
+const { V0AuthError, getErrorStatus, getRetryAfter } = require('./v0-errors');
+const { getLogger } = require('./logger');
+
+const DEFAULT_RETRY_POLICY = {
+  // Retries after the first attempt; 0 disables retrying
+  retries: 3,
+  // Backoff before the first retry, doubled (factor) for every further one
+  minDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  // Longest Retry-After the client is willing to honour
+  maxRetryAfter: 60000,
+  // Creating chats and sending messages aren't idempotent; retrying them can duplicate a generation
+  retryNonIdempotent: false
+};
+
+// Error codes of connections that failed or dropped; fetch (undici) adds its own UND_ERR_* codes
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Merge retry settings with the defaults
+ * @param {Object|boolean} [policy] - Partial policy, or false to disable retries
+ * @returns {Object} Complete policy
+ */
+function resolveRetryPolicy(policy) {
+  if (policy === false) return { ...DEFAULT_RETRY_POLICY, retries: 0 };
+  return { ...DEFAULT_RETRY_POLICY, ...(policy || {}) };
+}
+
+/**
+ * Check whether a request failed because of the API key
+ * @param {Error} error - Request error
+ * @returns {boolean} True for 401 and 403
+ */
+function isAuthError(error) {
+  return error instanceof V0AuthError || [401, 403].includes(getErrorStatus(error));
+}
+
+/**
+ * Check whether a request failed in the network rather than in the code that sent it
+ * fetch reports these as a TypeError whose cause carries the code, so the cause chain is checked too
+ * @param {Error} error - Request error
+ * @returns {boolean} True for known connection and DNS failures
+ */
+function isNetworkError(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    const code = typeof current.code === 'string' ? current.code : '';
+    if (NETWORK_ERROR_CODES.includes(code) || code.startsWith('UND_ERR_') || current.name === 'FetchError') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Decide whether a failed request may be tried again
+ * Network errors, 408, 429 and 5xx are retried; other 4xx (including auth), cancellation and errors
+ * without a status that aren't network failures (bugs such as a TypeError) are not
+ * @param {Error} error - Request error
+ * @param {Object} [options] - Request details
+ * @param {boolean} [options.idempotent=true] - Whether repeating the request is safe
+ * @param {Object} [options.policy] - Retry policy
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryableError(error, options = {}) {
+  const { idempotent = true } = options;
+  const policy = resolveRetryPolicy(options.policy);
+
+  if (isAbortError(error)) return false;
+  if (!idempotent && !policy.retryNonIdempotent) return false;
+
+  const status = getErrorStatus(error);
+  if (status === null) return isNetworkError(error);
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Delay before a retry: Retry-After when the server sent one, otherwise exponential backoff with jitter
+ * Half of the backoff is fixed and half random, so clients that failed together don't retry together
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} [policy] - Retry policy
+ * @param {Error} [error] - Error of the failed attempt
+ * @returns {number} Milliseconds to wait
+ */
+function getRetryDelay(attempt, policy, error) {
+  const { minDelay, maxDelay, factor, maxRetryAfter } = resolveRetryPolicy(policy);
+
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter !== null) return Math.min(retryAfter, maxRetryAfter);
+
+  const backoff = Math.min(maxDelay, minDelay * Math.pow(factor, attempt));
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Run a request, retrying it according to the policy
+ * @param {function(number): Promise} operation - Performs the request; receives the zero-based attempt number
+ * @param {Object} [options] - Retry options
+ * @param {Object|boolean} [options.policy] - Retry policy (see DEFAULT_RETRY_POLICY)
+ * @param {boolean} [options.idempotent=true] - Whether repeating the request is safe (GETs are, creates aren't)
+ * @param {string} [options.label='Request'] - Name of the request for log messages
+ * @param {AbortSignal} [options.signal] - Stops retrying (and the wait before a retry) when aborted
+ * @param {Logger} [options.logger] - Logger for retry messages (default: the shared logger)
+ * @returns {Promise} Result of the first successful attempt; rejects with the last error
+ */
+async function withRetry(operation, options = {}) {
+  const { idempotent = true, label = 'Request', signal, logger = getLogger() } = options;
+  const policy = resolveRetryPolicy(options.policy);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= policy.retries || !isRetryableError(error, { idempotent, policy })) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, policy, error);
+      const status = getErrorStatus(error);
+      logger.info(`🔁 ${label} failed (${status ? `HTTP ${status}` : error.message}); retry ${attempt + 1}/${policy.retries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  getErrorStatus,
+  getRetryAfter,
+  isAuthError,
+  isNetworkError,
+  isRetryableError,
+  getRetryDelay,
+  withRetry
+};
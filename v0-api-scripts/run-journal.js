@@ -0,0 +1,170 @@
+/**
+ * Run Journal
+ * Snapshots every file a generation run touches so the run can be undone
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+const RUNS_DIR = path.join('.v0', 'runs');
+
+/**
+ * Hash file content to detect edits made after a run
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Create a sortable, human-readable run ID, e.g. 20250101-120000-a1b2
+ */
+function createRunId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Records the original state of each file before a run modifies it
+ */
+class RunJournal {
+  /**
+   * @param {Object} [meta] - Information shown when listing runs, e.g. chatId, versionId, outputDir
+   */
+  constructor(meta = {}) {
+    this.runId = createRunId();
+    this.meta = meta;
+    this.entries = new Map();
+    this.runDir = path.join(process.cwd(), RUNS_DIR, this.runId);
+  }
+
+  /**
+   * Snapshot a file before it is written or created
+   * Only the first call per path counts, so the snapshot is always the pre-run state
+   * @param {string} filePath - File about to be modified
+   */
+  track(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (this.entries.has(absolutePath)) return;
+
+    const entry = { path: absolutePath, existed: fs.existsSync(absolutePath), snapshot: null };
+
+    if (entry.existed) {
+      entry.snapshot = path.join('files', String(this.entries.size));
+      const snapshotPath = path.join(this.runDir, entry.snapshot);
+      fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+      fs.copyFileSync(absolutePath, snapshotPath);
+    }
+
+    this.entries.set(absolutePath, entry);
+  }
+
+  /**
+   * Write the run manifest; does nothing when the run touched no files
+   * @returns {boolean} True if the run was recorded
+   */
+  save() {
+    if (this.entries.size === 0) return false;
+
+    const files = Array.from(this.entries.values()).map(entry => ({
+      ...entry,
+      hashAfter: fs.existsSync(entry.path) ? hashFile(entry.path) : null
+    }));
+
+    fs.mkdirSync(this.runDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(this.runDir, 'manifest.json'),
+      JSON.stringify({ runId: this.runId, createdAt: new Date().toISOString(), ...this.meta, files }, null, 2) + '\n',
+      'utf8'
+    );
+
+    logger.info(`↩️  Run ${this.runId} recorded (${files.length} files) - undo with: npm run undo -- ${this.runId}`);
+    return true;
+  }
+}
+
+/**
+ * Read a run manifest
+ * @param {string} runId - The run ID
+ * @returns {Object|null} Manifest, or null if the run doesn't exist
+ */
+function readRun(runId) {
+  const manifestPath = path.join(process.cwd(), RUNS_DIR, runId, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) return null;
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * List recorded runs, newest first
+ * @returns {Array<Object>} Run manifests
+ */
+function listRuns() {
+  const runsDir = path.join(process.cwd(), RUNS_DIR);
+  if (!fs.existsSync(runsDir)) return [];
+
+  return fs.readdirSync(runsDir)
+    .sort()
+    .reverse()
+    .map(readRun)
+    .filter(Boolean);
+}
+
+/**
+ * Restore every file a run touched to its pre-run state and delete files it created
+ * Files edited after the run are skipped unless force is set
+ * @param {string} [runId] - Run to undo (default: the most recent run not yet undone)
+ * @param {Object} [options] - Undo options
+ * @param {boolean} [options.force=false] - Also restore files that changed after the run
+ * @returns {{runId: string, restored: Array<string>, deleted: Array<string>, skipped: Array<string>}} Undo result
+ */
+function undoRun(runId, options = {}) {
+  const run = runId ? readRun(runId) : listRuns().find(candidate => !candidate.undoneAt);
+
+  if (!run) {
+    throw new Error(runId ? `Run not found: ${runId}` : 'No run left to undo');
+  }
+  if (run.undoneAt) {
+    throw new Error(`Run ${run.runId} was already undone at ${run.undoneAt}`);
+  }
+
+  const runDir = path.join(process.cwd(), RUNS_DIR, run.runId);
+  const result = { runId: run.runId, restored: [], deleted: [], skipped: [] };
+
+  run.files.forEach(entry => {
+    const currentHash = fs.existsSync(entry.path) ? hashFile(entry.path) : null;
+
+    if (!options.force && currentHash !== entry.hashAfter) {
+      logger.info(`⚠️  Skipping ${entry.path}: changed after the run (use --force to restore anyway)`);
+      result.skipped.push(entry.path);
+      return;
+    }
+
+    if (entry.existed) {
+      fs.mkdirSync(path.dirname(entry.path), { recursive: true });
+      fs.copyFileSync(path.join(runDir, entry.snapshot), entry.path);
+      logger.info(`↩️  Restored: ${entry.path}`);
+      result.restored.push(entry.path);
+    } else if (currentHash !== null) {
+      fs.unlinkSync(entry.path);
+      logger.info(`🗑️  Deleted: ${entry.path}`);
+      result.deleted.push(entry.path);
+    }
+  });
+
+  fs.writeFileSync(
+    path.join(runDir, 'manifest.json'),
+    JSON.stringify({ ...run, undoneAt: new Date().toISOString() }, null, 2) + '\n',
+    'utf8'
+  );
+
+  return result;
+}
+
+module.exports = {
+  RunJournal,
+  listRuns,
+  undoRun
+};
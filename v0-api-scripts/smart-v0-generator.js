@@ -6,86 +6,210 @@
  */
 
 require('dotenv').config();
-const { generateSystemPrompt, COMPONENT_PROMPTS } = require('./v0-system-prompts');
+const { buildSystemPromptSections, assembleSystemPrompt, renderPromptTemplate } = require('./v0-system-prompts');
+const { CHARS_PER_TOKEN, fitPromptToBudget } = require('./prompt-budget');
+const { classifyPrompt, printClassification } = require('./component-classifier');
+const { loadComponentTypes, keywordWeights } = require('./prompt-packs');
 const { V0ChatCreator } = require('./v0-chat-creator-enforced');
+const { isAbortError } = require('./cancellation');
+const { V0ValidationError, getExitCode } = require('./v0-errors');
+const { chatResult, printResult, exitWithError } = require('./cli-result');
+const { recordGeneration } = require('./generation-history');
+const { loadProjectConfig } = require('./project-config');
+const { BACKEND_INTEGRATION_CONFIG, getBackendContract } = require('./backend-integration-config');
+const { normalizeMetric } = require('./backend-contract');
+const { getLogger, applyLogFlags } = require('./logger');
+
+const logger = getLogger();
 
 /**
  * Smart component generation with automatic system prompt selection
  */
 class SmartV0Generator {
-  constructor() {
-    this.creator = new V0ChatCreator(process.env.V0_API_KEY);
+  /**
+   * @param {Object} [options] - Generator options
+   * @param {Object|boolean} [options.retry] - Retry policy for API calls (see retry-policy.js)
+   * @param {Array<string>} [options.packs] - Prompt packs to load (default: packs from the project config)
+   * @param {Object} [options.prompts] - Component types keyed by name, each { keywords, context, system, hint, model }
+   *   (default: prompts from the project config)
+   */
+  constructor(options = {}) {
+    const { config, root } = loadProjectConfig();
+    this.creator = new V0ChatCreator(process.env.V0_API_KEY, { retry: options.retry });
+    // Built-in types, then each pack, then the project's own prompts (see prompt-packs.js)
+    const { types, packs } = loadComponentTypes({
+      packs: options.packs || config.packs,
+      prompts: options.prompts || config.prompts,
+      root
+    });
+    this.types = types;
+    this.packs = packs;
+    // The prompts are rendered from the project's backend contract; a project that turned the
+    // integration hook off ("backend": false) still gets prompts, from the default contract
+    this.contract = getBackendContract(config) || BACKEND_INTEGRATION_CONFIG;
+  }
+
+  /**
+   * Render a prompt template (context, system prompt or hint) with the project's backend contract
+   * @param {string} template - Text with {{variable}} placeholders
+   * @param {string} componentType - Type it belongs to, for error messages
+   * @returns {string} Rendered text
+   * @throws {V0ValidationError} When the template uses an unknown variable
+   */
+  renderPrompt(template, componentType) {
+    const pack = this.types[componentType]?.pack;
+    return renderPromptTemplate(template, this.contract, `component type "${componentType}"${pack ? ` (${pack})` : ''}`);
+  }
+
+  /**
+   * Score the prompt against the keywords of every component type
+   * Types from packs and the project config come first (winning ties)
+   * @param {string} userPrompt - Prompt to classify
+   * @returns {Object} Classification, see classifyPrompt in component-classifier.js
+   */
+  classifyPrompt(userPrompt) {
+    const patterns = Object.fromEntries(
+      Object.entries(this.types)
+        .filter(([, definition]) => definition.keywords)
+        .map(([componentType, definition]) => [componentType, keywordWeights(definition.keywords)])
+    );
+
+    return classifyPrompt(userPrompt, { patterns });
   }
 
   /**
    * Analyze prompt to determine component type and select appropriate system prompt
+   * @param {string} userPrompt - Prompt to classify
+   * @returns {string} Best-scoring component type, or 'default'
    */
   analyzePrompt(userPrompt) {
-    const prompt = userPrompt.toLowerCase();
-    
-    // Component type detection patterns
-    const patterns = {
-      dashboard: ['dashboard', 'overview', 'main page', 'home', 'analytics studio'],
-      queryBuilder: ['query builder', 'query building', 'filter', 'search builder', 'query interface'],
-      resultsTable: ['table', 'results', 'data display', 'list', 'grid', 'export'],
-      analyticsCharts: ['chart', 'graph', 'visualization', 'analytics', 'metrics display'],
-      userManagement: ['user management', 'admin', 'users', 'permissions', 'roles'],
-      authentication: ['login', 'signup', 'auth', 'sign in', 'register'],
-      navigation: ['navigation', 'nav', 'menu', 'header', 'sidebar'],
-      forms: ['form', 'input', 'create', 'edit', 'add new']
-    };
+    const { componentType } = this.classifyPrompt(userPrompt);
+    logger.info(componentType === 'default' ? '🎯 Default component type detected' : `🎯 Detected component type: ${componentType}`);
+    return componentType;
+  }
 
-    // Find matching component type
-    for (const [componentType, keywords] of Object.entries(patterns)) {
-      if (keywords.some(keyword => prompt.includes(keyword))) {
-        console.log(`🎯 Detected component type: ${componentType}`);
-        return componentType;
-      }
+  /**
+   * Every component type --type accepts: built-in, from packs, from the project config and 'default'
+   * @returns {Array<string>} Component type names
+   */
+  getComponentTypes() {
+    return [...new Set([...Object.keys(this.types), 'default'])];
+  }
+
+  /**
+   * Check a component type given with --type (or a batch item's componentType)
+   * @param {string} componentType - Component type
+   * @throws {V0ValidationError} When no built-in or project type has that name
+   */
+  checkComponentType(componentType) {
+    const componentTypes = this.getComponentTypes();
+    if (!componentTypes.includes(componentType)) {
+      throw new V0ValidationError(`Unknown component type "${componentType}" (expected ${componentTypes.join(', ')})`);
     }
+  }
+
+  /**
+   * Pick the component types of a prompt: the --type override, or the best-scoring type plus any close runners-up
+   * @param {string} userPrompt - Prompt to classify
+   * @param {string} [componentType] - Override; skips detection
+   * @returns {{componentTypes: Array<string>, classification: Object}} Types (main type first) and the full classification
+   */
+  selectComponentTypes(userPrompt, componentType) {
+    const classification = this.classifyPrompt(userPrompt);
+    if (!componentType) return { componentTypes: classification.componentTypes, classification };
 
-    console.log('🎯 Default component type detected');
-    return 'default';
+    this.checkComponentType(componentType);
+    return { componentTypes: [componentType], classification };
   }
 
   /**
-   * Get system prompt based on component type
+   * Get the sections of the system prompt for a component type, tagged with the priority they are trimmed by
+   * @param {string} componentType - Main component type
+   * @param {string} userPrompt - The user's prompt, for the custom context of types without a prompt
+   * @param {Array<string>} [extraTypes] - Further types of a composite component
+   * @returns {Array<Object>} Sections, see buildSystemPromptSections in v0-system-prompts.js
    */
-  getSystemPrompt(componentType, userPrompt) {
-    // Use predefined prompts for known component types
-    if (COMPONENT_PROMPTS[componentType]) {
-      return COMPONENT_PROMPTS[componentType];
+  getSystemPromptSections(componentType, userPrompt, extraTypes = []) {
+    const composite = extraTypes.length > 0 ? this.generateCompositeContext(extraTypes) : '';
+    const definition = this.types[componentType] || {};
+
+    // A pack or the project config can replace the whole prompt of any type, including default;
+    // it is one section that is never trimmed
+    if (definition.system) {
+      return [
+        { name: 'system', title: null, priority: 'required', text: this.renderPrompt(definition.system, componentType).trim() },
+        ...(composite ? [{ name: 'composite', title: null, priority: 'required', text: composite.trim() }] : [])
+      ];
+    }
+
+    // Use the type's own context within the shared backend prompt
+    if (definition.context) {
+      return buildSystemPromptSections(`${this.renderPrompt(definition.context, componentType)}${composite}`, this.contract);
     }
 
     // Generate custom system prompt for other components
     const customContext = this.generateCustomContext(userPrompt);
-    return generateSystemPrompt(customContext);
+    return buildSystemPromptSections(`${customContext}${composite}`, this.contract);
+  }
+
+  /**
+   * Get system prompt based on component type, untrimmed
+   * @param {string} componentType - Main component type
+   * @param {string} userPrompt - The user's prompt, for the custom context of types without a prompt
+   * @param {Array<string>} [extraTypes] - Further types of a composite component
+   * @returns {string} System prompt
+   */
+  getSystemPrompt(componentType, userPrompt, extraTypes = []) {
+    return assembleSystemPrompt(this.getSystemPromptSections(componentType, userPrompt, extraTypes));
+  }
+
+  /**
+   * Describe the further parts of a composite component, e.g. the results table of a dashboard
+   * @param {Array<string>} componentTypes - Types besides the main one
+   * @returns {string} Context appended to the main type's system prompt
+   */
+  generateCompositeContext(componentTypes) {
+    const parts = componentTypes.map(componentType => {
+      const definition = this.types[componentType] || {};
+      const context = definition.context || definition.hint
+        ? this.renderPrompt(definition.context || definition.hint, componentType)
+        : `Include ${componentType} elements.`;
+      return context.trim().split('\n').map(line => `    ${line.trim()}`).join('\n');
+    });
+
+    return `
+    This is a composite component. Besides the above, it also needs:
+${parts.join('\n\n')}
+  `;
   }
 
   /**
    * Generate custom context based on user prompt analysis
+   * Points the component at the contract's metrics and roles the prompt mentions
+   * @param {string} userPrompt - The user's prompt
+   * @returns {string} Context for types without a context or system prompt of their own
    */
   generateCustomContext(userPrompt) {
-    const prompt = userPrompt.toLowerCase();
-    let context = 'Create a component that integrates with the Query Engine Studio.';
-
-    // Add specific context based on prompt content
-    if (prompt.includes('sentiment')) {
-      context += ' Focus on sentiment analysis features and scoring (0-100 scale).';
-    }
-    
-    if (prompt.includes('compliance')) {
-      context += ' Emphasize compliance tracking features (mobile pitch, branded greeting, cost disclosure).';
-    }
-    
-    if (prompt.includes('agent')) {
-      context += ' Include agent-specific functionality and analytics.';
+    const prompt = userPrompt.toLowerCase().replace(/[-_]+/g, ' ');
+    let context = this.contract.projectName
+      ? `Create a component that integrates with the ${this.contract.projectName}.`
+      : 'Create a component that integrates with the existing backend.';
+
+    // A metric counts as mentioned by its full name or by its name without the last word ("sentiment" for sentiment_score)
+    const mentioned = (this.contract.metrics || []).map(normalizeMetric).filter(({ name }) => {
+      const words = name.toLowerCase().split('_');
+      return [words.join(' '), words.slice(0, -1).join(' ')].some(phrase => phrase && new RegExp(`\\b${phrase}\\b`).test(prompt));
+    });
+    if (mentioned.length > 0) {
+      context += ` Focus on these metrics: ${mentioned.map(({ name, description }) => `${name}${description ? ` (${description})` : ''}`).join(', ')}.`;
     }
     
-    if (prompt.includes('admin')) {
-      context += ' Include administrative features with proper role-based access controls.';
+    const roles = this.contract.roles || [];
+    if (roles.length > 0 && (prompt.includes('admin') || roles.some(role => prompt.includes(role.replace(/_/g, ' '))))) {
+      context += ` Include role-based access controls for the roles ${roles.join(', ')}.`;
     }
     
-    if (prompt.includes('real-time') || prompt.includes('live')) {
+    if (prompt.includes('real time') || prompt.includes('live')) {
       context += ' Implement real-time data updates and live monitoring capabilities.';
     }
 
@@ -94,62 +218,109 @@ class SmartV0Generator {
 
   /**
    * Enhance user prompt with backend integration hints
+   * @param {string} userPrompt - The user's prompt
+   * @param {string} componentType - Main component type
+   * @param {Array<string>} [extraTypes] - Further types of a composite component, whose hints are added too
+   * @returns {string} Enhanced prompt
    */
-  enhancePrompt(userPrompt, componentType) {
+  enhancePrompt(userPrompt, componentType, extraTypes = []) {
     let enhancedPrompt = userPrompt;
 
     // Add backend integration hints based on component type
-    const integrationHints = {
-      dashboard: ' Ensure the dashboard integrates with the existing analytics API endpoints and displays real call center metrics.',
-      queryBuilder: ' Make sure the query builder uses the exact QueryConfig interface and available metrics from the backend.',
-      resultsTable: ' The table should work with the analytics API response format and support all query result types.',
-      analyticsCharts: ' Charts should visualize the call center metrics (sentiment, talk time, compliance) from the API.',
-      userManagement: ' User management should integrate with Supabase auth and the users table with proper role permissions.'
-    };
-
-    if (integrationHints[componentType]) {
-      enhancedPrompt += integrationHints[componentType];
-    }
+    [componentType, ...extraTypes].forEach(type => {
+      const hint = this.types[type]?.hint;
+      if (hint) {
+        enhancedPrompt += ` ${this.renderPrompt(hint, type).trim()}`;
+      }
+    });
 
     // Add general backend integration reminder
-    enhancedPrompt += ' Ensure full compatibility with the existing Query Engine Studio backend, API contracts, and TypeScript interfaces.';
+    enhancedPrompt += ` Ensure full compatibility with the existing ${this.contract.projectName} backend, API contracts, and TypeScript interfaces.`;
 
     return enhancedPrompt;
   }
 
+  /**
+   * Pick the model: --model (or the project config default), else the component type's own model
+   * @param {string} componentType - Main component type
+   * @param {Object} [options] - Options; options.modelId wins
+   * @returns {string} Model ID
+   */
+  getModel(componentType, options = {}) {
+    return options.modelId || this.types[componentType]?.model || 'v0-1.5-md';
+  }
+
+  /**
+   * Build the exact prompts a generation sends, without contacting v0: the classification, the component types
+   * picked, the enhanced prompt and the system prompt, trimmed to fit the token budget
+   * @param {string} userPrompt - The user's prompt
+   * @param {Object} [options] - Options
+   * @param {string} [options.componentType] - Override; skips detection
+   * @param {number} [options.promptBudget] - Tokens the system and enhanced prompt may take together
+   *   (default: DEFAULT_PROMPT_BUDGET in prompt-budget.js)
+   * @returns {{componentTypes: Array<string>, classification: Object, modelId: string, enhancedPrompt: string,
+   *   systemPrompt: string, size: Object}} The prompts; size has the estimated tokens, the budget and the
+   *   sections (see fitPromptToBudget)
+   */
+  buildPrompt(userPrompt, options = {}) {
+    const { componentTypes, classification } = this.selectComponentTypes(userPrompt, options.componentType);
+    const [componentType, ...extraTypes] = componentTypes;
+    const enhancedPrompt = this.enhancePrompt(userPrompt, componentType, extraTypes);
+    const { systemPrompt, ...size } = fitPromptToBudget(this.getSystemPromptSections(componentType, userPrompt, extraTypes), {
+      userPrompt: enhancedPrompt,
+      budget: options.promptBudget,
+      assemble: assembleSystemPrompt
+    });
+
+    return {
+      componentTypes,
+      classification,
+      modelId: this.getModel(componentType, options),
+      enhancedPrompt,
+      systemPrompt,
+      size
+    };
+  }
+
   /**
    * Generate component with smart system prompt selection
+   * options.componentType skips detection and uses that type's system prompt and hints; otherwise close
+   * runners-up to the best-scoring type make a composite component
    */
   async generateComponent(userPrompt, options = {}) {
-    console.log('🧠 SMART V0 GENERATOR: Analyzing your prompt...\n');
+    logger.info('🧠 SMART V0 GENERATOR: Analyzing your prompt...\n');
     
-    // Analyze prompt to determine component type
-    const componentType = this.analyzePrompt(userPrompt);
+    // Pick the component types, then build the system prompt and the prompt enhanced with integration hints
+    const { componentTypes, enhancedPrompt, systemPrompt, size } = this.buildPrompt(userPrompt, options);
+    const [componentType] = componentTypes;
     
-    // Get appropriate system prompt
-    const systemPrompt = this.getSystemPrompt(componentType, userPrompt);
-    
-    // Enhance user prompt with backend integration hints
-    const enhancedPrompt = this.enhancePrompt(userPrompt, componentType);
-    
-    console.log(`📝 Original prompt: "${userPrompt}"`);
-    console.log(`🎯 Component type: ${componentType}`);
-    console.log(`🧠 Using optimized system prompt for backend integration`);
-    console.log(`📝 Enhanced prompt: "${enhancedPrompt}"`);
-    console.log('');
+    logger.info(`📝 Original prompt: "${userPrompt}"`);
+    logger.info(`🎯 Component type: ${componentTypes.join(' + ')}${options.componentType ? ' (--type)' : ''}`);
+    logger.info(`🧠 Using optimized system prompt for backend integration`);
+    logger.info(`📝 Enhanced prompt: "${enhancedPrompt}"`);
+    logger.info(`📏 Prompt size: ~${size.tokens.total} of ${size.budget} tokens`);
+    if (size.trimmed.length > 0) {
+      logger.warn(`✂️  Trimmed to fit the budget: ${size.trimmed.join(', ')}`);
+    }
+    if (size.overBudget) {
+      logger.warn(`⚠️  The prompt is still over its budget of ${size.budget} tokens; only required sections are left`);
+    }
+    logger.info('');
 
     // Create component with smart configuration
     const result = await this.creator.createAndDownload(enhancedPrompt, {
       system: systemPrompt,
-      modelId: options.modelId || 'v0-1.5-md',
       thinking: options.thinking || false,
       privacy: options.privacy || 'private',
       outputDir: options.outputDir || './src/components',
-      ...options
+      ...options,
+      modelId: this.getModel(componentType, options)
     });
 
     // Add metadata about the generation
     result.componentType = componentType;
+    result.componentTypes = componentTypes;
+    result.modelId = this.getModel(componentType, options);
     result.enhancedPrompt = enhancedPrompt;
     result.systemPromptUsed = systemPrompt.substring(0, 100) + '...';
 
@@ -158,176 +329,192 @@ class SmartV0Generator {
 }
 
 /**
- * Parse command line arguments
+ * Print how a prompt would be classified and enhanced (--explain), without contacting v0
+ * @param {SmartV0Generator} generator - Generator to explain with
+ * @param {Object} options - Parsed options; options.componentType is the --type override
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    prompt: '',
-    modelId: 'v0-1.5-md',
-    thinking: false,
-    privacy: 'private',
-    outputDir: './src/components',
-    help: false,
-    smart: true // Smart mode is always enabled
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    switch (arg) {
-      case '--prompt':
-      case '-p':
-        options.prompt = args[++i];
-        break;
-      case '--model':
-      case '-m':
-        options.modelId = args[++i];
-        break;
-      case '--thinking':
-      case '-t':
-        options.thinking = true;
-        break;
-      case '--privacy':
-        options.privacy = args[++i];
-        break;
-      case '--output':
-      case '-o':
-        options.outputDir = args[++i];
-        break;
-      case '--help':
-      case '-h':
-        options.help = true;
-        break;
-      default:
-        // If no flag, treat as prompt
-        if (!options.prompt && !arg.startsWith('-')) {
-          options.prompt = arg;
-        }
-        break;
-    }
+function printExplanation(generator, options) {
+  const { componentTypes, classification, modelId, enhancedPrompt, systemPrompt, size } = generator.buildPrompt(options.prompt, options);
+  const definition = generator.types[componentTypes[0]];
+
+  if (options.json) {
+    printResult({
+      command: 'generate',
+      ok: true,
+      exitCode: 0,
+      explain: true,
+      componentType: componentTypes[0],
+      componentTypes,
+      override: options.componentType || null,
+      pack: definition?.pack ?? null,
+      modelId,
+      ranked: classification.ranked.map(({ matches, ...entry }) => ({
+        ...entry,
+        matches: matches.map(({ keyword, weight, applied, negated, feature }) => ({ keyword, weight, applied, negated, feature }))
+      })),
+      enhancedPrompt,
+      systemPromptLength: systemPrompt.length,
+      tokens: size.tokens,
+      budget: size.budget,
+      trimmed: size.trimmed,
+      warnings: []
+    });
+    return;
   }
 
-  return options;
+  printClassification(classification);
+  if (options.componentType) {
+    logger.info(`\n📌 --type ${options.componentType} overrides the detected type`);
+  }
+  logger.info(`\n🧠 System prompt: ${componentTypes.join(' + ')} (${systemPrompt.length} characters)${definition ? `, from the ${definition.pack} pack` : ''}`);
+  logger.info(`🤖 Model: ${modelId}`);
+  logger.info(`📝 Enhanced prompt: "${enhancedPrompt}"`);
+  logger.info(`📏 Prompt size: ~${size.tokens.total} of ${size.budget} tokens${size.trimmed.length > 0 ? ` (trimmed: ${size.trimmed.join(', ')})` : ''}`);
+  logger.info('\n💡 Nothing was sent to v0 (--explain)');
 }
 
 /**
- * Display help information
+ * Print the size of the final prompts, section by section, and with --show the exact prompts themselves
+ * @param {Object} built - Result of SmartV0Generator#buildPrompt
+ * @param {Object} options - Options; options.show prints the prompts
  */
-function showHelp() {
-  console.log(`
-🧠 Smart V0 Component Generator with Backend Integration
-
-This intelligent generator automatically:
-✅ Analyzes your prompt to determine component type
-✅ Selects the optimal system prompt for backend compatibility  
-✅ Enhances your prompt with integration hints
-✅ Ensures seamless backend integration every time
-✅ Downloads and integrates code automatically
-
-Usage:
-  node smart-v0-generator.js "Your component description"
-  npm run generate -- "Your component description"
-
-Options:
-  -p, --prompt <text>     Component description (required)
-  -m, --model <id>        Model ID (v0-1.5-sm, v0-1.5-md, v0-1.5-lg, v0-gpt-5)
-  -t, --thinking          Enable thinking mode
-  --privacy <level>       Privacy level (private, public, team, unlisted)
-  -o, --output <path>     Output directory (default: ./src/components)
-  -h, --help             Show this help message
-
-Intelligent Component Types Detected:
-🏠 Dashboard         - Main analytics overview with metrics cards
-🔍 Query Builder    - Advanced query interface with filters
-📊 Results Table    - Data display with sorting and export
-📈 Analytics Charts - Visualizations for call center metrics
-👥 User Management  - Admin interface for user roles
-🔐 Authentication   - Login/signup components
-🧭 Navigation       - Menus, headers, sidebars
-📝 Forms            - Input forms and data entry
-
-Examples:
-  # Dashboard component (auto-detected)
-  node smart-v0-generator.js "Create a call center analytics dashboard"
-  
-  # Query builder (auto-detected)  
-  node smart-v0-generator.js "Build an advanced query interface for analytics"
-  
-  # Custom component with smart enhancement
-  node smart-v0-generator.js "Create a sentiment analysis widget with real-time updates"
-  
-  # Complex component with all options
-  node smart-v0-generator.js "Build a compliance tracking dashboard" -m "v0-1.5-lg" -t
-
-🎯 The generator automatically ensures backend compatibility by:
-   • Using correct API endpoints and contracts
-   • Implementing proper TypeScript interfaces
-   • Including authentication and role-based access
-   • Following your existing database schema
-   • Maintaining consistent import patterns
-
-💡 Just describe what you want - the smart generator handles all backend integration!
-`);
-}
+function printPromptReport(built, options) {
+  const { componentTypes, modelId, enhancedPrompt, systemPrompt, size } = built;
+
+  // The prompts go to stdout as they are, so they can be piped or diffed; everything else is a log line
+  if (options.show) {
+    logger.info('🧠 System prompt:\n');
+    process.stdout.write(`${systemPrompt}\n`);
+    logger.info('\n📝 User prompt:\n');
+    process.stdout.write(`${enhancedPrompt}\n`);
+    logger.info('');
+  }
 
-// Run script if executed directly
-if (require.main === module) {
-  console.log('🧠 Smart V0 Component Generator - Backend Integration Guaranteed\n');
-  
-  // Check if API key is available
-  if (!process.env.V0_API_KEY) {
-    console.error('❌ V0_API_KEY not found in environment variables');
-    console.log('Make sure your .env file contains: V0_API_KEY=your_api_key_here');
-    console.log('Get your API key from: https://v0.app/chat/settings/keys');
-    process.exit(1);
+  logger.info(`🎯 Component type: ${componentTypes.join(' + ')}  🤖 Model: ${modelId}`);
+  logger.info(`📏 Prompt size (estimated, ~${CHARS_PER_TOKEN} characters per token):`);
+  logger.info(`   System: ~${size.tokens.system} tokens (${systemPrompt.length} characters)`);
+  logger.info(`   User:   ~${size.tokens.user} tokens (${enhancedPrompt.length} characters)`);
+  logger.info(`   Total:  ~${size.tokens.total} of ${size.budget} tokens`);
+
+  logger.info('\n🧩 Sections, trimmed lowest priority first:');
+  size.sections.forEach(section => {
+    logger.info(`${section.trimmed ? '✂️ ' : '  '} ${section.name.padEnd(14)} ${section.priority.padEnd(9)} ~${section.tokens}${section.trimmed ? ' (trimmed)' : ''}`);
+  });
+
+  if (size.overBudget) {
+    logger.warn(`\n⚠️  Over budget even with every optional section trimmed; shorten the prompt or raise --budget`);
   }
-  
-  // Parse command line arguments
-  const options = parseArgs();
-  
-  // Show help if requested or no prompt provided
-  if (options.help) {
-    showHelp();
-    process.exit(0);
+  if (!options.show) logger.info('\n💡 Add --show to print the exact prompts');
+}
+
+/**
+ * Build the final prompts of a generation and report their size, without calling v0
+ * @param {Object} options - Parsed options; options.prompt is the component description
+ */
+function runPrompt(options) {
+  try {
+    const generator = new SmartV0Generator({ retry: options.retry });
+    const built = generator.buildPrompt(options.prompt, options);
+
+    if (options.json) {
+      printResult({
+        command: 'prompt',
+        ok: true,
+        exitCode: 0,
+        componentType: built.componentTypes[0],
+        componentTypes: built.componentTypes,
+        modelId: built.modelId,
+        systemPrompt: built.systemPrompt,
+        enhancedPrompt: built.enhancedPrompt,
+        tokens: built.size.tokens,
+        budget: built.size.budget,
+        overBudget: built.size.overBudget,
+        trimmed: built.size.trimmed,
+        sections: built.size.sections,
+        warnings: built.size.overBudget ? [`Prompt is over its budget of ${built.size.budget} tokens`] : []
+      });
+      return;
+    }
+
+    printPromptReport(built, options);
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    exitWithError('prompt', error, options);
   }
-  
-  if (!options.prompt) {
-    console.error('❌ No prompt provided!');
-    console.log('Use --help for usage information, or provide a prompt:');
-    console.log('Example: node smart-v0-generator.js "Create a modern analytics dashboard"\n');
-    showHelp();
-    process.exit(1);
+}
+
+/**
+ * Run a smart generation and report it: a summary, or one result object with --json
+ * Sets process.exitCode when the download failed and exits when the generation itself failed
+ * With options.explain, only prints how the prompt would be classified
+ * @param {Object} options - Parsed options; options.prompt is the component description
+ * @returns {Promise<void>} Resolves once the result has been reported
+ */
+function runGenerate(options) {
+  let generator;
+  try {
+    // Loading the prompt packs fails on a missing or invalid pack
+    generator = new SmartV0Generator({ retry: options.retry });
+    if (options.explain) {
+      printExplanation(generator, options);
+      return Promise.resolve();
+    }
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    exitWithError('generate', error, options);
   }
   
-  // Generate component with smart backend integration
-  const generator = new SmartV0Generator();
-  
-  generator.generateComponent(options.prompt, options)
+  return generator.generateComponent(options.prompt, options)
     .then((result) => {
-      console.log('\n🎉 SMART GENERATION COMPLETED!');
-      console.log('📊 Generation Summary:');
-      console.log(`   Chat ID: ${result.id}`);
-      console.log(`   Component Type: ${result.componentType}`);
-      console.log(`   Download Status: ${result.autoDownloadStatus || 'completed'}`);
+      recordGeneration('generate', options, { chat: result, runId: result.runId });
+      // The chat exists either way, but a failed download still fails the command
+      if (result.downloadFailure) process.exitCode = getExitCode(result.downloadFailure);
+      if (options.json) {
+        printResult(chatResult('generate', result));
+        return;
+      }
+      logger.info('\n🎉 SMART GENERATION COMPLETED!');
+      logger.info('📊 Generation Summary:');
+      logger.info(`   Chat ID: ${result.id}`);
+      logger.info(`   Component Type: ${result.componentType}`);
+      logger.info(`   Download Status: ${result.autoDownloadStatus || 'completed'}`);
       if (result.downloadedFiles) {
-        console.log(`   Files Generated: ${result.downloadedFiles.length}`);
+        logger.info(`   Files Generated: ${result.downloadedFiles.length}`);
         result.downloadedFiles.forEach(file => {
-          console.log(`   ✅ ${file}`);
+          logger.info(`   ✅ ${file}`);
         });
       }
-      console.log('\n🔗 Links:');
-      console.log(`   Web URL: ${result.webUrl}`);
+      if (result.conflicts?.length > 0) {
+        logger.info(`   Conflicts: ${result.conflicts.length}`);
+        result.conflicts.forEach(conflict => logger.info(`   ❗ ${conflict.path}`));
+      }
+      if (result.rejectedFiles?.length > 0) {
+        logger.info(`   Rejected: ${result.rejectedFiles.length}`);
+        result.rejectedFiles.forEach(entry => logger.info(`   🚫 ${entry.name} (${entry.reason})`));
+      }
+      logger.info('\n🔗 Links:');
+      logger.info(`   Web URL: ${result.webUrl}`);
       if (result.latestVersion?.demoUrl) {
-        console.log(`   Demo URL: ${result.latestVersion.demoUrl}`);
+        logger.info(`   Demo URL: ${result.latestVersion.demoUrl}`);
       }
-      console.log('\n💡 Your component is now integrated and backend-compatible!');
-      console.log('🔄 Run this script again to generate more smart components.');
+      logger.info('\n💡 Your component is now integrated and backend-compatible!');
+      logger.info('🔄 Run this script again to generate more smart components.');
     })
     .catch((error) => {
-      console.error('❌ Smart generation failed:', error.message);
-      process.exit(1);
+      recordGeneration('generate', options, { error });
+      if (isAbortError(error)) {
+        logger.error(`⏹️  ${error.message}`);
+      } else {
+        logger.error('❌ Smart generation failed:', error.message);
+      }
+      exitWithError('generate', error, options);
     });
 }
 
-module.exports = { SmartV0Generator };
+module.exports = { SmartV0Generator, runGenerate, runPrompt };
+
+// Run script if executed directly: the same as "v0 generate", so flags are parsed and validated in one place
+if (require.main === module) {
+  applyLogFlags();
+  require('./v0').main(['generate', ...process.argv.slice(2)]);
+}
@@ -0,0 +1,32 @@
+/**
+ * A deadline combined with a caller's signal aborts on either, and leaves no listener on the caller's signal
+ * Run with: npm test
+ */
+
+import assert from 'assert';
+import { getEventListeners } from 'events';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { withDeadline, sleep } = require('../cancellation.js');
+
+// One long-lived signal shared by many calls, like the CLI's Ctrl-C signal
+const controller = new AbortController();
+for (let i = 0; i < 50; i++) {
+  await sleep(0, withDeadline({ signal: controller.signal, timeout: 60000 }));
+}
+assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+
+// The deadline aborts with a timeout error
+const timedOut = withDeadline({ signal: controller.signal, timeout: 5 });
+await assert.rejects(sleep(1000, timedOut), error => error.name === 'V0TimeoutError');
+
+// The caller's signal still aborts the combined one, with its reason
+const combined = withDeadline({ signal: controller.signal, timeout: 60000 });
+const reason = Object.assign(new Error('Cancelled by user'), { name: 'AbortError' });
+controller.abort(reason);
+assert.ok(combined.aborted);
+assert.strictEqual(combined.reason, reason);
+assert.strictEqual(withDeadline({ signal: controller.signal, timeout: 60000 }).reason, reason);
+
+console.log('✅ withDeadline leaves no listeners on the caller\'s signal');
@@ -0,0 +1,71 @@
+/**
+ * Classifies prompts by weighted keywords: negation, feature markers, composites and plurals, and --explain
+ * shows weights that add up to each score
+ * Run with: npm test
+ */
+
+import assert from 'assert';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { classifyPrompt, printClassification } = require('../component-classifier.js');
+const { getLogger } = require('../logger.js');
+
+const scoreOf = (classification, componentType) =>
+  classification.ranked.find(entry => entry.componentType === componentType)?.score;
+
+// Plurals, including y -> ies
+assert.strictEqual(classifyPrompt('Show the saved queries').componentType, 'queryBuilder');
+assert.strictEqual(scoreOf(classifyPrompt('saved queries'), 'queryBuilder'), scoreOf(classifyPrompt('saved query'), 'queryBuilder'));
+assert.strictEqual(classifyPrompt('Build two charts').componentType, 'analyticsCharts');
+assert.strictEqual(classifyPrompt('A page of query builders').componentType, 'queryBuilder');
+
+// A negated keyword counts against its type
+const negated = classifyPrompt('A data table without a chart');
+assert.strictEqual(negated.componentType, 'resultsTable');
+assert.ok(scoreOf(negated, 'analyticsCharts') < 0);
+assert.ok(negated.ranked.find(entry => entry.componentType === 'analyticsCharts').matches[0].negated);
+
+// Keywords after a feature marker describe the component instead of naming it
+const featured = classifyPrompt('A sidebar with a chart');
+assert.strictEqual(featured.componentType, 'navigation');
+assert.ok(featured.ranked.find(entry => entry.componentType === 'analyticsCharts').matches[0].feature);
+assert.strictEqual(scoreOf(featured, 'analyticsCharts'), 3 * 0.5);
+assert.strictEqual(scoreOf(classifyPrompt('A chart'), 'analyticsCharts'), 3);
+
+// Types scoring close to the best one make a composite component
+const composite = classifyPrompt('A dashboard and a chart');
+assert.ok(composite.composite);
+assert.deepStrictEqual(composite.componentTypes, ['dashboard', 'analyticsCharts']);
+assert.strictEqual(classifyPrompt('A results table').composite, false);
+assert.strictEqual(classifyPrompt('Something nice').componentType, 'default');
+
+// --explain: the applied weights listed under each type add up to its score
+const logger = getLogger();
+const stream = logger.stream;
+let output = '';
+logger.configure({ stream: { write: text => { output += text; } } });
+try {
+  printClassification(classifyPrompt('A dashboard with charts, a data table and filters but no login, without a sidebar'));
+} finally {
+  logger.configure({ stream });
+}
+
+const explained = {};
+let current = null;
+output.split('\n').forEach(line => {
+  const typeLine = /^\S*\s+(\w+)\s+score\s+(-?[\d.]+)/.exec(line);
+  const weightLine = /^\s+([+-][\d.]+) "/.exec(line);
+  if (typeLine) {
+    current = typeLine[1];
+    explained[current] = { score: Number(typeLine[2]), sum: 0 };
+  } else if (weightLine && current) {
+    explained[current].sum += Number(weightLine[1]);
+  }
+});
+assert.ok(Object.keys(explained).length >= 4, output);
+Object.entries(explained).forEach(([componentType, { score, sum }]) => {
+  assert.ok(Math.abs(score - sum) < 0.01, `${componentType}: weights add up to ${sum}, score is ${score}`);
+});
+
+console.log('✅ classifier handles negation, features, composites and plurals, and --explain adds up');
@@ -0,0 +1,55 @@
+/**
+ * Routing rules must not let a generated name leave the project or the directory its rule targets
+ * Run with: npm test
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { planGeneratedFiles } = require('../generated-files.js');
+const { literalPrefix, routeGeneratedFiles } = require('../file-routing.js');
+const { partitionSafeFiles } = require('../path-sandbox.js');
+
+const project = fs.mkdtempSync(path.join(os.tmpdir(), 'v0-routing-'));
+fs.writeFileSync(path.join(project, 'package.json'), '{}');
+process.chdir(project);
+
+const plan = planGeneratedFiles([
+  { name: 'app/../../package.json', content: '{"pwned": true}' },
+  { name: '/etc/app/passwd.ts', content: '' },
+  { name: 'app/dashboard/page.tsx', content: 'export default function Page() {}' }
+], 'src/components', { routes: ['app/** -> src/app/**', '/etc/** -> src/etc/**'], projectRoot: '.' });
+const byName = Object.fromEntries(plan.map(entry => [entry.path, entry]));
+
+// The exact escape: matched "app/**" and normalized to the project's own package.json
+assert.strictEqual(byName['app/../../package.json'].action, 'rejected');
+assert.match(byName['app/../../package.json'].reason, /\.\./);
+assert.strictEqual(byName['/etc/app/passwd.ts'].action, 'rejected');
+assert.ok(!plan.some(entry => entry.path === 'package.json'));
+assert.strictEqual(byName[path.join('src', 'app', 'dashboard', 'page.tsx')].action, 'create');
+
+// A redirected file is confined to its rule's literal target directory, not the whole project
+assert.strictEqual(literalPrefix('src/app/**'), 'src/app/');
+assert.strictEqual(literalPrefix('lib/cn.ts'), 'lib/');
+assert.strictEqual(literalPrefix('**/x.ts'), '');
+const { files: routed } = routeGeneratedFiles([{ name: 'app/page.tsx', content: '' }], 'src/components', ['app/** -> src/app/**'], { projectRoot: '.' });
+assert.strictEqual(path.resolve(routed[0].allowedRoot), path.resolve('src', 'app'));
+const { rejected } = partitionSafeFiles([{ ...routed[0], name: 'src/lib/page.tsx' }], 'src/components');
+assert.strictEqual(rejected.length, 1);
+
+// A broken rule stops the command when the config loads, not halfway through a download
+const { loadProjectConfig } = require('../project-config.js');
+const { V0ValidationError } = require('../v0-errors.js');
+fs.writeFileSync(path.join(project, '.v0rc'), JSON.stringify({ routes: ['app/** -> src/app/**', { match: 'lib/utils.ts', action: 'rename' }] }));
+assert.throws(() => loadProjectConfig(), error => error instanceof V0ValidationError && /routes: .*needs a "to" path/.test(error.message));
+fs.writeFileSync(path.join(project, '.v0rc'), JSON.stringify({ routes: [null] }));
+assert.throws(() => loadProjectConfig(), V0ValidationError);
+
+process.chdir(os.tmpdir());
+fs.rmSync(project, { recursive: true, force: true });
+
+console.log('✅ routing rejects ".." and absolute names before matching rules');
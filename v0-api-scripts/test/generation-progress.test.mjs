@@ -0,0 +1,48 @@
+/**
+ * With --json, progress and log lines go to stderr so stdout carries only the result object
+ * Run with: npm test
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { V0Client } = require('../v0-client.js');
+const { useJsonOutput, printResult } = require('../cli-result.js');
+
+const project = fs.mkdtempSync(path.join(os.tmpdir(), 'v0-progress-'));
+fs.writeFileSync(path.join(project, 'package.json'), '{}');
+process.chdir(project);
+
+const client = new V0Client({ apiKey: 'test', transport: {} });
+const version = { id: 'v1', status: 'completed', files: [{ name: 'Widget.tsx', content: 'export const Widget = null;\n' }] };
+client.getChat = async () => ({ id: 'chat-1', latestVersion: version });
+client.getGeneratedFiles = async () => ({ versionId: 'v1', files: version.files });
+
+const stdoutWrite = process.stdout.write;
+let stdout = '';
+process.stdout.write = chunk => {
+  stdout += chunk;
+  return true;
+};
+
+let files;
+try {
+  useJsonOutput(client.logger);
+  files = await client.waitAndDownload('chat-1', path.join('src', 'components'));
+  printResult({ command: 'download', ok: true, files });
+} finally {
+  process.stdout.write = stdoutWrite;
+  client.logger.configure({ stream: process.stdout });
+}
+
+assert.strictEqual(files.length, 1);
+assert.deepStrictEqual(JSON.parse(stdout), { command: 'download', ok: true, files });
+
+process.chdir(os.tmpdir());
+fs.rmSync(project, { recursive: true, force: true });
+
+console.log('✅ --json keeps generation progress off stdout');
@@ -0,0 +1,42 @@
+/**
+ * Errors without an HTTP status are only retried when they are network failures, never for bugs
+ * Run with: npm test
+ */
+
+import assert from 'assert';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { isRetryableError, withRetry } = require('../retry-policy.js');
+
+const withCode = (code, cause) => Object.assign(new Error(`connect ${code}`), { code, cause });
+
+assert.strictEqual(isRetryableError(new Error('boom')), false);
+assert.strictEqual(isRetryableError(new TypeError("Cannot read properties of undefined (reading 'id')")), false);
+
+// Node's fetch rejects with a TypeError whose cause carries the network code
+assert.strictEqual(isRetryableError(new TypeError('fetch failed', { cause: withCode('ECONNRESET') })), true);
+assert.strictEqual(isRetryableError(withCode('UND_ERR_CONNECT_TIMEOUT')), true);
+['ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].forEach(code => assert.strictEqual(isRetryableError(withCode(code)), true, code));
+assert.strictEqual(isRetryableError(Object.assign(new Error('network timeout'), { name: 'FetchError' })), true);
+
+assert.strictEqual(isRetryableError(Object.assign(new Error('unavailable'), { status: 503 })), true);
+assert.strictEqual(isRetryableError(Object.assign(new Error('bad request'), { status: 400 })), false);
+
+// A bug fails on the first attempt instead of after every backoff
+let attempts = 0;
+await assert.rejects(withRetry(async () => {
+  attempts++;
+  throw new TypeError('x is not a function');
+}, { policy: { minDelay: 1 } }), TypeError);
+assert.strictEqual(attempts, 1);
+
+attempts = 0;
+const result = await withRetry(async () => {
+  if (++attempts < 3) throw withCode('ECONNRESET');
+  return 'ok';
+}, { policy: { minDelay: 1, maxDelay: 1 } });
+assert.strictEqual(result, 'ok');
+assert.strictEqual(attempts, 3);
+
+console.log('✅ only network failures are retried when there is no HTTP status');
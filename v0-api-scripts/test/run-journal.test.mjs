@@ -0,0 +1,51 @@
+/**
+ * A download that fails after writing files must still record its run, so undo can restore them
+ * Run with: npm test
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { V0Client } = require('../v0-client.js');
+const { listRuns, undoRun } = require('../run-journal.js');
+
+const project = fs.mkdtempSync(path.join(os.tmpdir(), 'v0-journal-'));
+fs.writeFileSync(path.join(project, 'package.json'), '{}');
+process.chdir(project);
+
+const outputDir = path.join('src', 'components');
+fs.mkdirSync(outputDir, { recursive: true });
+fs.writeFileSync(path.join(outputDir, 'Existing.tsx'), 'export const before = true;\n');
+
+const client = new V0Client({
+  apiKey: 'test',
+  transport: {},
+  postDownload: [() => { throw new Error('hook failed'); }]
+});
+client.getGeneratedFiles = async () => ({
+  versionId: 'v1',
+  files: [
+    { name: 'Existing.tsx', content: 'export const after = true;\n' },
+    { name: 'Created.tsx', content: 'export const created = true;\n' }
+  ]
+});
+
+await assert.rejects(client.downloadGeneratedCode('chat-1', outputDir), /hook failed/);
+assert.strictEqual(fs.readFileSync(path.join(outputDir, 'Existing.tsx'), 'utf8'), 'export const after = true;\n');
+
+// The run was recorded despite the failing hook, and undo puts the tree back
+assert.strictEqual(listRuns().length, 1);
+const result = undoRun();
+assert.strictEqual(fs.readFileSync(path.join(outputDir, 'Existing.tsx'), 'utf8'), 'export const before = true;\n');
+assert.ok(!fs.existsSync(path.join(outputDir, 'Created.tsx')));
+assert.ok(result.restored.includes(path.resolve(outputDir, 'Existing.tsx')));
+assert.ok(result.deleted.includes(path.resolve(outputDir, 'Created.tsx')));
+
+process.chdir(os.tmpdir());
+fs.rmSync(project, { recursive: true, force: true });
+
+console.log('✅ a failed download still records its run for undo');
@@ -0,0 +1,54 @@
+/**
+ * Files left with merge conflicts must not be recorded in v0.lock.json as the new version's output
+ * Run with: npm test
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { V0Client } = require('../v0-client.js');
+const { readLockfile } = require('../v0-lockfile.js');
+
+const project = fs.mkdtempSync(path.join(os.tmpdir(), 'v0-lockfile-'));
+fs.writeFileSync(path.join(project, 'package.json'), '{}');
+process.chdir(project);
+
+const outputDir = path.join('src', 'components');
+const client = new V0Client({ apiKey: 'test', transport: {} });
+let version = { versionId: 'v1', files: [
+  { name: 'Marked.tsx', content: 'export const label = "one";\n' },
+  { name: 'Sidecar.tsx', content: 'export const label = "one";\n' },
+  { name: 'Clean.tsx', content: 'export const label = "one";\n' }
+] };
+client.getGeneratedFiles = async () => version;
+
+await client.downloadGeneratedCode('chat-1', outputDir);
+assert.strictEqual(readLockfile(outputDir).files['Marked.tsx'].versionId, 'v1');
+
+// Local edits that collide with the next version
+fs.writeFileSync(path.join(outputDir, 'Marked.tsx'), 'export const label = "local";\n');
+fs.writeFileSync(path.join(outputDir, 'Sidecar.tsx'), 'export const label = "local";\n');
+version = { versionId: 'v2', files: version.files.map(file => ({ ...file, content: 'export const label = "two";\n' })) };
+
+await client.downloadGeneratedCode('chat-1', outputDir, { merge: true });
+let locked = readLockfile(outputDir).files;
+assert.match(fs.readFileSync(path.join(outputDir, 'Marked.tsx'), 'utf8'), /<<<<<<< local/);
+assert.strictEqual(locked['Marked.tsx'].versionId, 'v1');
+assert.strictEqual(locked['Clean.tsx'].versionId, 'v2');
+
+fs.writeFileSync(path.join(outputDir, 'Sidecar.tsx'), 'export const label = "local again";\n');
+version = { versionId: 'v3', files: version.files.map(file => ({ ...file, content: 'export const label = "three";\n' })) };
+await client.downloadGeneratedCode('chat-1', outputDir, { merge: true, conflictStyle: 'sidecar' });
+locked = readLockfile(outputDir).files;
+assert.ok(fs.existsSync(path.join(outputDir, 'Sidecar.tsx.v0-incoming')));
+assert.strictEqual(locked['Sidecar.tsx'].versionId, 'v1');
+assert.strictEqual(locked['Clean.tsx'].versionId, 'v3');
+
+process.chdir(os.tmpdir());
+fs.rmSync(project, { recursive: true, force: true });
+
+console.log('✅ conflicted files keep their previous v0.lock.json entry');
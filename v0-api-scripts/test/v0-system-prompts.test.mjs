@@ -0,0 +1,94 @@
+/**
+ * Loads the prompt library through require and import, by path and by package name, and checks both
+ * module systems see the same exports, and that the prompts are rendered from the backend contract
+ * Run with: npm test
+ */
+
+import assert from 'assert';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const EXPORTS = [
+  'BACKEND_PROMPT_SECTIONS', 'BACKEND_SYSTEM_PROMPT_TEMPLATE', 'DOMAIN_CONTEXT_TEMPLATE', 'BACKEND_COMPATIBLE_SYSTEM_PROMPT',
+  'QUERY_ENGINE_CONTEXT', 'getPromptVariables', 'renderPromptTemplate', 'assembleSystemPrompt', 'buildSystemPromptSections',
+  'generateSystemPrompt', 'COMPONENT_CONTEXTS', 'COMPONENT_PROMPTS', 'INTEGRATION_HINTS'
+];
+
+const required = require('../v0-system-prompts.js');
+const imported = await import('../v0-system-prompts.mjs');
+
+EXPORTS.forEach(name => {
+  assert.ok(required[name], `require() is missing ${name}`);
+  assert.strictEqual(imported[name], required[name], `import and require disagree on ${name}`);
+});
+assert.strictEqual(imported.default, required);
+
+assert.strictEqual(typeof required.generateSystemPrompt, 'function');
+const prompt = imported.generateSystemPrompt('EXTRA CONTEXT');
+assert.ok(prompt.includes(required.BACKEND_COMPATIBLE_SYSTEM_PROMPT));
+assert.ok(prompt.includes(required.QUERY_ENGINE_CONTEXT));
+assert.ok(prompt.includes('EXTRA CONTEXT'));
+
+['dashboard', 'queryBuilder', 'resultsTable', 'analyticsCharts', 'userManagement', 'authentication', 'navigation', 'forms'].forEach(type => {
+  assert.strictEqual(typeof imported.COMPONENT_PROMPTS[type], 'string', `COMPONENT_PROMPTS.${type} is missing`);
+  assert.strictEqual(imported.COMPONENT_PROMPTS[type], imported.generateSystemPrompt(imported.renderPromptTemplate(imported.COMPONENT_CONTEXTS[type])));
+});
+
+// The prompts follow the backend contract they are rendered with
+const { DEFAULT_BACKEND_CONTRACT } = require('../backend-contract.js');
+const contract = { ...DEFAULT_BACKEND_CONTRACT, projectName: 'Ticket Desk', roles: ['agent', 'supervisor'], requiredApiRoutes: ['/api/tickets'] };
+const rendered = imported.generateSystemPrompt(imported.renderPromptTemplate(imported.COMPONENT_CONTEXTS.navigation, contract), contract);
+assert.ok(rendered.includes('Available roles: agent, supervisor'));
+assert.ok(rendered.includes("Links filtered by the user's role (agent, supervisor)"));
+assert.ok(rendered.includes('* /api/tickets'));
+assert.ok(rendered.includes('existing Ticket Desk backend'));
+assert.ok(!/query_builder|\/api\/analytics|\{\{/.test(rendered));
+assert.throws(() => imported.renderPromptTemplate('{{nope}}'), /Unknown variable \{\{nope\}\}/);
+
+// Nothing the contract leaves out is filled in with Query Engine Studio's backend
+const ticketDesk = {
+  projectName: 'Ticket Desk',
+  domain: { title: 'Support Ticket Desk', description: 'Components for support agents who triage customer tickets.' },
+  requiredApiRoutes: ['/api/tickets'],
+  requiredTables: [],
+  requiredInterfaces: [],
+  metrics: ['csat'],
+  roles: ['agent'],
+  permissions: [],
+  standardImportPaths: [],
+  database: {},
+  authProvider: null,
+  supabasePatterns: {}
+};
+Object.keys(imported.COMPONENT_CONTEXTS).forEach(type => {
+  const text = imported.generateSystemPrompt(imported.renderPromptTemplate(imported.COMPONENT_CONTEXTS[type], ticketDesk), ticketDesk) +
+    imported.renderPromptTemplate(imported.INTEGRATION_HINTS[type], ticketDesk);
+  assert.ok(!/supabase|call cent|QueryConfig|@\/lib\/api|PostgreSQL|total calls|mobile pitch|sentiment|\{\{/i.test(text), `${type} prompt mentions another backend`);
+  assert.ok(!/TYPESCRIPT INTERFACES|AUTHENTICATION/.test(text) && text.includes('Ticket Desk'));
+});
+
+// Trimming to a budget drops low-priority sections first and keeps the numbering without gaps
+const { fitPromptToBudget, estimateTokens } = require('../prompt-budget.js');
+const sections = imported.buildSystemPromptSections('EXTRA CONTEXT');
+assert.strictEqual(imported.assembleSystemPrompt(sections), imported.generateSystemPrompt('EXTRA CONTEXT'));
+const untrimmed = fitPromptToBudget(sections, { assemble: imported.assembleSystemPrompt });
+assert.deepStrictEqual(untrimmed.trimmed, []);
+const lowTokens = untrimmed.sections.filter(section => section.priority === 'low').reduce((sum, section) => sum + section.tokens, 0);
+const fitted = fitPromptToBudget(sections, { budget: untrimmed.tokens.total - lowTokens + 20, assemble: imported.assembleSystemPrompt });
+assert.ok(fitted.trimmed.length > 0 && fitted.sections.every(section => !section.trimmed || section.priority === 'low'));
+assert.ok(!fitted.overBudget && fitted.tokens.system === estimateTokens(fitted.systemPrompt));
+assert.ok(!fitted.systemPrompt.includes('STYLING') && fitted.systemPrompt.includes('EXTRA CONTEXT'));
+const numbers = [...fitted.systemPrompt.matchAll(/^(\d+)\. /gm)].map(match => Number(match[1]));
+assert.deepStrictEqual(numbers, numbers.map((number, index) => index + 1));
+assert.ok(fitPromptToBudget(sections, { budget: 1, assemble: imported.assembleSystemPrompt }).overBudget);
+
+// Through the package's "exports" map, the way other packages load it
+const byName = await import('v0-api-scripts/v0-system-prompts');
+assert.strictEqual(byName.COMPONENT_PROMPTS, required.COMPONENT_PROMPTS);
+assert.strictEqual(require('v0-api-scripts/v0-system-prompts'), required);
+
+// The CLI's own consumer loads under plain CommonJS
+const { SmartV0Generator } = require('../smart-v0-generator.js');
+assert.strictEqual(typeof SmartV0Generator, 'function');
+
+console.log('✅ v0-system-prompts loads with require and import');
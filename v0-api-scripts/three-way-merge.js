@@ -0,0 +1,102 @@
+/**
+ * Three-Way Merge
+ * Line-based merge of local edits and new v0 output against the last downloaded base
+ */
+
+const { diffLines, splitLines } = require('./unified-diff');
+
+/**
+ * Map every base line to its matching line in another version
+ * @param {Array<string>} base - Base lines
+ * @param {Array<string>} other - Lines of the other version
+ * @returns {Array<number>} For each base line the index in `other`, or -1 when it was removed/changed
+ */
+function matchLines(base, other) {
+  const matches = new Array(base.length).fill(-1);
+  let baseIndex = 0;
+  let otherIndex = 0;
+
+  diffLines(base, other).forEach(op => {
+    if (op.type === ' ') {
+      matches[baseIndex++] = otherIndex++;
+    } else if (op.type === '-') {
+      baseIndex++;
+    } else {
+      otherIndex++;
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Check whether two line arrays are identical
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Merge local and incoming changes that were both made on top of base
+ * @param {string} base - Content from the last download
+ * @param {string} local - Content currently on disk
+ * @param {string} incoming - New content from v0
+ * @param {Object} [labels] - Conflict marker labels
+ * @param {string} [labels.local='local'] - Label for the local side
+ * @param {string} [labels.incoming='v0'] - Label for the incoming side
+ * @returns {{content: string, conflicts: number}} Merged content (with markers when conflicts > 0)
+ */
+function mergeThreeWay(base, local, incoming, labels = {}) {
+  const { local: localLabel = 'local', incoming: incomingLabel = 'v0' } = labels;
+  const o = splitLines(base);
+  const a = splitLines(local);
+  const b = splitLines(incoming);
+  const matchA = matchLines(o, a);
+  const matchB = matchLines(o, b);
+
+  const merged = [];
+  let conflicts = 0;
+  let io = 0;
+  let ia = 0;
+  let ib = 0;
+
+  while (io <= o.length) {
+    // Find the next base line that survived unchanged on both sides
+    let k = io;
+    while (k < o.length && (matchA[k] < 0 || matchB[k] < 0)) k++;
+
+    const ka = k < o.length ? matchA[k] : a.length;
+    const kb = k < o.length ? matchB[k] : b.length;
+
+    if (k > io || ka > ia || kb > ib) {
+      const baseChunk = o.slice(io, k);
+      const localChunk = a.slice(ia, ka);
+      const incomingChunk = b.slice(ib, kb);
+
+      if (sameLines(localChunk, baseChunk)) {
+        merged.push(...incomingChunk);
+      } else if (sameLines(incomingChunk, baseChunk) || sameLines(localChunk, incomingChunk)) {
+        merged.push(...localChunk);
+      } else {
+        conflicts++;
+        merged.push(`<<<<<<< ${localLabel}`, ...localChunk, '=======', ...incomingChunk, `>>>>>>> ${incomingLabel}`);
+      }
+    }
+
+    if (k === o.length) break;
+
+    merged.push(o[k]);
+    io = k + 1;
+    ia = ka + 1;
+    ib = kb + 1;
+  }
+
+  return {
+    content: merged.length > 0 ? merged.join('\n') + '\n' : '',
+    conflicts
+  };
+}
+
+module.exports = {
+  mergeThreeWay
+};
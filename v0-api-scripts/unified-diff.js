@@ -0,0 +1,145 @@
+/**
+ * Unified Diff
+ * Minimal line-based unified diff used to preview generated files before they are written
+ */
+
+// Above this many line comparisons the LCS table gets too large; fall back to a full replace
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into lines without the trailing newline
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Compute line operations turning `a` into `b` using a longest common subsequence
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<{type: string, line: string}>} Operations (' ' keep, '-' remove, '+' add)
+ */
+function diffLines(a, b) {
+  // Common prefix and suffix never need the LCS table
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    oldMiddle.forEach(line => ops.push({ type: '-', line }));
+    newMiddle.forEach(line => ops.push({ type: '+', line }));
+  } else {
+    const n = oldMiddle.length;
+    const m = newMiddle.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = oldMiddle[i] === newMiddle[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        ops.push({ type: ' ', line: oldMiddle[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        ops.push({ type: '-', line: oldMiddle[i++] });
+      } else {
+        ops.push({ type: '+', line: newMiddle[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: '-', line: oldMiddle[i++] });
+    while (j < m) ops.push({ type: '+', line: newMiddle[j++] });
+  }
+
+  a.slice(a.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+  return ops;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string} before - Current content ('' for a new file)
+ * @param {string} after - Incoming content
+ * @param {Object} [options] - Diff options
+ * @param {string} [options.fromFile='a'] - Label for the old file
+ * @param {string} [options.toFile='b'] - Label for the new file
+ * @param {number} [options.context=3] - Lines of context around each change
+ * @returns {string} Unified diff, or '' when the contents are identical
+ */
+function createUnifiedDiff(before, after, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  const ops = diffLines(splitLines(before), splitLines(after));
+
+  // Number every operation with its position in the old and new file
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach(op => {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  const changes = ops.reduce((indexes, op, index) => {
+    if (op.type !== ' ') indexes.push(index);
+    return indexes;
+  }, []);
+
+  if (changes.length === 0) return '';
+
+  // Group nearby changes into hunks that share context
+  const groups = [];
+  changes.forEach(index => {
+    const last = groups[groups.length - 1];
+    if (last && index - context <= last.end + 1) {
+      last.end = Math.min(ops.length - 1, index + context);
+    } else {
+      groups.push({
+        start: Math.max(0, index - context),
+        end: Math.min(ops.length - 1, index + context)
+      });
+    }
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  groups.forEach(({ start, end }) => {
+    const hunk = ops.slice(start, end + 1);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk[0].oldLine;
+    const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk[0].newLine;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(op => output.push(`${op.type}${op.line}`));
+  });
+
+  return output.join('\n') + '\n';
+}
+
+module.exports = {
+  createUnifiedDiff,
+  diffLines,
+  splitLines
+};
@@ -5,245 +5,43 @@
 
 // Load environment variables and backend integration
 require('dotenv').config();
-const { v0 } = require('v0-sdk');
-const fs = require('fs');
-const path = require('path');
-const fetch = require('node-fetch');
+const { withDeadline, sleep, isAbortError } = require('./cancellation');
+const { waitForGeneration } = require('./generation-progress');
+const { resolveRetryPolicy, getRetryDelay } = require('./retry-policy');
+const {
+  V0GenerationFailedError,
+  V0DownloadIncompleteError,
+  toV0Error,
+  getExitCode
+} = require('./v0-errors');
+const { V0Client } = require('./v0-client');
 const { ensureBackendIntegration } = require('./backend-integration-config');
+const { chatResult, printResult, exitWithError } = require('./cli-result');
+const { recordGeneration } = require('./generation-history');
+const { getLogger, applyLogFlags } = require('./logger');
 
-class V0ChatCreator {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    // The v0 SDK automatically uses V0_API_KEY environment variable
-    // but we can also pass it explicitly if needed
-  }
-
-  /**
-   * Create a new chat with v0 using the official SDK
-   * @param {Object} options - Chat creation options
-   * @param {string} options.message - Required. The user message/prompt
-   * @param {string} [options.system] - System context for the chat
-   * @param {string} [options.projectId] - Project ID to associate with the chat
-   * @param {string} [options.chatPrivacy='private'] - Chat privacy setting
-   * @param {Object} [options.modelConfiguration] - Model configuration
-   * @param {Array} [options.attachments] - File attachments
-   * @param {string} [options.designSystemId] - Design system ID
-   * @returns {Promise<Object>} Chat creation response
-   */
-  async createChat(options = {}) {
-    const {
-      message,
-      system,
-      projectId,
-      chatPrivacy = 'private',
-      modelConfiguration = {
-        modelId: 'v0-1.5-md',
-        imageGenerations: false,
-        thinking: false,
-        responseMode: 'sync'
-      },
-      attachments = [],
-      designSystemId = null
-    } = options;
-
-    // Validate required fields
-    if (!message) {
-      throw new Error('Message is required to create a chat');
-    }
-
-    // Prepare request options for v0 SDK
-    const chatOptions = {
-      message,
-      modelConfiguration,
-      ...(system && { system }),
-      ...(projectId && { projectId }),
-      ...(attachments.length > 0 && { attachments }),
-      ...(designSystemId && { designSystemId })
-    };
-
-    try {
-      console.log('🔗 Creating chat with v0 SDK...');
-      console.log('📝 Chat options:', JSON.stringify(chatOptions, null, 2));
-      
-      const result = await v0.chats.create(chatOptions);
-      
-      console.log('✅ Success! Chat created with ID:', result.id);
-      return result;
-    } catch (error) {
-      console.error('Error creating chat with v0 SDK:', error);
-      
-      // Enhanced error handling
-      if (error.message.includes('401') || error.message.includes('Unauthorized')) {
-        throw new Error('Authentication failed. Please check your V0_API_KEY in the .env file');
-      } else if (error.message.includes('400')) {
-        throw new Error('Bad request. Please check your prompt format or model configuration');
-      } else if (error.message.includes('network') || error.message.includes('fetch')) {
-        throw new Error('Network error. Please check your internet connection');
-      }
-      
-      throw error;
-    }
-  }
-
-  /**
-   * Get chat details including generated files
-   * @param {string} chatId - The chat ID
-   * @returns {Promise<Object>} Chat details with files
-   */
-  async getChat(chatId) {
-    try {
-      console.log(`🔍 Fetching chat details for ID: ${chatId}`);
-      
-      // Try different methods to get chat details
-      let chat;
-      if (v0.chats.getById) {
-        chat = await v0.chats.getById({ chatId });
-      } else if (v0.chats.get) {
-        chat = await v0.chats.get({ chatId });
-      } else {
-        // Try direct API call as fallback
-        const response = await fetch(`https://api.v0.app/chats/${chatId}`, {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        });
-        
-        if (!response.ok) {
-          throw new Error(`API error: ${response.status} ${response.statusText}`);
-        }
-        
-        chat = await response.json();
-      }
-      
-      return chat;
-    } catch (error) {
-      console.error('Error fetching chat:', error);
-      throw error;
-    }
-  }
+const logger = getLogger();
 
+/**
+ * V0Client on the v0-sdk transport whose downloads always run the backend integration hook
+ */
+class V0ChatCreator extends V0Client {
   /**
-   * Download and save generated files to local workspace
-   * @param {string} chatId - The chat ID
-   * @param {string} outputDir - Output directory (default: './src/components')
-   * @returns {Promise<Array>} Array of saved file paths
+   * @param {string} apiKey - v0 API key
+   * @param {Object} [options] - Client options, see V0Client (transport defaults to 'sdk');
+   *   options.postDownload hooks run after the backend integration
    */
-  async downloadGeneratedCode(chatId, outputDir = './src/components') {
-    try {
-      console.log(`📥 Downloading generated code from chat: ${chatId}`);
-      
-      // Get chat details with files
-      const chat = await this.getChat(chatId);
-      
-      console.log('🔍 Debug: Chat structure:', JSON.stringify(chat, null, 2));
-      
-      // Try to get files from both possible locations
-      let files = [];
-      
-      if (chat.latestVersion?.files && chat.latestVersion.files.length > 0) {
-        console.log('📁 Using files from latestVersion');
-        files = chat.latestVersion.files;
-      } else if (chat.files && chat.files.length > 0) {
-        console.log('📁 Using files from chat root');
-        files = chat.files;
-      }
-      
-      if (files.length === 0) {
-        console.log('⚠️  No generated files found in this chat');
-        return [];
-      }
-      
-      // Create output directory
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-        console.log(`📁 Created directory: ${outputDir}`);
-      }
-      
-      const savedFiles = [];
-      
-      // Save each generated file
-      files.forEach((file, index) => {
-        console.log(`🔍 Debug: File ${index + 1}:`, file);
-        
-        // Handle different file structures
-        let fileName, fileContent;
-        
-        if (file.name && file.content) {
-          // latestVersion.files structure
-          fileName = file.name;
-          fileContent = file.content;
-        } else if (file.meta?.file && file.source) {
-          // chat.files structure
-          fileName = file.meta.file;
-          fileContent = file.source;
-        }
-        
-        if (fileName && fileContent) {
-          const filePath = path.join(outputDir, fileName);
-          
-          // Create subdirectories if needed
-          const fileDir = path.dirname(filePath);
-          if (!fs.existsSync(fileDir)) {
-            fs.mkdirSync(fileDir, { recursive: true });
-          }
-          
-          // Write file content
-          fs.writeFileSync(filePath, fileContent, 'utf8');
-          
-          console.log(`✅ Saved: ${filePath} (${fileContent.length} characters)`);
-          savedFiles.push(filePath);
-        } else {
-          console.log(`⚠️  Skipping file ${index + 1}: missing name or content`);
-          console.log(`    File object:`, file);
-        }
-      });
-      
-      if (savedFiles.length > 0) {
-        console.log(`\n🎉 Successfully saved ${savedFiles.length} files to: ${outputDir}`);
-        
-        // Create index file for easy imports
-        this.createIndexFile(outputDir, savedFiles);
-        
+  constructor(apiKey, options = {}) {
+    super({
+      transport: 'sdk',
+      ...options,
+      apiKey,
+      postDownload: [
         // BACKEND INTEGRATION: Ensure compatibility with existing backend
-        await ensureBackendIntegration(savedFiles, outputDir);
-      }
-      
-      return savedFiles;
-      
-    } catch (error) {
-      console.error('❌ Failed to download generated code:', error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Create an index.js file for easy component imports
-   * @param {string} outputDir - The output directory
-   * @param {Array} savedFiles - Array of saved file paths
-   */
-  createIndexFile(outputDir, savedFiles) {
-    try {
-      const componentFiles = savedFiles.filter(file => 
-        file.endsWith('.jsx') || file.endsWith('.tsx') || 
-        (file.endsWith('.js') && !file.includes('index'))
-      );
-      
-      if (componentFiles.length === 0) return;
-      
-      const indexContent = componentFiles.map(filePath => {
-        const fileName = path.basename(filePath, path.extname(filePath));
-        const relativePath = `./${fileName}`;
-        return `export { default as ${fileName} } from '${relativePath}';`;
-      }).join('\n');
-      
-      const indexPath = path.join(outputDir, 'index.js');
-      fs.writeFileSync(indexPath, indexContent + '\n', 'utf8');
-      
-      console.log(`📝 Created index file: ${indexPath}`);
-    } catch (error) {
-      console.error('⚠️  Failed to create index file:', error.message);
-    }
+        ({ savedFiles, outputDir, journal }) => ensureBackendIntegration(savedFiles, outputDir, { journal }),
+        ...(options.postDownload || [])
+      ]
+    });
   }
 
   /**
@@ -252,399 +50,357 @@ class V0ChatCreator {
    * @param {string} chatId - The chat ID
    * @param {string} outputDir - Output directory
    * @param {number} maxWaitTime - Maximum wait time in seconds (default: 300)
-   * @returns {Promise<Array>} Array of saved file paths
+   * @param {Object} [downloadOptions] - Options passed to downloadGeneratedCode
+   * @param {function(Object): (void|boolean)} [downloadOptions.onProgress] - Progress event handler
+   *   (default: CLI display); return false to stop waiting
+   * @param {AbortSignal} [downloadOptions.signal] - Cancels waiting and downloading when aborted
+   * @param {number} [downloadOptions.timeout] - Overall deadline in milliseconds for waiting and downloading
+   * @returns {Promise<{outcome: string, report: ?Object}>} How the wait ended (completed, failed, timeout or stopped)
+   *   and the report of the download that received files (see downloadGeneratedFiles), or null when none did
    */
-  async waitAndDownloadEnforced(chatId, outputDir = './src/components', maxWaitTime = 300) {
-    console.log(`⏳ ENFORCED DOWNLOAD: Waiting for chat generation to complete...`);
+  async waitAndDownloadEnforced(chatId, outputDir = './src/components', maxWaitTime = 300, downloadOptions = {}) {
+    this.logger.info(`⏳ ENFORCED DOWNLOAD: Waiting for chat generation to complete...`);
     
-    const startTime = Date.now();
-    const maxWaitMs = maxWaitTime * 1000;
-    let attempts = 0;
-    let lastStatus = 'unknown';
+    const { onProgress, timeout, ...rest } = downloadOptions;
+    const options = { ...rest, signal: withDeadline(downloadOptions) };
+    const result = await waitForGeneration(this, chatId, { maxWaitTime, onProgress, signal: options.signal });
+    const outcome = result.type;
     
-    while (Date.now() - startTime < maxWaitMs) {
+    if (result.type === 'completed') {
+      this.logger.info('\n✅ Generation completed! Downloading code...');
+      const report = await this.downloadGeneratedFiles(chatId, outputDir, options);
+      if (report) {
+        return { outcome, report };
+      }
+      this.logger.info('⚠️  No files found, but generation marked complete. Retrying...');
+    } else if (result.type === 'failed') {
+      this.logger.info('\n❌ Generation failed, but attempting download anyway...');
       try {
-        attempts++;
-        const chat = await this.getChat(chatId);
-        const currentStatus = chat.latestVersion?.status || 'unknown';
-        
-        if (currentStatus !== lastStatus) {
-          console.log(`\n📊 Status update: ${lastStatus} → ${currentStatus}`);
-          lastStatus = currentStatus;
-        }
-        
-        if (currentStatus === 'completed') {
-          console.log('\n✅ Generation completed! Downloading code...');
-          const files = await this.downloadGeneratedCode(chatId, outputDir);
-          if (files.length > 0) {
-            return files;
-          } else {
-            console.log('⚠️  No files found, but generation marked complete. Retrying...');
-          }
-        } else if (currentStatus === 'failed') {
-          console.log('\n❌ Generation failed, but attempting download anyway...');
-          try {
-            return await this.downloadGeneratedCode(chatId, outputDir);
-          } catch (error) {
-            throw new Error('Generation failed and no files available');
-          }
-        }
-        
-        // More aggressive status checking for auto-download
-        const elapsed = Math.round((Date.now() - startTime) / 1000);
-        if (attempts % 10 === 0) {
-          console.log(`\n⏳ Still waiting... (${elapsed}s elapsed, attempt ${attempts}, status: ${currentStatus})`);
-        } else if (attempts % 5 === 0) {
-          process.stdout.write(`\n⏳ ${elapsed}s...`);
-        } else {
-          process.stdout.write('.');
-        }
-        
-        // Shorter wait interval for more responsive updates
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
+        return { outcome, report: await this.downloadGeneratedFiles(chatId, outputDir, options) };
       } catch (error) {
-        console.error(`\n❌ Error checking generation status (attempt ${attempts}):`, error.message);
-        
-        // Don't give up easily - continue trying
-        if (attempts % 5 === 0) {
-          console.log('🔄 Retrying in 5 seconds...');
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        } else {
-          await new Promise(resolve => setTimeout(resolve, 3000));
-        }
+        if (isAbortError(error)) throw error;
+        throw new V0GenerationFailedError('Generation failed and no files available', {
+          chatId,
+          versionId: result.versionId,
+          cause: error
+        });
       }
+    } else if (result.type === 'stopped') {
+      this.logger.info(`⏹️  Stopped waiting. Download later with: npm run download -- ${chatId}`);
+      return { outcome, report: null };
     }
     
-    console.log('\n⏰ Maximum wait time reached. Attempting final download strategies...');
+    this.logger.info('\n⏰ Attempting final download strategies...');
     
-    // Multiple final download strategies
-    const strategies = [
-      () => this.downloadGeneratedCode(chatId, outputDir),
-      () => new Promise(resolve => setTimeout(() => resolve(this.downloadGeneratedCode(chatId, outputDir)), 5000)),
-      () => new Promise(resolve => setTimeout(() => resolve(this.downloadGeneratedCode(chatId, outputDir)), 15000)),
-    ];
+    // Files can lag behind the status; back off on the shared schedule, picking up where request retries stop
+    const policy = resolveRetryPolicy(this.retryOptions('Download', downloadOptions).policy);
+    const attempts = policy.retries + 1;
     
-    for (let i = 0; i < strategies.length; i++) {
+    for (let i = 0; i < attempts; i++) {
       try {
-        console.log(`🔄 Final attempt ${i + 1}/${strategies.length}...`);
-        const files = await strategies[i]();
-        if (files.length > 0) {
-          console.log(`✅ Final attempt ${i + 1} successful!`);
-          return files;
+        if (i > 0) await sleep(getRetryDelay(policy.retries + i - 1, policy), options.signal);
+        this.logger.info(`🔄 Final attempt ${i + 1}/${attempts}...`);
+        const report = await this.downloadGeneratedFiles(chatId, outputDir, options);
+        if (report?.saved.length > 0) {
+          this.logger.info(`✅ Final attempt ${i + 1} successful!`);
+          return { outcome, report };
         }
       } catch (error) {
-        console.log(`❌ Final attempt ${i + 1} failed: ${error.message}`);
+        if (isAbortError(error)) throw error;
+        this.logger.info(`❌ Final attempt ${i + 1} failed: ${error.message}`);
       }
     }
     
-    console.log(`💡 All automatic attempts exhausted. Manual download available:`);
-    console.log(`   npm run download -- ${chatId}`);
-    return [];
+    this.logger.info(`💡 All automatic attempts exhausted. Manual download available:`);
+    this.logger.info(`   npm run download -- ${chatId}`);
+    return { outcome, report: null };
   }
 
   /**
    * Create a chat for UI component generation with ENFORCED auto-download
    * @param {string} prompt - Component description
    * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Chat creation response with enforced download
+   * @param {AbortSignal} [options.signal] - Cancels creation, waiting, retries and download when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds, including all retries
+   * @returns {Promise<Object>} Chat creation response with enforced download: downloadedFiles, conflicts,
+   *   rejectedFiles and runId (the run undo restores) of the download; a download error is kept
+   *   as downloadError (message) and downloadFailure (typed error) instead of being thrown; when no files arrived
+   *   at all, downloadFailure is a V0DownloadIncompleteError
    */
   async createAndDownload(prompt, options = {}) {
+    const signal = withDeadline(options);
     const defaultSystem = "You are an expert React developer. Create modern, responsive components using Tailwind CSS. Follow best practices for accessibility and performance.";
     
-    console.log('🎨 Creating chat with ENFORCED auto-download...\n');
-    console.log(`📝 Prompt: "${prompt}"`);
-    if (options.system) console.log(`🧠 System: "${options.system}"`);
-    console.log(`🤖 Model: ${options.modelId || 'v0-1.5-md'}`);
-    console.log(`🔒 Privacy: ${options.privacy || 'private'}`);
-    console.log(`💾 Auto-download: ENFORCED (cannot be disabled)`);
-    console.log(`📁 Output: ${options.outputDir || './src/components'}\n`);
+    this.logger.info('🎨 Creating chat with ENFORCED auto-download...\n');
+    this.logger.info(`📝 Prompt: "${prompt}"`);
+    if (options.system) this.logger.debug(`🧠 System: "${options.system}"`);
+    this.logger.info(`🤖 Model: ${options.modelId || this.defaultModel}`);
+    this.logger.info(`🔒 Privacy: ${options.privacy || 'private'}`);
+    if (options.dryRun || options.plan) {
+      this.logger.info(`💾 Auto-download: DRY RUN (files are previewed, not written)`);
+    } else {
+      this.logger.info(`💾 Auto-download: ENFORCED (cannot be disabled)`);
+    }
+    this.logger.info(`📁 Output: ${options.outputDir || './src/components'}\n`);
     
     // Create the chat
     const chat = await this.createChat({
       message: prompt,
       system: options.system || defaultSystem,
       modelConfiguration: {
-        modelId: options.modelId || 'v0-1.5-md',
+        modelId: options.modelId || this.defaultModel,
         imageGenerations: options.imageGenerations || false,
-        thinking: options.thinking || false,
-        responseMode: options.responseMode || 'sync'
+        thinking: options.thinking || false
       },
+      responseMode: options.responseMode || 'sync',
       chatPrivacy: options.privacy || 'private',
       projectId: options.projectId,
-      designSystemId: options.designSystemId
+      designSystemId: options.designSystemId,
+      signal
     });
     
-    console.log('✅ Chat created successfully!\n');
-    console.log('🔗 Links:');
-    console.log(`   Chat ID: ${chat.id}`);
-    console.log(`   Web URL: ${chat.webUrl}`);
-    if (chat.apiUrl) console.log(`   API URL: ${chat.apiUrl}`);
-    if (chat.latestVersion?.demoUrl) console.log(`   Demo URL: ${chat.latestVersion.demoUrl}`);
-    if (chat.demo) console.log(`   Preview URL: ${chat.demo}`);
+    this.logger.info('✅ Chat created successfully!\n');
+    this.logger.info('🔗 Links:');
+    this.logger.info(`   Chat ID: ${chat.id}`);
+    this.logger.info(`   Web URL: ${chat.webUrl}`);
+    if (chat.apiUrl) this.logger.info(`   API URL: ${chat.apiUrl}`);
+    if (chat.latestVersion?.demoUrl) this.logger.info(`   Demo URL: ${chat.latestVersion.demoUrl}`);
+    if (chat.demo) this.logger.info(`   Preview URL: ${chat.demo}`);
+    
+    // DRY RUN: show what the enforced download would change and stop there
+    if (options.dryRun || options.plan) {
+      if (chat.latestVersion?.status !== 'completed') {
+        await this.waitForNewVersion(chat.id, undefined, 300, { onProgress: options.onProgress, signal });
+      }
+      
+      chat.downloadPlan = await this.previewGeneratedCode(chat.id, options.outputDir || './src/components', {
+        plan: options.plan,
+        signal
+      });
+      chat.downloadedFiles = [];
+      chat.autoDownloadStatus = 'dry_run';
+      
+      this.logger.info(`\n💡 Nothing was written. Apply this version with: npm run download -- ${chat.id}`);
+      return chat;
+    }
     
     // ENFORCED AUTO-DOWNLOAD - this ALWAYS runs
-    console.log('\n🔄 ENFORCED AUTO-DOWNLOAD: Starting integration process...');
+    this.logger.info('\n🔄 ENFORCED AUTO-DOWNLOAD: Starting integration process...');
+    
+    const downloadOptions = {
+      merge: options.merge,
+      conflictStyle: options.conflictStyle,
+      onProgress: options.onProgress,
+      signal,
+      prompt,
+      modelId: options.modelId || this.defaultModel
+    };
+    
+    // Report of the download that received files, if any did, and how waiting for the generation ended
+    let report = null;
+    let outcome = 'completed';
     
     try {
-      let savedFiles = [];
-      
       if (chat.latestVersion?.status === 'completed') {
-        console.log('✅ Generation already completed, downloading immediately...');
-        savedFiles = await this.downloadGeneratedCode(chat.id, options.outputDir || './src/components');
+        this.logger.info('✅ Generation already completed, downloading immediately...');
+        report = await this.downloadGeneratedFiles(chat.id, options.outputDir || './src/components', downloadOptions);
       } else {
-        console.log('⏳ Waiting for generation to complete with enforced download...');
-        savedFiles = await this.waitAndDownloadEnforced(chat.id, options.outputDir || './src/components', 300);
+        this.logger.info('⏳ Waiting for generation to complete with enforced download...');
+        ({ outcome, report } = await this.waitAndDownloadEnforced(chat.id, options.outputDir || './src/components', 300, downloadOptions));
       }
+      let savedFiles = report?.saved || [];
       
       if (savedFiles.length > 0) {
-        console.log('\n🎉 ENFORCED DOWNLOAD SUCCESSFUL!');
-        console.log('📁 Generated files integrated into your codebase:');
+        this.logger.info('\n🎉 ENFORCED DOWNLOAD SUCCESSFUL!');
+        this.logger.info('📁 Generated files integrated into your codebase:');
         savedFiles.forEach(file => {
-          console.log(`   ✅ ${file}`);
+          this.logger.info(`   ✅ ${file}`);
         });
         
-        console.log('\n💡 Your codebase has been automatically updated!');
-        console.log('🔄 Run this script again to generate more updates - they will always be auto-integrated.');
+        this.logger.info('\n💡 Your codebase has been automatically updated!');
+        this.logger.info('🔄 Run this script again to generate more updates - they will always be auto-integrated.');
         
         // Add to chat result for reference
         chat.downloadedFiles = savedFiles;
         chat.autoDownloadStatus = 'success';
+      } else if (outcome === 'stopped') {
+        // The caller chose to stop waiting; don't keep retrying behind their back
+        chat.downloadedFiles = [];
+        chat.autoDownloadStatus = 'stopped';
+      } else if (report) {
+        // Files arrived but none needed writing: all unchanged or left for conflict review
+        this.logger.info('\n✅ ENFORCED DOWNLOAD: Files received, nothing needed writing');
+        chat.downloadedFiles = [];
+        chat.autoDownloadStatus = 'unchanged';
       } else {
-        console.log('\n⚠️  ENFORCED DOWNLOAD: No files downloaded yet, but process continues...');
+        this.logger.info('\n⚠️  ENFORCED DOWNLOAD: No files downloaded yet, but process continues...');
         
-        // Try additional aggressive retry strategies
-        console.log('🔄 Attempting additional retry strategies...');
+        // Try additional aggressive retry strategies, further along the shared backoff schedule
+        this.logger.info('🔄 Attempting additional retry strategies...');
+        const policy = resolveRetryPolicy(this.retryOptions('Download', options).policy);
         
-        for (let retry = 1; retry <= 5; retry++) {
-          console.log(`🔄 Aggressive retry ${retry}/5...`);
-          await new Promise(resolve => setTimeout(resolve, 10000 + (retry * 5000))); // Progressive delay
+        for (let retry = 1; retry <= policy.retries; retry++) {
+          this.logger.info(`🔄 Aggressive retry ${retry}/${policy.retries}...`);
+          await sleep(getRetryDelay(policy.retries * 2 + retry - 1, policy), signal);
           
           try {
-            savedFiles = await this.downloadGeneratedCode(chat.id, options.outputDir || './src/components');
+            report = await this.downloadGeneratedFiles(chat.id, options.outputDir || './src/components', downloadOptions);
+            savedFiles = report?.saved || [];
             if (savedFiles.length > 0) {
-              console.log(`✅ Aggressive retry ${retry} successful!`);
-              console.log('📁 Files downloaded:');
-              savedFiles.forEach(file => console.log(`   ✅ ${file}`));
+              this.logger.info(`✅ Aggressive retry ${retry} successful!`);
+              this.logger.info('📁 Files downloaded:');
+              savedFiles.forEach(file => this.logger.info(`   ✅ ${file}`));
               chat.downloadedFiles = savedFiles;
               chat.autoDownloadStatus = 'retry_success';
               break;
             }
           } catch (retryError) {
-            console.log(`❌ Aggressive retry ${retry} failed: ${retryError.message}`);
+            if (isAbortError(retryError)) throw retryError;
+            this.logger.info(`❌ Aggressive retry ${retry} failed: ${retryError.message}`);
           }
         }
         
         if (savedFiles.length === 0) {
-          console.log('\n⚠️  All automatic download attempts completed.');
-          console.log(`💡 Manual download available: npm run download -- ${chat.id}`);
-          console.log('🎯 Or run this script again to retry auto-download.');
+          this.logger.info('\n⚠️  All automatic download attempts completed.');
+          this.logger.info(`💡 Manual download available: npm run download -- ${chat.id}`);
+          this.logger.info('🎯 Or run this script again to retry auto-download.');
           chat.autoDownloadStatus = 'failed_will_retry';
+          chat.downloadFailure = new V0DownloadIncompleteError('No files could be downloaded', { chatId: chat.id });
         }
       }
       
     } catch (downloadError) {
-      console.error('\n❌ ENFORCED DOWNLOAD ERROR:', downloadError.message);
-      console.log('🔄 This is part of the enforced download process.');
-      console.log(`💡 You can manually download using: npm run download -- ${chat.id}`);
-      console.log('🎯 Or run this script again to retry the enforced auto-download.');
+      // Cancellation ends the whole run instead of being recorded as a download error
+      if (isAbortError(downloadError)) throw downloadError;
+      
+      this.logger.error('\n❌ ENFORCED DOWNLOAD ERROR:', downloadError.message);
+      this.logger.info('🔄 This is part of the enforced download process.');
+      this.logger.info(`💡 You can manually download using: npm run download -- ${chat.id}`);
+      this.logger.info('🎯 Or run this script again to retry the enforced auto-download.');
       
       chat.autoDownloadStatus = 'error';
       chat.downloadError = downloadError.message;
+      chat.downloadFailure = toV0Error(downloadError, { chatId: chat.id });
     }
     
-    console.log('\n🎉 Visit the Web URL to see your generated component!');
-    console.log('💡 Remember: Every time you run this script, code will be automatically downloaded and integrated!');
+    chat.conflicts = report?.conflicts || [];
+    chat.rejectedFiles = report?.rejected || [];
+    chat.runId = report?.runId || null;
+    
+    this.logger.info('\n🎉 Visit the Web URL to see your generated component!');
+    this.logger.info('💡 Remember: Every time you run this script, code will be automatically downloaded and integrated!');
     
     return chat;
   }
 }
 
 /**
- * Parse command line arguments with enforced defaults
+ * Create a chat with enforced download and report it: a summary, or one result object with --json
+ * Sets process.exitCode when the download failed and exits when creating the chat failed
+ * @param {Object} options - Parsed options; options.prompt is the component description
+ * @returns {Promise<void>} Resolves once the result has been reported
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    prompt: '',
-    system: '',
-    modelId: 'v0-1.5-md',
-    thinking: false,
-    privacy: 'private',
-    outputDir: './src/components',
-    help: false
-  };
-
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    switch (arg) {
-      case '--prompt':
-      case '-p':
-        options.prompt = args[++i];
-        break;
-      case '--system':
-      case '-s':
-        options.system = args[++i];
-        break;
-      case '--model':
-      case '-m':
-        options.modelId = args[++i];
-        break;
-      case '--thinking':
-      case '-t':
-        options.thinking = true;
-        break;
-      case '--privacy':
-        options.privacy = args[++i];
-        break;
-      case '--output':
-      case '-o':
-        options.outputDir = args[++i];
-        break;
-      case '--help':
-      case '-h':
-        options.help = true;
-        break;
-      default:
-        // If no flag, treat as prompt
-        if (!options.prompt && !arg.startsWith('-')) {
-          options.prompt = arg;
-        }
-        break;
-    }
-  }
-
-  return options;
+function runCreate(options) {
+  const creator = new V0ChatCreator(process.env.V0_API_KEY, { retry: options.retry });
+  
+  return creator.createAndDownload(options.prompt, options)
+    .then((result) => {
+      recordGeneration('create', options, { chat: result, runId: result.runId });
+      // The chat exists either way, but a failed download still fails the command
+      if (result.downloadFailure) process.exitCode = getExitCode(result.downloadFailure);
+      if (options.json) {
+        printResult(chatResult('create', result));
+        return;
+      }
+      logger.info('\n✨ ENFORCED DOWNLOAD PROCESS COMPLETED!');
+      logger.info('📊 Summary:');
+      logger.info(`   Chat ID: ${result.id}`);
+      logger.info(`   Download Status: ${result.autoDownloadStatus || 'completed'}`);
+      if (result.downloadedFiles) {
+        logger.info(`   Files Downloaded: ${result.downloadedFiles.length}`);
+      }
+      if (result.conflicts?.length > 0) {
+        logger.info(`   Conflicts: ${result.conflicts.length}`);
+        result.conflicts.forEach(conflict => logger.info(`   ❗ ${conflict.path}`));
+      }
+      if (result.rejectedFiles?.length > 0) {
+        logger.info(`   Rejected: ${result.rejectedFiles.length}`);
+        result.rejectedFiles.forEach(entry => logger.info(`   🚫 ${entry.name} (${entry.reason})`));
+      }
+      logger.info('🔄 Run this script again to create more components with automatic integration!');
+    })
+    .catch((error) => {
+      recordGeneration('create', options, { error });
+      if (isAbortError(error)) {
+        logger.error(`⏹️  ${error.message}`);
+      } else {
+        logger.error('❌ Process failed:', error.message);
+      }
+      exitWithError('create', error, options);
+    });
 }
 
 /**
- * Display help information
+ * Refine a chat, download the changed files and report it: a summary, or one result object with --json
+ * @param {string} chatId - Chat to continue
+ * @param {string} prompt - Follow-up message
+ * @param {Object} options - Parsed options; modelId undefined keeps the chat's own model
+ * @returns {Promise<void>} Resolves once the result has been reported
  */
-function showHelp() {
-  console.log(`
-🚀 V0 Chat Creator - ENFORCED Auto-Download Edition
-
-⚠️  IMPORTANT: This version ENFORCES automatic code downloading!
-    Every time you create a component, the code will be automatically
-    integrated into your codebase. This cannot be disabled.
-
-Usage:
-  node v0-chat-creator-enforced.js "Your prompt here"
-  npm run create-enforced -- "Your prompt here"
-
-Options:
-  -p, --prompt <text>     The prompt for your component (required)
-  -s, --system <text>     System context for the AI
-  -m, --model <id>        Model ID (v0-1.5-sm, v0-1.5-md, v0-1.5-lg, v0-gpt-5)
-  -t, --thinking          Enable thinking mode
-  --privacy <level>       Privacy level (private, public, team, unlisted)
-  -o, --output <path>     Output directory for generated code (default: ./src/components)
-  -h, --help             Show this help message
-
-Examples:
-  # Simple prompt with enforced auto-download
-  node v0-chat-creator-enforced.js "Create a modern button component"
-  
-  # Custom output directory
-  node v0-chat-creator-enforced.js -p "Create a login form" -o "./components"
-  
-  # Advanced usage
-  node v0-chat-creator-enforced.js -p "Create a complex component" -s "You are a senior developer" -m "v0-1.5-lg" -t
-
-Available Models:
-  - v0-1.5-sm   (Small, fast)
-  - v0-1.5-md   (Medium, balanced - default)
-  - v0-1.5-lg   (Large, most capable)
-  - v0-gpt-5    (Latest GPT model)
-
-Privacy Levels:
-  - private     (Only you can see - default)
-  - public      (Anyone can see)
-  - team        (Team members can see)
-  - unlisted    (Hidden but accessible via link)
-
-🔄 ENFORCED Auto-Download Features:
-  ✅ ALWAYS downloads and integrates generated code
-  ✅ Cannot be disabled - ensures fresh code every time
-  ✅ Multiple retry strategies for robust downloading
-  ✅ Extended timeouts and aggressive retry attempts
-  ✅ Automatic directory structure creation
-  ✅ Index file generation for easy imports
-  ✅ Perfect for iterative development workflows
-
-💡 Why ENFORCED downloading?
-  - Ensures you never miss code updates
-  - Perfect for rapid prototyping and iteration
-  - Keeps your local codebase in sync with v0 changes
-  - Eliminates manual download steps
-`);
-}
-
-// Export for use in other modules
-module.exports = { V0ChatCreator };
-
-// Run script if executed directly
-if (require.main === module) {
-  console.log('🚀 V0 Chat Creator - ENFORCED Auto-Download Edition\n');
-  
-  // Check if API key is available
-  if (!process.env.V0_API_KEY) {
-    console.error('❌ V0_API_KEY not found in environment variables');
-    console.log('Make sure your .env file contains: V0_API_KEY=your_api_key_here');
-    console.log('Get your API key from: https://v0.app/chat/settings/keys');
-    process.exit(1);
-  }
-  
-  // Parse command line arguments
-  const options = parseArgs();
+function runRefine(chatId, prompt, options) {
+  const creator = new V0ChatCreator(process.env.V0_API_KEY, { retry: options.retry });
   
-  // Show help if requested or no prompt provided
-  if (options.help) {
-    showHelp();
-    process.exit(0);
-  }
-  
-  if (!options.prompt) {
-    console.error('❌ No prompt provided!');
-    console.log('Use --help for usage information, or provide a prompt:');
-    console.log('Example: node v0-chat-creator-enforced.js "Create a modern button component"\n');
-    showHelp();
-    process.exit(1);
-  }
-  
-  // Validate model ID
-  const validModels = ['v0-1.5-sm', 'v0-1.5-md', 'v0-1.5-lg', 'v0-gpt-5'];
-  if (!validModels.includes(options.modelId)) {
-    console.error(`❌ Invalid model ID: ${options.modelId}`);
-    console.log(`Valid models: ${validModels.join(', ')}`);
-    process.exit(1);
-  }
-  
-  // Validate privacy level
-  const validPrivacy = ['private', 'public', 'team', 'team-edit', 'unlisted'];
-  if (!validPrivacy.includes(options.privacy)) {
-    console.error(`❌ Invalid privacy level: ${options.privacy}`);
-    console.log(`Valid privacy levels: ${validPrivacy.join(', ')}`);
-    process.exit(1);
-  }
-  
-  // Create chat with ENFORCED auto-download
-  const creator = new V0ChatCreator(process.env.V0_API_KEY);
-  
-  creator.createAndDownload(options.prompt, options)
+  return creator.refineAndDownload(chatId, prompt, {
+    outputDir: options.outputDir,
+    modelId: options.modelId,
+    thinking: options.thinking,
+    dryRun: options.dryRun,
+    plan: options.plan && !options.json,
+    merge: options.merge,
+    conflictStyle: options.conflictStyle,
+    responseMode: options.responseMode,
+    timeout: options.timeout,
+    signal: options.signal
+  })
     .then((result) => {
-      console.log('\n✨ ENFORCED DOWNLOAD PROCESS COMPLETED!');
-      console.log('📊 Summary:');
-      console.log(`   Chat ID: ${result.id}`);
-      console.log(`   Download Status: ${result.autoDownloadStatus || 'completed'}`);
-      if (result.downloadedFiles) {
-        console.log(`   Files Downloaded: ${result.downloadedFiles.length}`);
+      recordGeneration('refine', { ...options, chatId, prompt }, { chat: result, runId: result.runId });
+      if (options.json) {
+        printResult(chatResult('refine', result));
+        return;
+      }
+      logger.info('\n✨ REFINEMENT COMPLETED!');
+      logger.info('📊 Summary:');
+      logger.info(`   Chat ID: ${result.id}`);
+      logger.info(`   Version: ${result.previousVersionId || 'none'} → ${result.latestVersion?.id}`);
+      logger.info(`   Files Updated: ${result.downloadedFiles.length}`);
+      result.downloadedFiles.forEach(file => logger.info(`   ✅ ${file}`));
+      if (result.conflicts?.length > 0) {
+        logger.info(`   Conflicts: ${result.conflicts.length}`);
+        result.conflicts.forEach(conflict => logger.info(`   ❗ ${conflict.path}`));
+      }
+      if (result.rejectedFiles?.length > 0) {
+        logger.info(`   Rejected: ${result.rejectedFiles.length}`);
+        result.rejectedFiles.forEach(entry => logger.info(`   🚫 ${entry.name} (${entry.reason})`));
       }
-      console.log('🔄 Run this script again to create more components with automatic integration!');
     })
     .catch((error) => {
-      console.error('❌ Process failed:', error.message);
-      process.exit(1);
+      recordGeneration('refine', { ...options, chatId, prompt }, { error });
+      if (isAbortError(error)) {
+        logger.error(`⏹️  ${error.message}`);
+      } else {
+        logger.error('❌ Refinement failed:', error.message);
+      }
+      exitWithError('refine', error, { json: options.json, fields: { chatId } });
     });
 }
+
+// Export for use in other modules
+module.exports = { V0ChatCreator, runCreate, runRefine };
+
+// Run script if executed directly: the same as "v0 create", or "v0 refine" for
+// node v0-chat-creator-enforced.js refine <chat-id> "<prompt>" [options]
+if (require.main === module) {
+  applyLogFlags();
+  const args = process.argv.slice(2);
+  require('./v0').main(args[0] === 'refine' ? args : ['create', ...args]);
+}
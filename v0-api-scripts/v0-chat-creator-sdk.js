@@ -5,323 +5,42 @@
 
 // Load environment variables
 require('dotenv').config();
-const { v0 } = require('v0-sdk');
-const fs = require('fs');
-const path = require('path');
-const fetch = require('node-fetch');
+const { V0Client } = require('./v0-client');
+const { LOCKFILE_NAME } = require('./v0-lockfile');
+const { isAbortError, cancelOnInterrupt } = require('./cancellation');
+const {
+  V0AuthError,
+  V0RateLimitError,
+  V0ValidationError,
+  V0Error,
+  V0DownloadIncompleteError,
+  EXIT_CODES,
+  getExitCode
+} = require('./v0-errors');
+const {
+  useJsonOutput,
+  readCliDefaults,
+  collectWarnings,
+  describeError,
+  printResult,
+  exitWithError
+} = require('./cli-result');
+const { listRuns, undoRun } = require('./run-journal');
+const { getPinnedVersion, pinVersion, unpinVersion } = require('./chat-versions');
+const { getLogger, applyLogFlags } = require('./logger');
 
-class V0ChatCreator {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    // The v0 SDK automatically uses V0_API_KEY environment variable
-    // but we can also pass it explicitly if needed
-  }
-
-  /**
-   * Create a new chat with v0 using the official SDK
-   * @param {Object} options - Chat creation options
-   * @param {string} options.message - Required. The user message/prompt
-   * @param {string} [options.system] - System context for the chat
-   * @param {string} [options.projectId] - Project ID to associate with the chat
-   * @param {string} [options.chatPrivacy='private'] - Chat privacy setting
-   * @param {Object} [options.modelConfiguration] - Model configuration
-   * @param {Array} [options.attachments] - File attachments
-   * @param {string} [options.designSystemId] - Design system ID
-   * @returns {Promise<Object>} Chat creation response
-   */
-  async createChat(options = {}) {
-    const {
-      message,
-      system,
-      projectId,
-      chatPrivacy = 'private',
-      modelConfiguration = {
-        modelId: 'v0-1.5-md',
-        imageGenerations: false,
-        thinking: false,
-        responseMode: 'sync'
-      },
-      attachments = [],
-      designSystemId = null
-    } = options;
-
-    // Validate required fields
-    if (!message) {
-      throw new Error('Message is required to create a chat');
-    }
-
-    // Prepare request options for v0 SDK
-    const chatOptions = {
-      message,
-      modelConfiguration,
-      ...(system && { system }),
-      ...(projectId && { projectId }),
-      ...(attachments.length > 0 && { attachments }),
-      ...(designSystemId && { designSystemId })
-    };
-
-    try {
-      console.log('🔗 Creating chat with v0 SDK...');
-      console.log('📝 Chat options:', JSON.stringify(chatOptions, null, 2));
-      
-      const result = await v0.chats.create(chatOptions);
-      
-      console.log('✅ Success! Chat created with ID:', result.id);
-      return result;
-    } catch (error) {
-      console.error('Error creating chat with v0 SDK:', error);
-      
-      // Enhanced error handling
-      if (error.message.includes('401') || error.message.includes('Unauthorized')) {
-        throw new Error('Authentication failed. Please check your V0_API_KEY in the .env file');
-      } else if (error.message.includes('400')) {
-        throw new Error('Bad request. Please check your prompt format or model configuration');
-      } else if (error.message.includes('network') || error.message.includes('fetch')) {
-        throw new Error('Network error. Please check your internet connection');
-      }
-      
-      throw error;
-    }
-  }
-
-  /**
-   * Create a chat for UI component generation
-   * @param {string} prompt - Component description
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Chat creation response
-   */
-  async createComponentChat(prompt, options = {}) {
-    const defaultSystem = "You are an expert React developer. Create modern, responsive components using Tailwind CSS. Follow best practices for accessibility and performance.";
-    
-    return this.createChat({
-      message: prompt,
-      system: options.system || defaultSystem,
-      modelConfiguration: {
-        modelId: options.modelId || 'v0-1.5-md',
-        imageGenerations: options.imageGenerations || false,
-        thinking: options.thinking || false,
-        responseMode: options.responseMode || 'sync'
-      },
-      chatPrivacy: options.chatPrivacy || 'private',
-      projectId: options.projectId,
-      designSystemId: options.designSystemId
-    });
-  }
-
-  /**
-   * Get chat details including generated files
-   * @param {string} chatId - The chat ID
-   * @returns {Promise<Object>} Chat details with files
-   */
-  async getChat(chatId) {
-    try {
-      console.log(`🔍 Fetching chat details for ID: ${chatId}`);
-      
-      // Try different methods to get chat details
-      let chat;
-      if (v0.chats.getById) {
-        chat = await v0.chats.getById({ chatId });
-      } else if (v0.chats.get) {
-        chat = await v0.chats.get({ chatId });
-      } else {
-        // Try direct API call as fallback
-        const response = await fetch(`https://api.v0.app/chats/${chatId}`, {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-          },
-        });
-        
-        if (!response.ok) {
-          throw new Error(`API error: ${response.status} ${response.statusText}`);
-        }
-        
-        chat = await response.json();
-      }
-      
-      return chat;
-    } catch (error) {
-      console.error('Error fetching chat:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Download and save generated files to local workspace
-   * @param {string} chatId - The chat ID
-   * @param {string} outputDir - Output directory (default: './src/components')
-   * @returns {Promise<Array>} Array of saved file paths
-   */
-  async downloadGeneratedCode(chatId, outputDir = './src/components') {
-    try {
-      console.log(`📥 Downloading generated code from chat: ${chatId}`);
-      
-      // Get chat details with files
-      const chat = await this.getChat(chatId);
-      
-      console.log('🔍 Debug: Chat structure:', JSON.stringify(chat, null, 2));
-      
-      // Try to get files from both possible locations
-      let files = [];
-      
-      if (chat.latestVersion?.files && chat.latestVersion.files.length > 0) {
-        console.log('📁 Using files from latestVersion');
-        files = chat.latestVersion.files;
-      } else if (chat.files && chat.files.length > 0) {
-        console.log('� Using files from chat root');
-        files = chat.files;
-      }
-      
-      if (files.length === 0) {
-        console.log('⚠️  No generated files found in this chat');
-        return [];
-      }
-      
-      // Create output directory
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-        console.log(`📁 Created directory: ${outputDir}`);
-      }
-      
-      const savedFiles = [];
-      
-      // Save each generated file
-      files.forEach((file, index) => {
-        console.log(`🔍 Debug: File ${index + 1}:`, file);
-        
-        // Handle different file structures
-        let fileName, fileContent;
-        
-        if (file.name && file.content) {
-          // latestVersion.files structure
-          fileName = file.name;
-          fileContent = file.content;
-        } else if (file.meta?.file && file.source) {
-          // chat.files structure
-          fileName = file.meta.file;
-          fileContent = file.source;
-        }
-        
-        if (fileName && fileContent) {
-          const filePath = path.join(outputDir, fileName);
-          
-          // Create subdirectories if needed
-          const fileDir = path.dirname(filePath);
-          if (!fs.existsSync(fileDir)) {
-            fs.mkdirSync(fileDir, { recursive: true });
-          }
-          
-          // Write file content
-          fs.writeFileSync(filePath, fileContent, 'utf8');
-          
-          console.log(`✅ Saved: ${filePath} (${fileContent.length} characters)`);
-          savedFiles.push(filePath);
-        } else {
-          console.log(`⚠️  Skipping file ${index + 1}: missing name or content`);
-          console.log(`    File object:`, file);
-        }
-      });
-      
-      if (savedFiles.length > 0) {
-        console.log(`\n🎉 Successfully saved ${savedFiles.length} files to: ${outputDir}`);
-        
-        // Create index file for easy imports
-        this.createIndexFile(outputDir, savedFiles);
-      }
-      
-      return savedFiles;
-      
-    } catch (error) {
-      console.error('❌ Failed to download generated code:', error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Create an index.js file for easy component imports
-   * @param {string} outputDir - The output directory
-   * @param {Array} savedFiles - Array of saved file paths
-   */
-  createIndexFile(outputDir, savedFiles) {
-    try {
-      const componentFiles = savedFiles.filter(file => 
-        file.endsWith('.jsx') || file.endsWith('.tsx') || 
-        (file.endsWith('.js') && !file.includes('index'))
-      );
-      
-      if (componentFiles.length === 0) return;
-      
-      const indexContent = componentFiles.map(filePath => {
-        const fileName = path.basename(filePath, path.extname(filePath));
-        const relativePath = `./${fileName}`;
-        return `export { default as ${fileName} } from '${relativePath}';`;
-      }).join('\n');
-      
-      const indexPath = path.join(outputDir, 'index.js');
-      fs.writeFileSync(indexPath, indexContent + '\n', 'utf8');
-      
-      console.log(`📝 Created index file: ${indexPath}`);
-    } catch (error) {
-      console.error('⚠️  Failed to create index file:', error.message);
-    }
-  }
+const logger = getLogger();
 
+/**
+ * V0Client on the official v0-sdk transport, kept under its original name and constructor
+ */
+class V0ChatCreator extends V0Client {
   /**
-   * Wait for chat generation to complete and then download code
-   * @param {string} chatId - The chat ID
-   * @param {string} outputDir - Output directory
-   * @param {number} maxWaitTime - Maximum wait time in seconds (default: 180)
-   * @returns {Promise<Array>} Array of saved file paths
+   * @param {string} apiKey - v0 API key
+   * @param {Object} [options] - Client options, see V0Client (transport defaults to 'sdk')
    */
-  async waitAndDownload(chatId, outputDir = './src/components', maxWaitTime = 180) {
-    console.log(`⏳ Waiting for chat generation to complete...`);
-    
-    const startTime = Date.now();
-    const maxWaitMs = maxWaitTime * 1000;
-    let attempts = 0;
-    
-    while (Date.now() - startTime < maxWaitMs) {
-      try {
-        attempts++;
-        const chat = await this.getChat(chatId);
-        
-        if (chat.latestVersion?.status === 'completed') {
-          console.log('\n✅ Generation completed! Downloading code...');
-          return await this.downloadGeneratedCode(chatId, outputDir);
-        } else if (chat.latestVersion?.status === 'failed') {
-          throw new Error('Generation failed');
-        }
-        
-        // More aggressive status checking for auto-download
-        const elapsed = Math.round((Date.now() - startTime) / 1000);
-        if (attempts % 5 === 0) {
-          console.log(`\n⏳ Still waiting... (${elapsed}s elapsed, status: ${chat.latestVersion?.status || 'unknown'})`);
-        } else {
-          process.stdout.write('.');
-        }
-        
-        // Shorter wait interval for more responsive updates
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-      } catch (error) {
-        console.error('\n❌ Error checking generation status:', error.message);
-        // Continue trying instead of failing immediately
-        console.log('🔄 Retrying in 5 seconds...');
-        await new Promise(resolve => setTimeout(resolve, 5000));
-      }
-    }
-    
-    console.log('\n⏰ Generation is taking longer than expected.');
-    console.log('🔄 Attempting one final download...');
-    
-    // Try one final download attempt
-    try {
-      return await this.downloadGeneratedCode(chatId, outputDir);
-    } catch (error) {
-      console.log(`💡 You can manually download later using:`);
-      console.log(`   npm run download -- ${chatId}`);
-      return [];
-    }
+  constructor(apiKey, options = {}) {
+    super({ transport: 'sdk', ...options, apiKey });
   }
 }
 
@@ -335,18 +54,18 @@ async function createSimpleChat() {
       system: "You are a skilled frontend developer specializing in modern web design"
     });
     
-    console.log('✅ Chat created successfully!');
-    console.log('Chat ID:', chat.id);
-    console.log('Web URL:', chat.webUrl);
-    console.log('API URL:', chat.apiUrl);
+    logger.info('✅ Chat created successfully!');
+    logger.info('Chat ID:', chat.id);
+    logger.info('Web URL:', chat.webUrl);
+    logger.info('API URL:', chat.apiUrl);
     
     if (chat.latestVersion && chat.latestVersion.demoUrl) {
-      console.log('Demo URL:', chat.latestVersion.demoUrl);
+      logger.info('Demo URL:', chat.latestVersion.demoUrl);
     }
     
     return chat;
   } catch (error) {
-    console.error('❌ Failed to create chat:', error.message);
+    logger.error('❌ Failed to create chat:', error.message);
     throw error;
   }
 }
@@ -363,13 +82,13 @@ async function createComponentChat() {
       }
     );
     
-    console.log('✅ Component chat created successfully!');
-    console.log('Chat ID:', chat.id);
-    console.log('Web URL:', chat.webUrl);
+    logger.info('✅ Component chat created successfully!');
+    logger.info('Chat ID:', chat.id);
+    logger.info('Web URL:', chat.webUrl);
     
     return chat;
   } catch (error) {
-    console.error('❌ Failed to create component chat:', error.message);
+    logger.error('❌ Failed to create component chat:', error.message);
     throw error;
   }
 }
@@ -384,14 +103,14 @@ async function createAdvancedChat() {
       modelConfiguration: {
         modelId: 'v0-1.5-lg',
         imageGenerations: false,
-        thinking: true,
-        responseMode: 'sync'
+        thinking: true
       },
+      responseMode: 'sync',
       chatPrivacy: 'private'
     });
     
-    console.log('✅ Advanced chat created successfully!');
-    console.log('Chat details:', {
+    logger.info('✅ Advanced chat created successfully!');
+    logger.info('Chat details:', {
       id: chat.id,
       webUrl: chat.webUrl,
       createdAt: chat.createdAt,
@@ -400,105 +119,488 @@ async function createAdvancedChat() {
     
     return chat;
   } catch (error) {
-    console.error('❌ Failed to create advanced chat:', error.message);
+    logger.error('❌ Failed to create advanced chat:', error.message);
     throw error;
   }
 }
 
 // Export for use in other modules
-module.exports = { V0ChatCreator, createSimpleChat, createComponentChat, createAdvancedChat };
+module.exports = {
+  V0ChatCreator,
+  createSimpleChat,
+  createComponentChat,
+  createAdvancedChat,
+  downloadFromChatId,
+  refineFromChatId,
+  listRecentChats,
+  listChatVersions,
+  showStatus,
+  listRecordedRuns,
+  undoLastRun
+};
 
 /**
  * Standalone function to download code from a chat ID
+ * @param {string} chatId - The chat ID
+ * @param {string} outputDir - Output directory
+ * @param {Object} [options] - Download options
+ * @param {string} [options.versionId] - Download a specific version instead of the latest (or pinned) one
+ * @param {boolean} [options.dryRun] - Print a diff instead of writing
+ * @param {boolean} [options.plan] - Print a JSON plan instead of writing
+ * @param {AbortSignal} [options.signal] - Cancels the download; nothing is written once it aborts
+ * @param {number} [options.timeout] - Overall deadline in milliseconds
+ * @param {Object} [options.retry] - Retry policy for API calls
+ * @param {boolean} [options.json] - Print one JSON result object instead of a summary
  */
-async function downloadFromChatId(chatId, outputDir = './src/components') {
-  console.log(`📥 Downloading code from chat: ${chatId}`);
+async function downloadFromChatId(chatId, outputDir = './src/components', options = {}) {
+  const { versionId } = options;
+  logger.info(`📥 Downloading code from chat: ${chatId}${versionId ? ` (version ${versionId})` : ''}`);
   
   if (!process.env.V0_API_KEY) {
-    console.error('❌ V0_API_KEY not found in environment variables');
-    process.exit(1);
+    logger.error('❌ V0_API_KEY not found in environment variables');
+    exitWithError('download', new V0AuthError('V0_API_KEY not found in environment variables'), options);
   }
   
-  const creator = new V0ChatCreator(process.env.V0_API_KEY);
+  const creator = new V0ChatCreator(process.env.V0_API_KEY, { retry: options.retry });
   
   try {
-    const savedFiles = await creator.downloadGeneratedCode(chatId, outputDir);
+    if (options.dryRun || options.plan) {
+      // With --json the plan goes into the result object instead of being printed on its own
+      const plan = await creator.previewGeneratedCode(chatId, outputDir, { ...options, plan: options.plan && !options.json });
+      if (options.json) {
+        printResult({ command: 'download', ok: true, exitCode: 0, chatId, versionId: plan.versionId, outputDir, files: [], plan, warnings: [] });
+      }
+      return plan;
+    }
+    
+    // A report means files arrived, even if none needed writing
+    const report = await creator.downloadGeneratedFiles(chatId, outputDir, {
+      versionId,
+      merge: options.merge,
+      conflictStyle: options.conflictStyle,
+      signal: options.signal,
+      timeout: options.timeout
+    });
+    const savedFiles = report ? report.saved : [];
     
     if (savedFiles.length > 0) {
-      console.log('\n🎉 Download completed successfully!');
+      logger.info('\n🎉 Download completed successfully!');
     } else {
-      console.log('\n⚠️  No files were downloaded');
+      logger.info('\n⚠️  No files were downloaded');
+    }
+    
+    const failure = report ? null : new V0DownloadIncompleteError('The chat has no files to download', { chatId });
+    if (failure) process.exitCode = getExitCode(failure);
+    
+    if (options.json) {
+      printResult({
+        command: 'download',
+        ok: !failure,
+        exitCode: failure ? getExitCode(failure) : 0,
+        chatId,
+        versionId: report?.versionId ?? versionId ?? null,
+        outputDir,
+        files: savedFiles,
+        download: {
+          status: savedFiles.length > 0 ? 'success' : report ? 'unchanged' : 'no_files',
+          unchanged: report?.unchanged || [],
+          conflicts: report?.conflicts || [],
+          rejected: report?.rejected || []
+        },
+        warnings: collectWarnings(report || {}),
+        error: failure ? describeError(failure) : null
+      });
     }
     
     return savedFiles;
   } catch (error) {
-    console.error('\n❌ Download failed:', error.message);
-    process.exit(1);
+    if (isAbortError(error)) {
+      logger.error(`\n⏹️  ${error.message} - nothing was written`);
+    } else {
+      logger.error('\n❌ Download failed:', error.message);
+    }
+    exitWithError('download', error, { json: options.json, fields: { chatId } });
   }
 }
 
 /**
- * List recent chats
+ * List the version history of a chat
+ * @param {string} chatId - The chat ID
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.json] - Print one JSON result object instead of the list
  */
-async function listRecentChats() {
-  console.log('📋 Fetching your recent chats...');
+async function listChatVersions(chatId, options = {}) {
+  if (!process.env.V0_API_KEY) {
+    logger.error('❌ V0_API_KEY not found in environment variables');
+    exitWithError('versions', new V0AuthError('V0_API_KEY not found in environment variables'), options);
+  }
+  
+  const creator = new V0ChatCreator(process.env.V0_API_KEY);
   
+  try {
+    const versions = await creator.listVersions(chatId);
+    const pinnedVersionId = getPinnedVersion(chatId);
+    
+    if (options.json) {
+      printResult({
+        command: 'versions',
+        ok: true,
+        exitCode: 0,
+        chatId,
+        pinnedVersionId: pinnedVersionId ?? null,
+        versions: versions.map((version, index) => ({
+          versionId: version.id,
+          createdAt: version.createdAt ?? null,
+          status: version.status ?? null,
+          fileCount: version.fileCount,
+          demoUrl: version.demoUrl ?? null,
+          latest: index === 0,
+          pinned: version.id === pinnedVersionId
+        })),
+        warnings: []
+      });
+      return versions;
+    }
+    
+    if (versions.length === 0) {
+      logger.info('📭 No versions found');
+      return versions;
+    }
+    
+    logger.info(`\n📜 Versions of chat ${chatId} (newest first):`);
+    versions.forEach((version, index) => {
+      const markers = [
+        index === 0 && 'latest',
+        version.id === pinnedVersionId && '📌 pinned'
+      ].filter(Boolean);
+      
+      logger.info(`\n${index + 1}. Version ID: ${version.id}${markers.length ? ` (${markers.join(', ')})` : ''}`);
+      logger.info(`   Created: ${new Date(version.createdAt).toLocaleString()}`);
+      logger.info(`   Status: ${version.status}`);
+      logger.info(`   Files: ${version.fileCount}`);
+      if (version.demoUrl) logger.info(`   Demo URL: ${version.demoUrl}`);
+    });
+    
+    logger.info('\n💡 To download or pin a specific version:');
+    logger.info(`   node v0-chat-creator-sdk.js download ${chatId} --version <version-id>`);
+    logger.info(`   node v0-chat-creator-sdk.js pin ${chatId} <version-id>`);
+    
+    return versions;
+  } catch (error) {
+    logger.error('❌ Failed to fetch versions:', error.message);
+    exitWithError('versions', error, { json: options.json, fields: { chatId } });
+  }
+}
+
+/**
+ * Show where the files in an output directory came from and what changed since
+ * @param {string} [outputDir='./src/components'] - Output directory with a v0.lock.json
+ * @param {Object} [options] - Status options
+ * @param {boolean} [options.json] - Print one JSON result object instead of the summary
+ */
+async function showStatus(outputDir = './src/components', options = {}) {
   if (!process.env.V0_API_KEY) {
-    console.error('❌ V0_API_KEY not found in environment variables');
+    logger.error('❌ V0_API_KEY not found in environment variables');
+    exitWithError('status', new V0AuthError('V0_API_KEY not found in environment variables'), options);
+  }
+  
+  const creator = new V0ChatCreator(process.env.V0_API_KEY);
+  
+  try {
+    const files = await creator.getStatus(outputDir);
+    
+    if (options.json) {
+      printResult({
+        command: 'status',
+        ok: true,
+        exitCode: 0,
+        outputDir,
+        files: files.map(file => ({
+          path: file.path,
+          chatId: file.entry.chatId,
+          versionId: file.entry.versionId,
+          local: file.local,
+          upstream: file.upstream,
+          latestVersionId: file.latestVersionId ?? null,
+          orphaned: file.orphaned
+        })),
+        warnings: []
+      });
+      return files;
+    }
+    
+    if (files.length === 0) {
+      logger.info(`📭 No ${LOCKFILE_NAME} entries in ${outputDir} - download something first`);
+      return files;
+    }
+    
+    const edited = files.filter(file => file.local === 'modified');
+    const outdated = files.filter(file => file.upstream === 'outdated' && !file.orphaned);
+    const orphaned = files.filter(file => file.orphaned);
+    const current = files.filter(file => file.local === 'clean' && file.upstream === 'current');
+    
+    logger.info(`\n📋 Status of ${outputDir} (${LOCKFILE_NAME})`);
+    
+    if (edited.length > 0) {
+      logger.info(`\n✏️  Edited locally (${edited.length}):`);
+      edited.forEach(file => logger.info(`   ${file.path}  (chat ${file.entry.chatId}, version ${file.entry.versionId})`));
+    }
+    
+    if (outdated.length > 0) {
+      logger.info(`\n⬆️  Newer upstream version (${outdated.length}):`);
+      outdated.forEach(file => logger.info(`   ${file.path}  ${file.entry.versionId} → ${file.latestVersionId}`));
+    }
+    
+    if (orphaned.length > 0) {
+      logger.info(`\n👻 Orphaned (${orphaned.length}):`);
+      orphaned.forEach(file => {
+        const reason = file.local === 'missing' ? 'file deleted' : `chat ${file.entry.chatId} no longer exists`;
+        logger.info(`   ${file.path}  (${reason})`);
+      });
+    }
+    
+    const unknown = files.filter(file => file.upstream === 'unknown');
+    if (unknown.length > 0) {
+      logger.info(`\n❔ Could not check upstream for ${unknown.length} files`);
+    }
+    
+    logger.info(`\n✅ Up to date: ${current.length} of ${files.length} files`);
+    return files;
+  } catch (error) {
+    logger.error('❌ Failed to check status:', error.message);
+    exitWithError('status', error, { json: options.json, fields: { outputDir } });
+  }
+}
+
+/**
+ * List the runs that can be undone
+ */
+function listRecordedRuns() {
+  const runs = listRuns();
+  
+  if (runs.length === 0) {
+    logger.info('📭 No recorded runs');
+    return runs;
+  }
+  
+  logger.info('\n↩️  Recorded runs (newest first):');
+  runs.forEach(run => {
+    logger.info(`\n   Run ID: ${run.runId}${run.undoneAt ? ' (undone)' : ''}`);
+    logger.info(`   Created: ${new Date(run.createdAt).toLocaleString()}`);
+    logger.info(`   Chat ID: ${run.chatId}${run.versionId ? ` (version ${run.versionId})` : ''}`);
+    logger.info(`   Files touched: ${run.files.length}`);
+  });
+  
+  return runs;
+}
+
+/**
+ * Undo the file writes of a run
+ * @param {string} [runId] - Run to undo (default: the most recent one)
+ * @param {boolean} [force=false] - Also restore files edited after the run
+ */
+function undoLastRun(runId, force = false) {
+  try {
+    const result = undoRun(runId, { force });
+    
+    logger.info(`\n✅ Undid run ${result.runId}: ${result.restored.length} restored, ${result.deleted.length} deleted`);
+    if (result.skipped.length > 0) {
+      logger.info(`⚠️  ${result.skipped.length} files were edited after the run and left alone`);
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error('❌ Undo failed:', error.message);
     process.exit(1);
   }
+}
+
+/**
+ * Standalone function to refine an existing chat and download the changed files
+ */
+async function refineFromChatId(chatId, prompt, outputDir = './src/components', options = {}) {
+  if (!process.env.V0_API_KEY) {
+    logger.error('❌ V0_API_KEY not found in environment variables');
+    process.exit(EXIT_CODES.V0AuthError);
+  }
+  
+  const creator = new V0ChatCreator(process.env.V0_API_KEY, { retry: options.retry });
   
   try {
-    let chats;
+    const chat = await creator.refineAndDownload(chatId, prompt, { outputDir, ...options });
     
-    // Try different methods to get chats
-    if (v0.chats.find) {
-      chats = await v0.chats.find({ limit: 10 });
-    } else if (v0.chats.list) {
-      chats = await v0.chats.list({ limit: 10 });
+    if (chat.autoDownloadStatus === 'dry_run') {
+      logger.info('\n💡 Nothing was written. Apply the new version with:');
+      logger.info(`   npm run download -- ${chatId} ${outputDir} --version ${chat.latestVersion.id}`);
+    } else if (chat.downloadedFiles.length > 0) {
+      logger.info('\n🎉 Refinement downloaded successfully!');
+      logger.info('📁 Updated files:');
+      chat.downloadedFiles.forEach(file => {
+        logger.info(`   - ${file}`);
+      });
     } else {
-      // Try direct API call as fallback
-      const response = await fetch('https://api.v0.app/chats?limit=10', {
-        headers: {
-          'Authorization': `Bearer ${process.env.V0_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
+      logger.info('\n⚠️  The new version did not change any files');
+    }
+    
+    logger.info(`\n🔗 Web URL: ${chat.webUrl}`);
+    return chat;
+  } catch (error) {
+    if (isAbortError(error)) {
+      logger.error(`\n⏹️  ${error.message}`);
+    } else {
+      logger.error('\n❌ Refinement failed:', error.message);
+    }
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * List recent chats
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.json] - Print one JSON result object instead of the list
+ */
+async function listRecentChats(options = {}) {
+  logger.info('📋 Fetching your recent chats...');
+  
+  if (!process.env.V0_API_KEY) {
+    logger.error('❌ V0_API_KEY not found in environment variables');
+    exitWithError('list', new V0AuthError('V0_API_KEY not found in environment variables'), options);
+  }
+  
+  const creator = new V0ChatCreator(process.env.V0_API_KEY);
+  
+  try {
+    const chats = await creator.listChats(10);
+    
+    if (options.json) {
+      printResult({
+        command: 'list',
+        ok: true,
+        exitCode: 0,
+        chats: chats.map(chat => ({
+          chatId: chat.id,
+          createdAt: chat.createdAt ?? null,
+          status: chat.latestVersion?.status ?? null,
+          webUrl: chat.webUrl ?? null,
+          demoUrl: chat.latestVersion?.demoUrl ?? null,
+          prompt: chat.text ?? null
+        })),
+        warnings: []
       });
-      
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status} ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      chats = data.chats || data;
+      return;
     }
     
-    if (!chats || chats.length === 0) {
-      console.log('📭 No chats found');
+    if (chats.length === 0) {
+      logger.info('📭 No chats found');
       return;
     }
     
-    console.log('\n📋 Your Recent Chats:');
+    logger.info('\n📋 Your Recent Chats:');
     chats.forEach((chat, index) => {
-      console.log(`\n${index + 1}. Chat ID: ${chat.id}`);
-      console.log(`   Created: ${new Date(chat.createdAt).toLocaleString()}`);
-      console.log(`   Status: ${chat.latestVersion?.status || 'Unknown'}`);
-      console.log(`   Web URL: ${chat.webUrl}`);
+      logger.info(`\n${index + 1}. Chat ID: ${chat.id}`);
+      logger.info(`   Created: ${new Date(chat.createdAt).toLocaleString()}`);
+      logger.info(`   Status: ${chat.latestVersion?.status || 'Unknown'}`);
+      logger.info(`   Web URL: ${chat.webUrl}`);
       if (chat.text) {
         const preview = chat.text.length > 80 ? chat.text.substring(0, 80) + '...' : chat.text;
-        console.log(`   Prompt: "${preview}"`);
+        logger.info(`   Prompt: "${preview}"`);
       }
     });
     
-    console.log('\n💡 To download code from any chat:');
-    console.log('   npm run download -- <chat-id>');
+    logger.info('\n💡 To download code from any chat:');
+    logger.info('   npm run download -- <chat-id>');
     
   } catch (error) {
-    console.error('❌ Failed to fetch chats:', error.message);
-    process.exit(1);
+    logger.error('❌ Failed to fetch chats:', error.message);
+    exitWithError('list', error, options);
   }
 }
 
+/**
+ * Split subcommand arguments into positional values and flags
+ * @param {Array<string>} args - Arguments after the subcommand name
+ * @returns {Object} Positional values plus versionId, dryRun, plan, merge, conflictStyle, responseMode, json, timeout,
+ *   retry and outputDir (the project config's default output directory)
+ */
+function parseCommandArgs(args) {
+  const { outputDir = './src/components', merge, conflictStyle, responseMode, timeout, retry } = readCliDefaults();
+  const result = {
+    positional: [],
+    versionId: undefined,
+    dryRun: false,
+    plan: false,
+    merge: false,
+    conflictStyle: 'markers',
+    responseMode: 'sync',
+    json: false,
+    outputDir,
+    ...(merge !== undefined && { merge }),
+    ...(conflictStyle !== undefined && { conflictStyle }),
+    ...(responseMode !== undefined && { responseMode }),
+    ...(timeout !== undefined && { timeout }),
+    ...(retry !== undefined && { retry })
+  };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--json':
+        result.json = true;
+        break;
+      case '--version':
+        result.versionId = args[++i];
+        if (!result.versionId) {
+          logger.error('❌ --version requires a version ID');
+          process.exit(EXIT_CODES.V0ValidationError);
+        }
+        break;
+      case '--dry-run':
+        result.dryRun = true;
+        break;
+      case '--plan':
+        result.plan = true;
+        break;
+      case '--merge':
+        result.merge = true;
+        break;
+      case '--conflict-style':
+        result.conflictStyle = args[++i];
+        break;
+      case '--async':
+        result.responseMode = 'async';
+        break;
+      case '--timeout':
+        result.timeout = Number(args[++i]) * 1000;
+        if (!(result.timeout > 0)) {
+          logger.error('❌ --timeout requires a number of seconds');
+          process.exit(EXIT_CODES.V0ValidationError);
+        }
+        break;
+      case '--retries':
+        result.retry = { ...result.retry, retries: Number(args[++i]) };
+        if (!Number.isInteger(result.retry.retries) || result.retry.retries < 0) {
+          logger.error('❌ --retries requires a whole number (0 disables retries)');
+          process.exit(EXIT_CODES.V0ValidationError);
+        }
+        break;
+      case '--retry-delay':
+        result.retry = { ...result.retry, minDelay: Number(args[++i]) * 1000 };
+        if (!(result.retry.minDelay >= 0)) {
+          logger.error('❌ --retry-delay requires a number of seconds');
+          process.exit(EXIT_CODES.V0ValidationError);
+        }
+        break;
+      case '--retry-writes':
+        result.retry = { ...result.retry, retryNonIdempotent: true };
+        break;
+      default:
+        result.positional.push(args[i]);
+        break;
+    }
+  }
+  
+  return result;
+}
+
 /**
  * Parse command line arguments
  */
@@ -513,7 +615,8 @@ function parseArgs() {
     autoDownload: true, // ALWAYS enforce auto-download
     forceDownload: true, // Force download even if it fails initially
     outputDir: './src/components',
-    help: false
+    help: false,
+    ...readCliDefaults()
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -544,8 +647,8 @@ function parseArgs() {
         options.outputDir = args[++i];
         break;
       case '--no-download':
-        console.log('⚠️  Warning: Auto-download is enforced and cannot be disabled');
-        console.log('💡 All generated code will be automatically downloaded');
+        logger.info('⚠️  Warning: Auto-download is enforced and cannot be disabled');
+        logger.info('💡 All generated code will be automatically downloaded');
         // Keep autoDownload true - don't allow disabling
         break;
       case '--download':
@@ -584,6 +687,29 @@ Usage:
   node v0-chat-creator-sdk.js "Your prompt here"
   npm run create-sdk -- "Your prompt here"
 
+Commands:
+  download <chat-id> [output-dir]            Download the latest (or pinned) files from a chat
+    --json                                   Print one JSON result object on stdout (logs go to stderr)
+    --version <version-id>                   Download a specific version instead
+    --dry-run                                Print a unified diff against the files on disk, write nothing
+    --plan                                   Print a JSON plan (create/modify/unchanged per path), write nothing
+    --merge                                  Three-way merge local edits instead of overwriting them
+    --conflict-style <markers|sidecar>       Leave conflicts as markers (default) or .v0-incoming files
+  list [--json]                              List your recent chats
+  runs                                       List recorded runs that can be undone
+  undo [run-id] [--force]                    Restore every file the last (or given) run touched
+  status [output-dir] [--json]               Show locally edited, outdated and orphaned files from v0.lock.json
+  versions <chat-id> [--json]                List a chat's versions with status and file count
+  pin <chat-id> <version-id>                 Pin downloads of a chat to a known-good version
+  unpin <chat-id>                            Follow the latest version again
+  refine <chat-id> "<prompt>" [output-dir]   Send a follow-up message and download changed files
+                                             (accepts --dry-run, --plan, --merge, --conflict-style, --async, --timeout and --retries)
+    --async                                  Don't block on the request; show live generation progress instead
+    --timeout <seconds>                      Overall deadline for download or refine (Ctrl-C cancels any time)
+    --retries <n>                            Retries per failed API request (default: 3, 0 disables)
+    --retry-delay <seconds>                  Backoff before the first retry, doubled each time (default: 1)
+    --retry-writes                           Also retry sending messages (may duplicate a generation)
+
 Options:
   -p, --prompt <text>     The prompt for your component (required)
   -s, --system <text>     System context for the AI
@@ -592,6 +718,10 @@ Options:
   --privacy <level>       Privacy level (private, public, team, unlisted)
   -o, --output <path>     Output directory for generated code (default: ./src/components)
   -f, --force             Force aggressive download attempts
+  --log-level <level>     silent, error, warn, info (default), debug or trace
+  --verbose               Same as --log-level debug (adds request and response dumps)
+  --quiet                 Same as --log-level silent
+  --log-json              Write logs as JSON lines, e.g. for CI
   -h, --help             Show this help message
 
 ⚠️  NOTE: Auto-download is ENFORCED and cannot be disabled!
@@ -639,14 +769,14 @@ ENFORCED Auto-Download Features:
 async function createDynamicChat(options) {
   const creator = new V0ChatCreator(process.env.V0_API_KEY);
   
-  console.log('🎨 Creating chat with your prompt...\n');
-  console.log(`📝 Prompt: "${options.prompt}"`);
-  if (options.system) console.log(`🧠 System: "${options.system}"`);
-  console.log(`🤖 Model: ${options.modelId}`);
-  console.log(`🧩 Thinking: ${options.thinking ? 'Enabled' : 'Disabled'}`);
-  console.log(`🔒 Privacy: ${options.privacy}`);
-  console.log(`💾 Auto-download: ENFORCED (always enabled)`);
-  console.log(`🔄 Force download: ${options.forceDownload ? 'Enabled' : 'Disabled'}\n`);
+  logger.info('🎨 Creating chat with your prompt...\n');
+  logger.info(`📝 Prompt: "${options.prompt}"`);
+  if (options.system) logger.info(`🧠 System: "${options.system}"`);
+  logger.info(`🤖 Model: ${options.modelId}`);
+  logger.info(`🧩 Thinking: ${options.thinking ? 'Enabled' : 'Disabled'}`);
+  logger.info(`🔒 Privacy: ${options.privacy}`);
+  logger.info(`💾 Auto-download: ENFORCED (always enabled)`);
+  logger.info(`🔄 Force download: ${options.forceDownload ? 'Enabled' : 'Disabled'}\n`);
   
   try {
     const chat = await creator.createChat({
@@ -655,82 +785,85 @@ async function createDynamicChat(options) {
       modelConfiguration: {
         modelId: options.modelId,
         imageGenerations: false,
-        thinking: options.thinking,
-        responseMode: 'sync'
+        thinking: options.thinking
       },
+      responseMode: 'sync',
       chatPrivacy: options.privacy
     });
     
-    console.log('✅ Chat created successfully!\n');
-    console.log('🔗 Links:');
-    console.log(`   Web URL: ${chat.webUrl}`);
+    logger.info('✅ Chat created successfully!\n');
+    logger.info('🔗 Links:');
+    logger.info(`   Web URL: ${chat.webUrl}`);
     
     if (chat.apiUrl) {
-      console.log(`   API URL: ${chat.apiUrl}`);
+      logger.info(`   API URL: ${chat.apiUrl}`);
     }
     
     if (chat.latestVersion && chat.latestVersion.demoUrl) {
-      console.log(`   Demo URL: ${chat.latestVersion.demoUrl}`);
+      logger.info(`   Demo URL: ${chat.latestVersion.demoUrl}`);
     }
     
     // Check if there's a demo property directly on the chat object
     if (chat.demo) {
-      console.log(`   Preview URL: ${chat.demo}`);
+      logger.info(`   Preview URL: ${chat.demo}`);
     }
     
-    console.log('\n📊 Details:');
-    console.log(`   Chat ID: ${chat.id}`);
-    console.log(`   Created: ${new Date(chat.createdAt).toLocaleString()}`);
-    console.log(`   Status: ${chat.latestVersion?.status || 'Pending'}`);
+    logger.info('\n📊 Details:');
+    logger.info(`   Chat ID: ${chat.id}`);
+    logger.info(`   Created: ${new Date(chat.createdAt).toLocaleString()}`);
+    logger.info(`   Status: ${chat.latestVersion?.status || 'Pending'}`);
     
     // Auto-download generated code if enabled
     if (options.autoDownload) {
-      console.log('\n� Auto-downloading generated code...');
+      logger.info('\n� Auto-downloading generated code...');
       
       try {
         let savedFiles = [];
+        const provenance = { prompt: options.prompt, modelId: options.modelId };
         
         if (chat.latestVersion?.status === 'completed') {
           // If already completed, download immediately
-          savedFiles = await creator.downloadGeneratedCode(chat.id, options.outputDir);
+          savedFiles = await creator.downloadGeneratedCode(chat.id, options.outputDir, provenance);
         } else {
           // Wait for completion and then download
-          savedFiles = await creator.waitAndDownload(chat.id, options.outputDir);
+          savedFiles = await creator.waitAndDownload(chat.id, options.outputDir, 180, provenance);
         }
         
         if (savedFiles.length > 0) {
-          console.log('\n🎉 Code successfully integrated into your codebase!');
-          console.log('📁 Generated files:');
+          logger.info('\n🎉 Code successfully integrated into your codebase!');
+          logger.info('📁 Generated files:');
           savedFiles.forEach(file => {
-            console.log(`   - ${file}`);
+            logger.info(`   - ${file}`);
           });
         }
         
       } catch (downloadError) {
-        console.error('\n⚠️  Auto-download failed:', downloadError.message);
-        console.log(`💡 You can manually download later using:`);
-        console.log(`   npm run download -- ${chat.id}`);
+        logger.error('\n⚠️  Auto-download failed:', downloadError.message);
+        logger.info(`💡 You can manually download later using:`);
+        logger.info(`   npm run download -- ${chat.id}`);
       }
     } else {
       // Show manual download instructions
-      console.log('\n💡 To download the generated code later, run:');
-      console.log(`   npm run download -- ${chat.id}`);
+      logger.info('\n💡 To download the generated code later, run:');
+      logger.info(`   npm run download -- ${chat.id}`);
     }
     
-    console.log('\n🎉 Visit the Web URL to see your generated component!');
+    logger.info('\n🎉 Visit the Web URL to see your generated component!');
     return chat;
     
   } catch (error) {
-    console.error('\n❌ Failed to create chat:', error.message);
+    logger.error('\n❌ Failed to create chat:', error.message);
     
     // Provide helpful error suggestions
-    if (error.message.includes('401') || error.message.includes('Unauthorized')) {
-      console.log('\n💡 Suggestion: Check your V0_API_KEY in the .env file');
-      console.log('Get your API key from: https://v0.app/chat/settings/keys');
-    } else if (error.message.includes('400')) {
-      console.log('\n💡 Suggestion: Check your prompt format or model configuration');
-    } else if (error.message.includes('network') || error.message.includes('fetch')) {
-      console.log('\n💡 Suggestion: Check your internet connection');
+    if (error instanceof V0AuthError) {
+      logger.info('\n💡 Suggestion: Check your V0_API_KEY in the .env file');
+      logger.info('Get your API key from: https://v0.app/chat/settings/keys');
+    } else if (error instanceof V0ValidationError) {
+      logger.info('\n💡 Suggestion: Check your prompt format or model configuration');
+    } else if (error instanceof V0RateLimitError) {
+      logger.info('\n💡 Suggestion: Wait a moment and try again, or raise --retries');
+    } else if (error instanceof V0Error && error.status === null) {
+      logger.info('\n💡 Suggestion: Check your internet connection');
     }
     
     throw error;
@@ -739,30 +872,92 @@ async function createDynamicChat(options) {
 
 // Run script if executed directly
 if (require.main === module) {
-  console.log('🚀 V0 Chat Creator - Official SDK Version with Auto-Download\n');
+  applyLogFlags();
+  
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  
+  // With --json, stdout carries only the result object
+  if (json) useJsonOutput();
+  
+  logger.info('🚀 V0 Chat Creator - Official SDK Version with Auto-Download\n');
+  
+  // Local-only commands don't need an API key
+  if (args[0] === 'undo') {
+    // Undo command: node script.js undo [run-id] [--force]
+    undoLastRun(args[1] && !args[1].startsWith('-') ? args[1] : undefined, args.includes('--force'));
+    process.exit(0);
+  }
+  
+  if (args[0] === 'runs') {
+    // Runs command: node script.js runs
+    listRecordedRuns();
+    process.exit(0);
+  }
   
   // Check if API key is available
   if (!process.env.V0_API_KEY) {
-    console.error('❌ V0_API_KEY not found in environment variables');
-    console.log('Make sure your .env file contains: V0_API_KEY=your_api_key_here');
-    console.log('Get your API key from: https://v0.app/chat/settings/keys');
-    process.exit(1);
+    logger.error('❌ V0_API_KEY not found in environment variables');
+    logger.info('Make sure your .env file contains: V0_API_KEY=your_api_key_here');
+    logger.info('Get your API key from: https://v0.app/chat/settings/keys');
+    exitWithError(args[0] || 'create', new V0AuthError('V0_API_KEY not found in environment variables'), { json });
   }
   
   // Check for special commands
-  const args = process.argv.slice(2);
-  
   if (args[0] === 'download' && args[1]) {
-    // Download command: node script.js download <chat-id> [output-dir]
-    const chatId = args[1];
-    const outputDir = args[2] || './src/components';
-    downloadFromChatId(chatId, outputDir).then(() => process.exit(0));
+    // Download command: node script.js download <chat-id> [output-dir] [--version <version-id>] [--dry-run] [--plan]
+    const { positional, outputDir: defaultOutputDir, ...downloadOptions } = parseCommandArgs(args.slice(1));
+    const [chatId, outputDir = defaultOutputDir] = positional;
+    downloadFromChatId(chatId, outputDir, { ...downloadOptions, signal: cancelOnInterrupt() }).then(() => process.exit());
+    return;
+  }
+  
+  if (args[0] === 'versions' && args[1]) {
+    // Versions command: node script.js versions <chat-id>
+    listChatVersions(args[1], { json }).then(() => process.exit(0));
+    return;
+  }
+  
+  if (args[0] === 'pin') {
+    // Pin command: node script.js pin <chat-id> <version-id>
+    if (!args[1] || !args[2]) {
+      logger.error('❌ Usage: node v0-chat-creator-sdk.js pin <chat-id> <version-id>');
+      process.exit(EXIT_CODES.V0ValidationError);
+    }
+    pinVersion(args[1], args[2]);
+    process.exit(0);
+  }
+  
+  if (args[0] === 'unpin' && args[1]) {
+    // Unpin command: node script.js unpin <chat-id>
+    if (!unpinVersion(args[1])) {
+      logger.info(`⚠️  Chat ${args[1]} was not pinned`);
+    }
+    process.exit(0);
+  }
+  
+  if (args[0] === 'refine') {
+    // Refine command: node script.js refine <chat-id> "<prompt>" [output-dir] [--dry-run] [--plan]
+    const { positional, versionId, outputDir: defaultOutputDir, ...refineOptions } = parseCommandArgs(args.slice(1));
+    const [chatId, prompt, outputDir = defaultOutputDir] = positional;
+    if (!chatId || !prompt) {
+      logger.error('❌ Usage: node v0-chat-creator-sdk.js refine <chat-id> "<prompt>" [output-dir]');
+      process.exit(EXIT_CODES.V0ValidationError);
+    }
+    refineFromChatId(chatId, prompt, outputDir, { ...refineOptions, signal: cancelOnInterrupt() }).then(() => process.exit(0));
+    return;
+  }
+  
+  if (args[0] === 'status') {
+    // Status command: node script.js status [output-dir]
+    const outputDir = args[1] && !args[1].startsWith('-') ? args[1] : readCliDefaults().outputDir || './src/components';
+    showStatus(outputDir, { json }).then(() => process.exit(0));
     return;
   }
   
   if (args[0] === 'list') {
     // List command: node script.js list
-    listRecentChats().then(() => process.exit(0));
+    listRecentChats({ json }).then(() => process.exit(0));
     return;
   }
   
@@ -776,31 +971,31 @@ if (require.main === module) {
   }
   
   if (!options.prompt) {
-    console.error('❌ No prompt provided!');
-    console.log('Use --help for usage information, or provide a prompt:');
-    console.log('Example: node v0-chat-creator-sdk.js "Create a modern button component"\n');
+    logger.error('❌ No prompt provided!');
+    logger.info('Use --help for usage information, or provide a prompt:');
+    logger.info('Example: node v0-chat-creator-sdk.js "Create a modern button component"\n');
     showHelp();
-    process.exit(1);
+    process.exit(EXIT_CODES.V0ValidationError);
   }
   
   // Validate model ID
   const validModels = ['v0-1.5-sm', 'v0-1.5-md', 'v0-1.5-lg', 'v0-gpt-5'];
   if (!validModels.includes(options.modelId)) {
-    console.error(`❌ Invalid model ID: ${options.modelId}`);
-    console.log(`Valid models: ${validModels.join(', ')}`);
-    process.exit(1);
+    logger.error(`❌ Invalid model ID: ${options.modelId}`);
+    logger.info(`Valid models: ${validModels.join(', ')}`);
+    process.exit(EXIT_CODES.V0ValidationError);
   }
   
   // Validate privacy level
   const validPrivacy = ['private', 'public', 'team', 'team-edit', 'unlisted'];
   if (!validPrivacy.includes(options.privacy)) {
-    console.error(`❌ Invalid privacy level: ${options.privacy}`);
-    console.log(`Valid privacy levels: ${validPrivacy.join(', ')}`);
-    process.exit(1);
+    logger.error(`❌ Invalid privacy level: ${options.privacy}`);
+    logger.info(`Valid privacy levels: ${validPrivacy.join(', ')}`);
+    process.exit(EXIT_CODES.V0ValidationError);
   }
   
   // Create chat with dynamic prompt
   createDynamicChat(options)
-    .then(() => console.log('\n✨ Chat creation completed successfully!'))
-    .catch(() => process.exit(1));
+    .then(() => logger.info('\n✨ Chat creation completed successfully!'))
+    .catch((error) => process.exit(getExitCode(error)));
 }
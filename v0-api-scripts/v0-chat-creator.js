@@ -5,130 +5,31 @@
 
 // Load environment variables
 require('dotenv').config();
+const {
+  V0Error,
+  V0AuthError,
+  V0RateLimitError,
+  V0ValidationError,
+  EXIT_CODES,
+  getExitCode
+} = require('./v0-errors');
+const { V0Client } = require('./v0-client');
+const { readCliDefaults } = require('./cli-result');
+const { getLogger, applyLogFlags } = require('./logger');
 
-class V0ChatCreator {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://api.v0.app';
-  }
-
-  /**
-   * Create a new chat with v0
-   * @param {Object} options - Chat creation options
-   * @param {string} options.message - Required. The user message/prompt
-   * @param {string} [options.system] - System context for the chat
-   * @param {string} [options.projectId] - Project ID to associate with the chat
-   * @param {string} [options.chatPrivacy='private'] - Chat privacy setting
-   * @param {Object} [options.modelConfiguration] - Model configuration
-   * @param {Array} [options.attachments] - File attachments
-   * @param {string} [options.designSystemId] - Design system ID
-   * @returns {Promise<Object>} Chat creation response
-   */
-  async createChat(options = {}) {
-    const {
-      message,
-      system,
-      projectId,
-      chatPrivacy = 'private',
-      modelConfiguration = {
-        modelId: 'v0-1.5-sm',
-        imageGenerations: false,
-        thinking: false,
-        responseMode: 'sync'
-      },
-      attachments = [],
-      designSystemId = null
-    } = options;
-
-    // Validate required fields
-    if (!message) {
-      throw new Error('Message is required to create a chat');
-    }
-
-    // Prepare request body
-    const requestBody = {
-      message,
-      modelConfiguration,
-      chatPrivacy,
-      ...(system && { system }),
-      ...(projectId && { projectId }),
-      ...(attachments.length > 0 && { attachments }),
-      ...(designSystemId && { designSystemId })
-    };
-
-    try {
-      console.log('🔗 Making request to:', `${this.baseUrl}/chats`);
-      console.log('📝 Request body:', JSON.stringify(requestBody, null, 2));
-      
-      const response = await fetch(`${this.baseUrl}/chats`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      });
-
-      console.log('📊 Response status:', response.status, response.statusText);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => null);
-        console.log('❌ Error response:', errorData);
-        throw new Error(
-          `V0 API error: ${response.status} ${response.statusText}${
-            errorData ? ` - ${JSON.stringify(errorData)}` : ''
-          }`
-        );
-      }
-
-      const result = await response.json();
-      console.log('✅ Success! Chat created with ID:', result.id);
-      return result;
-    } catch (error) {
-      console.error('Error creating chat:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Create a chat for UI component generation
-   * @param {string} prompt - Component description
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Chat creation response
-   */
-  async createComponentChat(prompt, options = {}) {
-    const defaultSystem = "You are an expert React developer. Create modern, responsive components using Tailwind CSS. Follow best practices for accessibility and performance.";
-    
-    return this.createChat({
-      message: prompt,
-      system: options.system || defaultSystem,
-      modelConfiguration: {
-        modelId: options.modelId || 'v0-1.5-md',
-        imageGenerations: options.imageGenerations || false,
-        thinking: options.thinking || false,
-        responseMode: options.responseMode || 'sync'
-      },
-      chatPrivacy: options.chatPrivacy || 'private',
-      projectId: options.projectId,
-      designSystemId: options.designSystemId
-    });
-  }
+const logger = getLogger();
 
+/**
+ * V0Client on the raw HTTP transport, kept under its original name and constructor
+ * Unlike the SDK transport it cancels requests for real and reports Retry-After and request ids
+ */
+class V0ChatCreator extends V0Client {
   /**
-   * Create a chat with file attachments
-   * @param {string} prompt - Chat prompt
-   * @param {Array} fileUrls - Array of file URLs to attach
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Chat creation response
+   * @param {string} apiKey - v0 API key
+   * @param {Object} [options] - Client options, see V0Client (transport defaults to 'http')
    */
-  async createChatWithAttachments(prompt, fileUrls, options = {}) {
-    const attachments = fileUrls.map(url => ({ url }));
-    
-    return this.createChat({
-      message: prompt,
-      attachments,
-      ...options
-    });
+  constructor(apiKey, options = {}) {
+    super({ transport: 'http', ...options, apiKey });
   }
 }
 
@@ -142,18 +43,18 @@ async function createSimpleChat() {
       system: "You are a skilled frontend developer specializing in modern web design"
     });
     
-    console.log('✅ Chat created successfully!');
-    console.log('Chat ID:', chat.id);
-    console.log('Web URL:', chat.webUrl);
-    console.log('API URL:', chat.apiUrl);
+    logger.info('✅ Chat created successfully!');
+    logger.info('Chat ID:', chat.id);
+    logger.info('Web URL:', chat.webUrl);
+    logger.info('API URL:', chat.apiUrl);
     
     if (chat.latestVersion && chat.latestVersion.demoUrl) {
-      console.log('Demo URL:', chat.latestVersion.demoUrl);
+      logger.info('Demo URL:', chat.latestVersion.demoUrl);
     }
     
     return chat;
   } catch (error) {
-    console.error('❌ Failed to create chat:', error.message);
+    logger.error('❌ Failed to create chat:', error.message);
     throw error;
   }
 }
@@ -170,13 +71,13 @@ async function createComponentChat() {
       }
     );
     
-    console.log('✅ Component chat created successfully!');
-    console.log('Chat ID:', chat.id);
-    console.log('Web URL:', chat.webUrl);
+    logger.info('✅ Component chat created successfully!');
+    logger.info('Chat ID:', chat.id);
+    logger.info('Web URL:', chat.webUrl);
     
     return chat;
   } catch (error) {
-    console.error('❌ Failed to create component chat:', error.message);
+    logger.error('❌ Failed to create component chat:', error.message);
     throw error;
   }
 }
@@ -191,14 +92,14 @@ async function createAdvancedChat() {
       modelConfiguration: {
         modelId: 'v0-1.5-lg',
         imageGenerations: false,
-        thinking: true,
-        responseMode: 'sync'
+        thinking: true
       },
+      responseMode: 'sync',
       chatPrivacy: 'private'
     });
     
-    console.log('✅ Advanced chat created successfully!');
-    console.log('Chat details:', {
+    logger.info('✅ Advanced chat created successfully!');
+    logger.info('Chat details:', {
       id: chat.id,
       webUrl: chat.webUrl,
       createdAt: chat.createdAt,
@@ -207,7 +108,7 @@ async function createAdvancedChat() {
     
     return chat;
   } catch (error) {
-    console.error('❌ Failed to create advanced chat:', error.message);
+    logger.error('❌ Failed to create advanced chat:', error.message);
     throw error;
   }
 }
@@ -226,7 +127,8 @@ function parseArgs() {
     modelId: 'v0-1.5-md',
     thinking: false,
     privacy: 'private',
-    help: false
+    help: false,
+    ...readCliDefaults()
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -285,6 +187,10 @@ Options:
   -m, --model <id>        Model ID (v0-1.5-sm, v0-1.5-md, v0-1.5-lg, v0-gpt-5)
   -t, --thinking          Enable thinking mode
   --privacy <level>       Privacy level (private, public, team, unlisted)
+  --log-level <level>     silent, error, warn, info (default), debug or trace
+  --verbose               Same as --log-level debug (adds request and response dumps)
+  --quiet                 Same as --log-level silent
+  --log-json              Write logs as JSON lines, e.g. for CI
   -h, --help             Show this help message
 
 Examples:
@@ -321,12 +227,12 @@ Privacy Levels:
 async function createDynamicChat(options) {
   const creator = new V0ChatCreator(process.env.V0_API_KEY);
   
-  console.log('🎨 Creating chat with your prompt...\n');
-  console.log(`📝 Prompt: "${options.prompt}"`);
-  if (options.system) console.log(`🧠 System: "${options.system}"`);
-  console.log(`🤖 Model: ${options.modelId}`);
-  console.log(`🧩 Thinking: ${options.thinking ? 'Enabled' : 'Disabled'}`);
-  console.log(`🔒 Privacy: ${options.privacy}\n`);
+  logger.info('🎨 Creating chat with your prompt...\n');
+  logger.info(`📝 Prompt: "${options.prompt}"`);
+  if (options.system) logger.info(`🧠 System: "${options.system}"`);
+  logger.info(`🤖 Model: ${options.modelId}`);
+  logger.info(`🧩 Thinking: ${options.thinking ? 'Enabled' : 'Disabled'}`);
+  logger.info(`🔒 Privacy: ${options.privacy}\n`);
   
   try {
     const chat = await creator.createChat({
@@ -335,47 +241,49 @@ async function createDynamicChat(options) {
       modelConfiguration: {
         modelId: options.modelId,
         imageGenerations: false,
-        thinking: options.thinking,
-        responseMode: 'sync'
+        thinking: options.thinking
       },
+      responseMode: 'sync',
       chatPrivacy: options.privacy
     });
     
-    console.log('✅ Chat created successfully!\n');
-    console.log('🔗 Links:');
-    console.log(`   Web URL: ${chat.webUrl}`);
-    console.log(`   API URL: ${chat.apiUrl}`);
+    logger.info('✅ Chat created successfully!\n');
+    logger.info('🔗 Links:');
+    logger.info(`   Web URL: ${chat.webUrl}`);
+    logger.info(`   API URL: ${chat.apiUrl}`);
     
     if (chat.latestVersion && chat.latestVersion.demoUrl) {
-      console.log(`   Demo URL: ${chat.latestVersion.demoUrl}`);
+      logger.info(`   Demo URL: ${chat.latestVersion.demoUrl}`);
     }
     
-    console.log('\n📊 Details:');
-    console.log(`   Chat ID: ${chat.id}`);
-    console.log(`   Created: ${new Date(chat.createdAt).toLocaleString()}`);
-    console.log(`   Status: ${chat.latestVersion?.status || 'Pending'}`);
+    logger.info('\n📊 Details:');
+    logger.info(`   Chat ID: ${chat.id}`);
+    logger.info(`   Created: ${new Date(chat.createdAt).toLocaleString()}`);
+    logger.info(`   Status: ${chat.latestVersion?.status || 'Pending'}`);
     
     // Show generated files if available
     if (chat.latestVersion?.files && chat.latestVersion.files.length > 0) {
-      console.log('\n📁 Generated Files:');
+      logger.info('\n📁 Generated Files:');
       chat.latestVersion.files.forEach((file, index) => {
-        console.log(`   ${index + 1}. ${file.name} (${file.content.length} characters)`);
+        logger.info(`   ${index + 1}. ${file.name} (${file.content.length} characters)`);
       });
     }
     
-    console.log('\n🎉 Visit the Web URL to see your generated component!');
+    logger.info('\n🎉 Visit the Web URL to see your generated component!');
     return chat;
     
   } catch (error) {
-    console.error('\n❌ Failed to create chat:', error.message);
+    logger.error('\n❌ Failed to create chat:', error.message);
     
     // Provide helpful error suggestions
-    if (error.message.includes('401') || error.message.includes('Unauthorized')) {
-      console.log('\n💡 Suggestion: Check your V0_API_KEY in the .env file');
-    } else if (error.message.includes('400')) {
-      console.log('\n💡 Suggestion: Check your prompt format or model configuration');
-    } else if (error.message.includes('network') || error.message.includes('fetch')) {
-      console.log('\n💡 Suggestion: Check your internet connection');
+    if (error instanceof V0AuthError) {
+      logger.info('\n💡 Suggestion: Check your V0_API_KEY in the .env file');
+    } else if (error instanceof V0ValidationError) {
+      logger.info('\n💡 Suggestion: Check your prompt format or model configuration');
+    } else if (error instanceof V0RateLimitError) {
+      logger.info('\n💡 Suggestion: Wait a moment and try again, or raise --retries');
+    } else if (error instanceof V0Error && error.status === null) {
+      logger.info('\n💡 Suggestion: Check your internet connection');
     }
     
     throw error;
@@ -384,13 +292,14 @@ async function createDynamicChat(options) {
 
 // Run script if executed directly
 if (require.main === module) {
-  console.log('🚀 V0 Chat Creator - Dynamic Mode\n');
+  applyLogFlags();
+  logger.info('🚀 V0 Chat Creator - Dynamic Mode\n');
   
   // Check if API key is available
   if (!process.env.V0_API_KEY) {
-    console.error('❌ V0_API_KEY not found in environment variables');
-    console.log('Make sure your .env file contains: V0_API_KEY=your_api_key_here');
-    process.exit(1);
+    logger.error('❌ V0_API_KEY not found in environment variables');
+    logger.info('Make sure your .env file contains: V0_API_KEY=your_api_key_here');
+    process.exit(EXIT_CODES.V0AuthError);
   }
   
   // Parse command line arguments
@@ -403,31 +312,31 @@ if (require.main === module) {
   }
   
   if (!options.prompt) {
-    console.error('❌ No prompt provided!');
-    console.log('Use --help for usage information, or provide a prompt:');
-    console.log('Example: node v0-chat-creator.js "Create a modern button component"\n');
+    logger.error('❌ No prompt provided!');
+    logger.info('Use --help for usage information, or provide a prompt:');
+    logger.info('Example: node v0-chat-creator.js "Create a modern button component"\n');
     showHelp();
-    process.exit(1);
+    process.exit(EXIT_CODES.V0ValidationError);
   }
   
   // Validate model ID
   const validModels = ['v0-1.5-sm', 'v0-1.5-md', 'v0-1.5-lg', 'v0-gpt-5'];
   if (!validModels.includes(options.modelId)) {
-    console.error(`❌ Invalid model ID: ${options.modelId}`);
-    console.log(`Valid models: ${validModels.join(', ')}`);
-    process.exit(1);
+    logger.error(`❌ Invalid model ID: ${options.modelId}`);
+    logger.info(`Valid models: ${validModels.join(', ')}`);
+    process.exit(EXIT_CODES.V0ValidationError);
   }
   
   // Validate privacy level
   const validPrivacy = ['private', 'public', 'team', 'team-edit', 'unlisted'];
   if (!validPrivacy.includes(options.privacy)) {
-    console.error(`❌ Invalid privacy level: ${options.privacy}`);
-    console.log(`Valid privacy levels: ${validPrivacy.join(', ')}`);
-    process.exit(1);
+    logger.error(`❌ Invalid privacy level: ${options.privacy}`);
+    logger.info(`Valid privacy levels: ${validPrivacy.join(', ')}`);
+    process.exit(EXIT_CODES.V0ValidationError);
   }
   
   // Create chat with dynamic prompt
   createDynamicChat(options)
-    .then(() => console.log('\n✨ Chat creation completed successfully!'))
-    .catch(() => process.exit(1));
+    .then(() => logger.info('\n✨ Chat creation completed successfully!'))
+    .catch((error) => process.exit(getExitCode(error)));
 }
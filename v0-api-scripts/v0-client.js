@@ -0,0 +1,794 @@
+/**
+ * V0 Client
+ * One client for the v0 Platform API: create and refine chats, follow generations and download the files.
+ * Requests go through a pluggable transport (v0-sdk or raw HTTP); downloads can run post-download hooks.
+ */
+
+const path = require('path');
+const {
+  extractFiles,
+  writeGeneratedFiles,
+  printConflictSummary,
+  planGeneratedFiles,
+  printPlanDiff,
+  formatPlan
+} = require('./generated-files');
+const { updateLockfile, checkLocalState } = require('./v0-lockfile');
+const { withDeadline, throwIfAborted, isAbortError } = require('./cancellation');
+const { watchGeneration, waitForGeneration } = require('./generation-progress');
+const { resolveRetryPolicy, withRetry } = require('./retry-policy');
+const {
+  V0ValidationError,
+  V0GenerationFailedError,
+  V0TimeoutError,
+  V0Error,
+  getErrorStatus,
+  toV0Error
+} = require('./v0-errors');
+const { resolveTransport } = require('./v0-transports');
+const { writeBarrelFile } = require('./barrel-file');
+const { loadProjectConfig } = require('./project-config');
+const { estimateTokens } = require('./prompt-budget');
+const { printRejectedSummary } = require('./path-sandbox');
+const { RunJournal } = require('./run-journal');
+const { getPinnedVersion } = require('./chat-versions');
+const { getLogger } = require('./logger');
+
+const DEFAULT_MODEL = 'v0-1.5-md';
+
+/**
+ * Routing rules and the root their redirect targets are relative to
+ * @param {Object} options - Download options; explicit routes and projectRoot win over the project config
+ * @returns {{routes: (Array|undefined), projectRoot: string}} Routing options
+ */
+function projectRouting(options) {
+  const { config, root } = loadProjectConfig();
+  return {
+    routes: options.routes || config.routes,
+    projectRoot: options.projectRoot || root
+  };
+}
+
+class V0Client {
+  /**
+   * @param {Object} [options] - Client options
+   * @param {string} [options.apiKey=process.env.V0_API_KEY] - v0 API key
+   * @param {string|Object} [options.transport='sdk'] - 'sdk' (v0-sdk), 'http' (fetch) or a custom transport,
+   *   see v0-transports.js
+   * @param {string} [options.baseUrl] - API base URL for the http transport
+   * @param {Function} [options.fetch] - fetch implementation for the http transport
+   * @param {string} [options.defaultModel='v0-1.5-md'] - Model used when a call doesn't pass modelConfiguration
+   * @param {Object|boolean} [options.retry] - Retry policy for API calls (see retry-policy.js), false to disable
+   * @param {Array<Function>} [options.postDownload] - Hooks run after each download that wrote files,
+   *   see addPostDownloadHook
+   * @param {Logger} [options.logger] - Logger for the client's messages (default: the shared logger, see logger.js)
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.V0_API_KEY;
+    this.logger = options.logger || getLogger();
+    this.transport = resolveTransport(options.transport, {
+      apiKey: this.apiKey,
+      baseUrl: options.baseUrl,
+      fetch: options.fetch,
+      logger: this.logger
+    });
+    this.defaultModel = options.defaultModel || DEFAULT_MODEL;
+    this.retryPolicy = resolveRetryPolicy(options.retry);
+    this.postDownloadHooks = [...(options.postDownload || [])];
+  }
+
+  /**
+   * Register a hook that runs after each download that wrote files, before v0.lock.json is updated
+   * Hooks run in order and are awaited; an error fails the download
+   * @param {function(Object): (void|Promise<void>)} hook - Receives { client, chatId, versionId, outputDir,
+   *   savedFiles, journal }; files it changes should be passed to journal.track() first so undo covers them
+   * @returns {V0Client} This client, for chaining
+   */
+  addPostDownloadHook(hook) {
+    this.postDownloadHooks.push(hook);
+    return this;
+  }
+
+  /**
+   * Retry options for one API request
+   * @param {string} label - Request name for log messages
+   * @param {Object} options - Options of the public method; options.retry overrides the client's policy
+   * @param {AbortSignal} [signal] - Signal of the request
+   * @param {boolean} [idempotent=true] - Whether repeating the request is safe
+   * @returns {Object} Options for withRetry
+   */
+  retryOptions(label, options, signal, idempotent = true) {
+    const policy = options.retry === false ? false : { ...this.retryPolicy, ...options.retry };
+    return { policy, label, signal, idempotent, logger: this.logger };
+  }
+
+  /**
+   * Create a new chat with v0
+   * @param {Object} options - Chat creation options
+   * @param {string} options.message - Required. The user message/prompt
+   * @param {string} [options.system] - System context for the chat
+   * @param {string} [options.projectId] - Project ID to associate with the chat
+   * @param {string} [options.chatPrivacy='private'] - Chat privacy setting
+   * @param {Object} [options.modelConfiguration] - Model configuration
+   * @param {Array} [options.attachments] - File attachments
+   * @param {string} [options.designSystemId] - Design system ID
+   * @param {string} [options.responseMode='sync'] - 'sync' waits for the generation, 'async' returns right away
+   *   (follow progress with watchGeneration)
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @param {Object|boolean} [options.retry] - Overrides the client's retry policy for this request
+   * @returns {Promise<Object>} Chat creation response
+   */
+  async createChat(options = {}) {
+    const {
+      message,
+      system,
+      projectId,
+      chatPrivacy = 'private',
+      modelConfiguration = {
+        modelId: this.defaultModel,
+        imageGenerations: false,
+        thinking: false
+      },
+      attachments = [],
+      designSystemId = null,
+      responseMode = 'sync'
+    } = options;
+
+    // Validate required fields
+    if (!message) {
+      throw new V0ValidationError('Message is required to create a chat');
+    }
+
+    const chatOptions = {
+      message,
+      modelConfiguration,
+      responseMode,
+      chatPrivacy,
+      ...(system && { system }),
+      ...(projectId && { projectId }),
+      ...(attachments.length > 0 && { attachments }),
+      ...(designSystemId && { designSystemId })
+    };
+
+    try {
+      this.logger.info(`🔗 Creating chat (${this.transport.name} transport)...`);
+      this.logger.info(`📏 Prompt size: ~${estimateTokens(system) + estimateTokens(message)} tokens (system ~${estimateTokens(system)}, message ~${estimateTokens(message)})`);
+      // Only the size of the system prompt; "v0 prompt --show" prints the smart generator's in full
+      this.logger.debug('📝 Chat options:', JSON.stringify({ ...chatOptions, ...(system && { system: `<${system.length} characters>` }) }, null, 2));
+      
+      const signal = withDeadline(options);
+      const result = await withRetry(
+        () => this.transport.createChat(chatOptions, { signal }),
+        this.retryOptions('Creating chat', options, signal, false)
+      );
+      
+      this.logger.info('✅ Success! Chat created with ID:', result.id);
+      return result;
+    } catch (error) {
+      if (!isAbortError(error)) this.logger.error('Error creating chat:', error);
+      throw toV0Error(error);
+    }
+  }
+
+  /**
+   * Create a chat for UI component generation
+   * @param {string} prompt - Component description
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Chat creation response
+   */
+  async createComponentChat(prompt, options = {}) {
+    const defaultSystem = "You are an expert React developer. Create modern, responsive components using Tailwind CSS. Follow best practices for accessibility and performance.";
+    
+    return this.createChat({
+      message: prompt,
+      system: options.system || defaultSystem,
+      modelConfiguration: {
+        modelId: options.modelId || this.defaultModel,
+        imageGenerations: options.imageGenerations || false,
+        thinking: options.thinking || false
+      },
+      responseMode: options.responseMode || 'sync',
+      chatPrivacy: options.chatPrivacy || 'private',
+      projectId: options.projectId,
+      designSystemId: options.designSystemId
+    });
+  }
+
+  /**
+   * Create a chat with file attachments
+   * @param {string} prompt - Chat prompt
+   * @param {Array<string>} fileUrls - URLs of the files to attach
+   * @param {Object} [options] - Additional createChat options
+   * @returns {Promise<Object>} Chat creation response
+   */
+  async createChatWithAttachments(prompt, fileUrls, options = {}) {
+    const attachments = fileUrls.map(url => ({ url }));
+    
+    return this.createChat({
+      message: prompt,
+      attachments,
+      ...options
+    });
+  }
+
+  /**
+   * Get chat details including generated files
+   * @param {string} chatId - The chat ID
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @param {Object|boolean} [options.retry] - Overrides the client's retry policy for this request
+   * @returns {Promise<Object>} Chat details with files
+   */
+  async getChat(chatId, options = {}) {
+    const signal = withDeadline(options);
+    
+    try {
+      this.logger.info(`🔍 Fetching chat details for ID: ${chatId}`);
+      
+      return await withRetry(
+        () => this.transport.getChat(chatId, { signal }),
+        this.retryOptions('Fetching chat', options, signal)
+      );
+    } catch (error) {
+      if (!isAbortError(error)) this.logger.error('Error fetching chat:', error);
+      throw toV0Error(error, { chatId });
+    }
+  }
+
+  /**
+   * Get a specific version of a chat including its files
+   * @param {string} chatId - The chat ID
+   * @param {string} versionId - The version ID
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @param {Object|boolean} [options.retry] - Overrides the client's retry policy for this request
+   * @returns {Promise<Object>} Version details with files
+   */
+  async getVersion(chatId, versionId, options = {}) {
+    const signal = withDeadline(options);
+    
+    try {
+      this.logger.info(`🔍 Fetching version ${versionId} of chat ${chatId}`);
+      return await withRetry(
+        () => this.transport.getVersion(chatId, versionId, { signal }),
+        this.retryOptions('Fetching version', options, signal)
+      );
+    } catch (error) {
+      if (!isAbortError(error)) this.logger.error('Error fetching version:', error);
+      throw toV0Error(error, { chatId });
+    }
+  }
+
+  /**
+   * List the versions of a chat, newest first
+   * @param {string} chatId - The chat ID
+   * @param {number} [limit=10] - Maximum number of versions to return
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @param {Object|boolean} [options.retry] - Overrides the client's retry policy for this request
+   * @returns {Promise<Array<{id: string, status: string, createdAt: string, fileCount: number, demoUrl: string}>>} Version summaries
+   */
+  async listVersions(chatId, limit = 10, options = {}) {
+    const signal = withDeadline(options);
+    
+    try {
+      this.logger.info(`📜 Fetching versions for chat: ${chatId}`);
+      
+      const response = await withRetry(
+        () => this.transport.findVersions(chatId, { limit, signal }),
+        this.retryOptions('Listing versions', options, signal)
+      );
+      const versions = response.data || [];
+      
+      // Version summaries don't include files, so fetch each one for its file count
+      return await Promise.all(versions.map(async (version) => {
+        const detail = await withRetry(
+          () => this.transport.getVersion(chatId, version.id, { signal }),
+          this.retryOptions('Fetching version', options, signal)
+        );
+        return {
+          id: version.id,
+          status: version.status,
+          createdAt: version.createdAt,
+          fileCount: (detail.files || []).length,
+          demoUrl: version.demoUrl
+        };
+      }));
+    } catch (error) {
+      if (!isAbortError(error)) this.logger.error('Error listing versions:', error);
+      throw toV0Error(error, { chatId });
+    }
+  }
+
+  /**
+   * Send a follow-up message to an existing chat
+   * @param {string} chatId - The chat ID
+   * @param {string} message - Required. The follow-up prompt
+   * @param {Object} [options] - Message options
+   * @param {Object} [options.modelConfiguration] - Model configuration (defaults to the chat's model)
+   * @param {Array} [options.attachments] - File attachments
+   * @param {string} [options.responseMode] - 'sync' or 'async' (returns before the new version is ready)
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @param {Object|boolean} [options.retry] - Overrides the client's retry policy for this request
+   * @returns {Promise<Object>} Updated chat details
+   */
+  async sendMessage(chatId, message, options = {}) {
+    const { modelConfiguration, attachments = [], responseMode } = options;
+
+    // Validate required fields
+    if (!chatId) {
+      throw new V0ValidationError('Chat ID is required to send a message');
+    }
+    if (!message) {
+      throw new V0ValidationError('Message is required to send a message', { chatId });
+    }
+
+    const messageOptions = {
+      message,
+      ...(modelConfiguration && { modelConfiguration }),
+      ...(attachments.length > 0 && { attachments }),
+      ...(responseMode && { responseMode })
+    };
+
+    try {
+      this.logger.info(`💬 Sending follow-up message to chat: ${chatId}`);
+      this.logger.debug('📝 Message options:', JSON.stringify(messageOptions, null, 2));
+      
+      const signal = withDeadline(options);
+      const result = await withRetry(
+        () => this.transport.sendMessage(chatId, messageOptions, { signal }),
+        this.retryOptions('Sending message', options, signal, false)
+      );
+      
+      this.logger.info('✅ Message sent! Latest version:', result.latestVersion?.id || 'pending');
+      return result;
+    } catch (error) {
+      if (!isAbortError(error)) this.logger.error('Error sending message:', error);
+      throw toV0Error(error, { chatId });
+    }
+  }
+
+  /**
+   * List your most recent chats
+   * @param {number} [limit=10] - Maximum number of chats to return
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @param {Object|boolean} [options.retry] - Overrides the client's retry policy for this request
+   * @returns {Promise<Array<Object>>} Chats, newest first
+   */
+  async listChats(limit = 10, options = {}) {
+    const signal = withDeadline(options);
+    
+    try {
+      const response = await withRetry(
+        () => this.transport.findChats({ limit, signal }),
+        this.retryOptions('Listing chats', options, signal)
+      );
+      return Array.isArray(response) ? response : response.data || response.chats || [];
+    } catch (error) {
+      if (!isAbortError(error)) this.logger.error('Error listing chats:', error);
+      throw toV0Error(error);
+    }
+  }
+
+  /**
+   * Resolve which version of a chat to use and extract its files
+   * An explicit version wins, then a pinned version, then the latest one
+   * @param {string} chatId - The chat ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.versionId] - Use this version instead of the latest (or pinned) one
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<{versionId: string, files: Array<{name: string, content: string}>}>} Version ID and files
+   */
+  async getGeneratedFiles(chatId, options = {}) {
+    const pinnedVersionId = getPinnedVersion(chatId);
+    const versionId = options.versionId || pinnedVersionId;
+    
+    let source;
+    if (versionId) {
+      if (!options.versionId) {
+        this.logger.info(`📌 Chat is pinned to version ${pinnedVersionId}`);
+      }
+      source = await this.getVersion(chatId, versionId, { signal: options.signal });
+    } else {
+      // Get chat details with files
+      source = await this.getChat(chatId, { signal: options.signal });
+    }
+    
+    this.logger.debug('🔍 Chat structure:', JSON.stringify(source, null, 2));
+    
+    // Try to get files from both possible locations
+    return {
+      versionId: versionId || source.latestVersion?.id,
+      files: extractFiles(source)
+    };
+  }
+
+  /**
+   * Preview a download without writing anything: prints a unified diff per file
+   * @param {string} chatId - The chat ID
+   * @param {string} outputDir - Output directory (default: './src/components')
+   * @param {Object} [options] - Preview options
+   * @param {string} [options.versionId] - Preview this version instead of the latest (or pinned) one
+   * @param {boolean} [options.plan=false] - Print the plan as JSON instead of diffs
+   * @param {Array<string|Object>} [options.routes] - Routing rules (default: routes from the project config)
+   * @param {string} [options.projectRoot] - Directory redirect targets are relative to (default: the config file's)
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @returns {Promise<Object>} Plan with create/modify/unchanged/skip/rejected per path
+   */
+  async previewGeneratedCode(chatId, outputDir = './src/components', options = {}) {
+    this.logger.info(`🔎 DRY RUN: Previewing generated code from chat: ${chatId} (nothing will be written)`);
+    
+    const { versionId, files } = await this.getGeneratedFiles(chatId, { ...options, signal: withDeadline(options) });
+    const plan = planGeneratedFiles(files, outputDir, { ...options, ...projectRouting(options) });
+    const result = formatPlan(plan, { chatId, versionId, outputDir });
+    
+    if (options.plan) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printPlanDiff(plan);
+      const { create, modify, unchanged, skip, rejected } = result.summary;
+      this.logger.info(`\n📋 Plan: ${create} to create, ${modify} to modify, ${unchanged} unchanged, ${skip} skipped, ${rejected} rejected`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Download and save generated files to local workspace
+   * @param {string} chatId - The chat ID
+   * @param {string} outputDir - Output directory (default: './src/components')
+   * @param {Object} [options] - Download options
+   * @param {boolean} [options.onlyChanged=false] - Only write files whose content changed
+   * @param {string} [options.versionId] - Download this version instead of the latest (or pinned) one
+   * @param {boolean} [options.merge=false] - Three-way merge local edits instead of overwriting them
+   * @param {string} [options.conflictStyle='markers'] - 'markers' or 'sidecar' (<file>.v0-incoming)
+   * @param {string} [options.prompt] - Prompt that produced the files, recorded in v0.lock.json
+   * @param {string} [options.modelId] - Model that produced the files, recorded in v0.lock.json
+   * @param {RunJournal} [options.journal] - Record into this journal instead of saving a run per download
+   * @param {string} [options.allowedRoot=outputDir] - Directory no generated file may escape
+   * @param {Array<string>} [options.allowedExtensions] - Extensions that may be written
+   * @param {Array<string|Object>} [options.routes] - Routing rules (default: routes from the project config)
+   * @param {string} [options.projectRoot] - Directory redirect targets are relative to (default: the config file's)
+   * @param {AbortSignal} [options.signal] - Cancels the download; once writing starts it always runs to completion
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @returns {Promise<Array>} Array of saved file paths; see downloadGeneratedFiles for the full outcome
+   */
+  async downloadGeneratedCode(chatId, outputDir = './src/components', options = {}) {
+    const report = await this.downloadGeneratedFiles(chatId, outputDir, options);
+    return report ? report.saved : [];
+  }
+
+  /**
+   * Download and save generated files, like downloadGeneratedCode, and report everything that happened to them
+   * Post-download hooks run after the files and index are written
+   * @param {string} chatId - The chat ID
+   * @param {string} outputDir - Output directory (default: './src/components')
+   * @param {Object} [options] - Download options, see downloadGeneratedCode
+   * @returns {Promise<Object|null>} { chatId, versionId, outputDir, runId, saved, unchanged, conflicts, rejected,
+   *   skipped }, or null when the version has no files
+   */
+  async downloadGeneratedFiles(chatId, outputDir = './src/components', options = {}) {
+    try {
+      this.logger.info(`📥 Downloading generated code from chat: ${chatId}`);
+      
+      const signal = withDeadline(options);
+      const { versionId, files } = await this.getGeneratedFiles(chatId, { ...options, signal });
+      
+      if (files.length === 0) {
+        this.logger.info('⚠️  No generated files found in this chat');
+        return null;
+      }
+      
+      // Last chance to cancel: a download is written as a whole or not at all
+      throwIfAborted(signal);
+      
+      // Snapshot everything this download touches so it can be undone
+      const journal = options.journal || new RunJournal({ chatId, versionId, outputDir, prompt: options.prompt });
+      
+      let report;
+      try {
+        const { saved: savedFiles, unchanged, conflicts, rejected, skipped } = writeGeneratedFiles(files, outputDir, {
+          ...options,
+          ...projectRouting(options),
+          label: `v0 ${versionId || chatId}`,
+          journal
+        });
+        report = { chatId, versionId, outputDir, runId: journal.runId, saved: savedFiles, unchanged, conflicts, rejected, skipped };
+        
+        if (unchanged.length > 0) {
+          this.logger.info(`⏭️  ${unchanged.length} files unchanged since the last download`);
+        }
+        
+        if (skipped.length > 0) {
+          this.logger.info(`⏭️  ${skipped.length} files skipped by routing rules`);
+        }
+        
+        if (savedFiles.length > 0) {
+          this.logger.info(`\n🎉 Successfully saved ${savedFiles.length} files to: ${outputDir}`);
+        
+          // Create index file for easy imports, leaving out files routed elsewhere
+          this.createIndexFile(outputDir, savedFiles.filter(file => !path.relative(outputDir, file).startsWith('..')), journal);
+        
+          for (const hook of this.postDownloadHooks) {
+            await hook({ client: this, chatId, versionId, outputDir, savedFiles, journal });
+          }
+        }
+        
+        // Record where every file came from, after any post-download fixes; a file left with conflict markers or
+        // a .v0-incoming sidecar isn't this version's output until it is resolved, so it keeps its old entry
+        const conflicted = new Set(conflicts.map(conflict => conflict.path));
+        updateLockfile(outputDir, [...savedFiles, ...unchanged].filter(file => !conflicted.has(file)), {
+          chatId,
+          versionId,
+          prompt: options.prompt,
+          model: options.modelId
+        }, journal);
+      } finally {
+        // Record the run even when a hook or the lockfile fails part-way, so undo can still restore the files
+        if (!options.journal) journal.save();
+      }
+      
+      printConflictSummary(report.conflicts);
+      printRejectedSummary(report.rejected);
+      
+      return report;
+      
+    } catch (error) {
+      if (!isAbortError(error)) this.logger.error('❌ Failed to download generated code:', error.message);
+      throw toV0Error(error, { chatId });
+    }
+  }
+  /**
+   * Report how the files recorded in v0.lock.json compare to disk and to v0
+   * @param {string} outputDir - Output directory (default: './src/components')
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @returns {Promise<Array<Object>>} One item per locked file with local ('clean', 'modified', 'missing'),
+   *   upstream ('current', 'outdated', 'missing', 'unknown'), latestVersionId and orphaned
+   */
+  async getStatus(outputDir = './src/components', options = {}) {
+    const signal = withDeadline(options);
+    const files = checkLocalState(outputDir);
+    const latestVersions = {};
+    
+    for (const chatId of new Set(files.map(file => file.entry.chatId))) {
+      try {
+        const chat = await this.getChat(chatId, { signal });
+        latestVersions[chatId] = { state: 'ok', versionId: chat.latestVersion?.id || null };
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        const missing = getErrorStatus(error) === 404;
+        latestVersions[chatId] = { state: missing ? 'missing' : 'unknown', versionId: null };
+      }
+    }
+    
+    return files.map(file => {
+      const latest = latestVersions[file.entry.chatId];
+      let upstream = latest.state === 'ok' ? 'current' : latest.state;
+      
+      if (latest.state === 'ok' && latest.versionId && latest.versionId !== file.entry.versionId) {
+        upstream = 'outdated';
+      }
+      
+      return {
+        ...file,
+        upstream,
+        latestVersionId: latest.versionId,
+        orphaned: file.local === 'missing' || upstream === 'missing'
+      };
+    });
+  }
+
+
+  /**
+   * Create or update the index file for easy imports
+   * Exports are parsed from each file and merged with the existing barrel (index.ts in TypeScript projects)
+   * @param {string} outputDir - Output directory
+   * @param {Array} savedFiles - Array of saved file paths
+   * @param {RunJournal} [journal] - Journal of the current run
+   */
+  createIndexFile(outputDir, savedFiles, journal) {
+    try {
+      const indexPath = writeBarrelFile(outputDir, savedFiles, journal);
+      
+      if (indexPath) {
+        this.logger.info(`📝 Updated index file: ${indexPath}`);
+      }
+    } catch (error) {
+      this.logger.error('⚠️  Failed to create index file:', error.message);
+    }
+  }
+
+  /**
+   * Wait for chat generation to complete and then download code
+   * @param {string} chatId - The chat ID
+   * @param {string} outputDir - Output directory
+   * @param {number} maxWaitTime - Maximum wait time in seconds (default: 180)
+   * @param {Object} [downloadOptions] - Options passed to downloadGeneratedCode
+   * @param {function(Object): (void|boolean)} [downloadOptions.onProgress] - Progress event handler
+   *   (default: CLI display); return false to stop waiting
+   * @param {AbortSignal} [downloadOptions.signal] - Cancels waiting and downloading when aborted
+   * @param {number} [downloadOptions.timeout] - Overall deadline in milliseconds for waiting and downloading
+   * @returns {Promise<Array>} Array of saved file paths; empty when onProgress stopped the wait or nothing could be downloaded
+   */
+  async waitAndDownload(chatId, outputDir = './src/components', maxWaitTime = 180, downloadOptions = {}) {
+    this.logger.info(`⏳ Waiting for chat generation to complete...`);
+    
+    const { onProgress, timeout, ...rest } = downloadOptions;
+    const options = { ...rest, signal: withDeadline(downloadOptions) };
+    const result = await waitForGeneration(this, chatId, { maxWaitTime, onProgress, signal: options.signal });
+    
+    if (result.type === 'completed') {
+      this.logger.info('\n✅ Generation completed! Downloading code...');
+      return await this.downloadGeneratedCode(chatId, outputDir, options);
+    } else if (result.type === 'failed') {
+      throw new V0GenerationFailedError('Generation failed', { chatId, versionId: result.versionId });
+    } else if (result.type === 'stopped') {
+      this.logger.info(`⏹️  Stopped waiting. Download later with: npm run download -- ${chatId}`);
+      return [];
+    }
+    
+    this.logger.info('\n⏰ Generation is taking longer than expected.');
+    this.logger.info('🔄 Attempting one final download...');
+    
+    // Try one final download attempt
+    try {
+      return await this.downloadGeneratedCode(chatId, outputDir, options);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      this.logger.info(`💡 You can manually download later using:`);
+      this.logger.info(`   npm run download -- ${chatId}`);
+      return [];
+    }
+  }
+
+  /**
+   * Watch a chat's generation as a stream of progress events
+   * Break out of the loop to stop waiting, e.g.
+   *   for await (const event of creator.watchGeneration(chatId)) { if (event.type === 'file') break; }
+   * @param {string} chatId - The chat ID
+   * @param {Object} [options] - Watch options (previousVersionId, maxWaitTime, interval, signal)
+   * @returns {AsyncGenerator<Object>} Progress events, see generation-progress.js
+   */
+  watchGeneration(chatId, options = {}) {
+    return watchGeneration(this, chatId, options);
+  }
+
+  /**
+   * Wait until a chat has a completed version newer than previousVersionId
+   * @param {string} chatId - The chat ID
+   * @param {string} previousVersionId - Version ID that was latest before the follow-up
+   * @param {number} maxWaitTime - Maximum wait time in seconds (default: 300)
+   * @param {Object} [options] - Wait options
+   * @param {function(Object): (void|boolean)} [options.onProgress] - Progress event handler (default: CLI display)
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @returns {Promise<Object>} Chat details with the new latestVersion
+   */
+  async waitForNewVersion(chatId, previousVersionId, maxWaitTime = 300, options = {}) {
+    this.logger.info(`⏳ Waiting for a new version of chat ${chatId}...`);
+    
+    const result = await waitForGeneration(this, chatId, {
+      ...options,
+      previousVersionId,
+      maxWaitTime,
+      signal: withDeadline(options)
+    });
+    
+    if (result.type === 'completed') {
+      this.logger.info(`✅ New version ready: ${result.versionId}`);
+      return result.chat;
+    } else if (result.type === 'failed') {
+      throw new V0GenerationFailedError(`Generation of version ${result.versionId} failed`, { chatId, versionId: result.versionId });
+    } else if (result.type === 'stopped') {
+      throw new V0Error(`Stopped waiting for a new version of chat ${chatId}`, { chatId });
+    }
+    
+    throw new V0TimeoutError(`Timed out after ${maxWaitTime}s waiting for a new version of chat ${chatId}`, {
+      chatId,
+      timeout: maxWaitTime * 1000
+    });
+  }
+
+  /**
+   * Refine an existing chat with a follow-up prompt and download the changed files
+   * @param {string} chatId - The chat ID to refine
+   * @param {string} prompt - Follow-up instructions, e.g. "now make the table sortable"
+   * @param {Object} options - Additional options
+   * @param {string} [options.outputDir='./src/components'] - Output directory
+   * @param {string} [options.modelId] - Override the chat's model for this message
+   * @param {number} [options.maxWaitTime=300] - Maximum wait time in seconds
+   * @param {boolean} [options.dryRun=false] - Print a diff of the new version instead of writing it
+   * @param {boolean} [options.plan=false] - Print the JSON plan instead of writing (implies dryRun)
+   * @param {boolean} [options.merge=false] - Three-way merge local edits instead of overwriting them
+   * @param {string} [options.conflictStyle='markers'] - 'markers' or 'sidecar'
+   * @param {string} [options.responseMode] - 'async' returns from the request right away and follows progress instead
+   * @param {function(Object): (void|boolean)} [options.onProgress] - Progress event handler (default: CLI display)
+   * @param {AbortSignal} [options.signal] - Cancels the refinement when aborted
+   * @param {number} [options.timeout] - Overall deadline in milliseconds
+   * @returns {Promise<Object>} Chat details with downloadedFiles, conflicts, rejectedFiles and runId (the run undo restores)
+   */
+  async refineAndDownload(chatId, prompt, options = {}) {
+    const outputDir = options.outputDir || './src/components';
+    const signal = withDeadline(options);
+    
+    this.logger.info('🔁 Refining existing chat...\n');
+    this.logger.info(`💬 Chat ID: ${chatId}`);
+    this.logger.info(`📝 Prompt: "${prompt}"`);
+    this.logger.info(`📁 Output: ${outputDir}\n`);
+    
+    const previous = await this.getChat(chatId, { signal });
+    const previousVersionId = previous.latestVersion?.id;
+    
+    let chat = await this.sendMessage(chatId, prompt, {
+      responseMode: options.responseMode,
+      signal,
+      ...(options.modelId && {
+        modelConfiguration: {
+          modelId: options.modelId,
+          imageGenerations: options.imageGenerations || false,
+          thinking: options.thinking || false
+        }
+      })
+    });
+    
+    const version = chat.latestVersion;
+    if (!version || version.id === previousVersionId || version.status !== 'completed') {
+      chat = await this.waitForNewVersion(chatId, previousVersionId, options.maxWaitTime || 300, {
+        onProgress: options.onProgress,
+        signal
+      });
+    }
+    
+    const pinnedVersionId = getPinnedVersion(chatId);
+    if (pinnedVersionId) {
+      this.logger.info(`📌 Note: chat is pinned to ${pinnedVersionId}; downloading the new version anyway`);
+    }
+    
+    if (options.dryRun || options.plan) {
+      chat.previousVersionId = previousVersionId;
+      chat.downloadPlan = await this.previewGeneratedCode(chatId, outputDir, {
+        versionId: chat.latestVersion.id,
+        plan: options.plan,
+        signal
+      });
+      chat.downloadedFiles = [];
+      chat.autoDownloadStatus = 'dry_run';
+      return chat;
+    }
+    
+    // Only rewrite the files this version actually changed
+    const report = await this.downloadGeneratedFiles(chatId, outputDir, {
+      onlyChanged: true,
+      versionId: chat.latestVersion.id,
+      merge: options.merge,
+      conflictStyle: options.conflictStyle,
+      prompt,
+      modelId: options.modelId,
+      signal
+    });
+    
+    chat.previousVersionId = previousVersionId;
+    chat.downloadedFiles = report?.saved || [];
+    chat.conflicts = report?.conflicts || [];
+    chat.rejectedFiles = report?.rejected || [];
+    chat.runId = report?.runId || null;
+    chat.autoDownloadStatus = chat.downloadedFiles.length > 0 ? 'success' : 'unchanged';
+    
+    return chat;
+  }
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  V0Client
+};
@@ -0,0 +1,223 @@
+/**
+ * V0 Errors
+ * Typed errors for v0 API calls, generations and downloads, plus the CLI exit code for each
+ */
+
+/**
+ * Base class of every error thrown by the creators
+ * status, requestId and chatId are null when they don't apply or aren't known
+ */
+class V0Error extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.requestId] - Request id reported by the API
+   * @param {string} [details.chatId] - Chat the operation was about
+   * @param {Error} [details.cause] - Original error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status ?? null;
+    this.requestId = details.requestId ?? null;
+    this.chatId = details.chatId ?? null;
+    this.cause = details.cause;
+  }
+}
+
+/** The API key was missing, invalid or not allowed to do this (401/403) */
+class V0AuthError extends V0Error {}
+
+/** Too many requests (429); retryAfter is in milliseconds when the API said how long to wait */
+class V0RateLimitError extends V0Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, plus retryAfter in milliseconds
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/** The request was rejected as invalid (400/422), or failed validation before it was sent */
+class V0ValidationError extends V0Error {}
+
+/** v0 finished the generation with status "failed" */
+class V0GenerationFailedError extends V0Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, plus versionId of the failed version
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.versionId = details.versionId ?? null;
+  }
+}
+
+/** The generation finished, but every attempt to download its files came back empty */
+class V0DownloadIncompleteError extends V0Error {}
+
+/** An overall deadline (--timeout / options.timeout) passed */
+class V0TimeoutError extends V0Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, plus timeout in milliseconds
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout ?? null;
+  }
+}
+
+/** Generated files arrived but could not be written to disk */
+class DownloadWriteError extends V0Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, plus path of the file that failed
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.path = details.path ?? null;
+  }
+}
+
+// Exit codes of the CLIs; 1 is anything else
+const EXIT_CODES = {
+  V0ValidationError: 2,
+  V0AuthError: 3,
+  V0RateLimitError: 4,
+  V0GenerationFailedError: 5,
+  DownloadWriteError: 6,
+  V0DownloadIncompleteError: 7,
+  V0TimeoutError: 124,
+  AbortError: 130
+};
+
+/**
+ * Find the HTTP status of a failed request
+ * The v0 SDK only puts it in the message ("HTTP 429: ..."); our own fetch calls set error.status
+ * @param {Error} error - Request error
+ * @returns {number|null} Status code, or null for network errors
+ */
+function getErrorStatus(error) {
+  if (!error) return null;
+  if (Number.isInteger(error.status)) return error.status;
+  if (Number.isInteger(error.statusCode)) return error.statusCode;
+
+  const match = /\b(?:HTTP|API error:|V0 API error:)\s*(\d{3})\b/.exec(error.message || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Read the Retry-After of a failed request
+ * @param {Error} error - Request error with retryAfter, or headers from the response
+ * @returns {number|null} Milliseconds to wait, or null when the server didn't say
+ */
+function getRetryAfter(error) {
+  if (error instanceof V0RateLimitError) return error.retryAfter;
+
+  const headers = error?.headers || error?.response?.headers;
+  const value = error?.retryAfter ?? (headers && (typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after']));
+
+  if (value === null || value === undefined || value === '') return null;
+
+  // Either delta-seconds or an HTTP date
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Find the request id of a failed request
+ * Taken from error.requestId (set from the x-request-id header by our own fetch calls)
+ * or from the JSON body the v0 SDK copies into the message
+ * @param {Error} error - Request error
+ * @returns {string|null} Request id
+ */
+function getRequestId(error) {
+  if (error?.requestId) return error.requestId;
+
+  const body = /^[^{]*(\{[\s\S]*\})\s*$/.exec(error?.message || '');
+  if (!body) return null;
+
+  try {
+    const data = JSON.parse(body[1]);
+    return data.requestId || data.request_id || data.error?.requestId || data.error?.request_id || null;
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Convert any error from an API call into a typed error
+ * Typed errors pass through (gaining the chat id if they lacked one); cancellation is returned unchanged
+ * @param {Error} error - Error thrown by the SDK, fetch or our own code
+ * @param {Object} [details] - Context
+ * @param {string} [details.chatId] - Chat the call was about
+ * @returns {Error} V0Error subclass, or the original AbortError
+ */
+function toV0Error(error, details = {}) {
+  if (error instanceof V0Error) {
+    if (!error.chatId && details.chatId) error.chatId = details.chatId;
+    return error;
+  }
+  if (error?.name === 'AbortError') return error;
+
+  const status = getErrorStatus(error);
+  const info = { status, requestId: getRequestId(error), chatId: details.chatId, cause: error };
+
+  if (error?.name === 'TimeoutError') {
+    return new V0TimeoutError(error.message, info);
+  }
+  if (status === 401 || status === 403) {
+    return new V0AuthError('Authentication failed. Please check your V0_API_KEY in the .env file', info);
+  }
+  if (status === 429) {
+    const retryAfter = getRetryAfter(error);
+    return new V0RateLimitError(
+      `Rate limited by the v0 API${retryAfter !== null ? `; retry after ${Math.ceil(retryAfter / 1000)}s` : ''}`,
+      { ...info, retryAfter }
+    );
+  }
+  if (status === 400 || status === 422) {
+    return new V0ValidationError('Bad request. Please check your prompt format or model configuration', info);
+  }
+  if (status === null && /network|fetch|ECONN|ENOTFOUND|ETIMEDOUT/i.test(error?.message || '')) {
+    return new V0Error('Network error. Please check your internet connection', info);
+  }
+
+  return new V0Error(error?.message || String(error), info);
+}
+
+/**
+ * Exit code for an error that ended a CLI command
+ * @param {Error} error - Any error
+ * @returns {number} Exit code from EXIT_CODES, or 1
+ */
+function getExitCode(error) {
+  if (!error) return 1;
+  return EXIT_CODES[error.name] || (error.name === 'TimeoutError' ? EXIT_CODES.V0TimeoutError : 1);
+}
+
+module.exports = {
+  V0Error,
+  V0AuthError,
+  V0RateLimitError,
+  V0ValidationError,
+  V0GenerationFailedError,
+  V0TimeoutError,
+  DownloadWriteError,
+  V0DownloadIncompleteError,
+  EXIT_CODES,
+  getErrorStatus,
+  getRetryAfter,
+  getRequestId,
+  toV0Error,
+  getExitCode
+};
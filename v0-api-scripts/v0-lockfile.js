@@ -0,0 +1,124 @@
+/**
+ * V0 Download Lockfile
+ * Records which chat, version and prompt produced every file in an output directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getLogger } = require('./logger');
+
+const logger = getLogger();
+
+const LOCKFILE_NAME = 'v0.lock.json';
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Hash file content the same way for every lockfile entry
+ * @param {string} content - File content
+ * @returns {string} Content hash, e.g. "sha256-ab12..."
+ */
+function hashContent(content) {
+  return `sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('hex')}`;
+}
+
+/**
+ * Read the lockfile of an output directory
+ * @param {string} outputDir - Output directory
+ * @returns {{lockfileVersion: number, files: Object<string, Object>}} Lockfile, empty when none exists yet
+ */
+function readLockfile(outputDir) {
+  const lockPath = path.join(outputDir, LOCKFILE_NAME);
+  if (!fs.existsSync(lockPath)) {
+    return { lockfileVersion: LOCKFILE_VERSION, files: {} };
+  }
+
+  const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  return { lockfileVersion: LOCKFILE_VERSION, ...lock, files: lock.files || {} };
+}
+
+/**
+ * Write the lockfile with entries sorted by path so diffs stay readable
+ * @param {string} outputDir - Output directory
+ * @param {Object} lock - Lockfile contents
+ */
+function writeLockfile(outputDir, lock) {
+  const files = {};
+  Object.keys(lock.files).sort().forEach(key => {
+    files[key] = lock.files[key];
+  });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(outputDir, LOCKFILE_NAME),
+    JSON.stringify({ ...lock, lockfileVersion: LOCKFILE_VERSION, files }, null, 2) + '\n',
+    'utf8'
+  );
+}
+
+/**
+ * Record the provenance of files that were just written
+ * Hashes are taken from disk, so post-download fixes (e.g. import rewrites) are included
+ * @param {string} outputDir - Output directory
+ * @param {Array<string>} filePaths - Written or confirmed-unchanged file paths; leave out files with unresolved
+ *   merge conflicts, which aren't the recorded version's output
+ * @param {Object} meta - Provenance for these files
+ * @param {string} meta.chatId - Chat that produced the files
+ * @param {string} [meta.versionId] - Version that produced the files
+ * @param {string} [meta.prompt] - Prompt sent to v0 (kept from the previous entry when omitted)
+ * @param {string} [meta.model] - Model used (kept from the previous entry when omitted)
+ * @param {RunJournal} [journal] - Journal of the current run
+ */
+function updateLockfile(outputDir, filePaths, meta, journal) {
+  if (filePaths.length === 0) return;
+
+  const lock = readLockfile(outputDir);
+  const downloadedAt = new Date().toISOString();
+
+  filePaths.forEach(filePath => {
+    const key = path.relative(outputDir, filePath).split(path.sep).join('/');
+    const previous = lock.files[key]?.chatId === meta.chatId ? lock.files[key] : {};
+
+    lock.files[key] = {
+      chatId: meta.chatId,
+      versionId: meta.versionId || null,
+      prompt: meta.prompt || previous.prompt || null,
+      model: meta.model || previous.model || null,
+      hash: hashContent(fs.readFileSync(filePath, 'utf8')),
+      downloadedAt
+    };
+  });
+
+  if (journal) journal.track(path.join(outputDir, LOCKFILE_NAME));
+  writeLockfile(outputDir, lock);
+  logger.info(`🔒 Updated ${LOCKFILE_NAME} (${filePaths.length} entries)`);
+}
+
+/**
+ * Compare every locked file with what is on disk
+ * @param {string} outputDir - Output directory
+ * @returns {Array<{path: string, entry: Object, local: string}>} One item per locked file where local is
+ *   'clean', 'modified' (edited since download) or 'missing'
+ */
+function checkLocalState(outputDir) {
+  const lock = readLockfile(outputDir);
+
+  return Object.entries(lock.files).map(([key, entry]) => {
+    const filePath = path.join(outputDir, key);
+    let local = 'missing';
+
+    if (fs.existsSync(filePath)) {
+      local = hashContent(fs.readFileSync(filePath, 'utf8')) === entry.hash ? 'clean' : 'modified';
+    }
+
+    return { path: key, entry, local };
+  });
+}
+
+module.exports = {
+  LOCKFILE_NAME,
+  hashContent,
+  readLockfile,
+  updateLockfile,
+  checkLocalState
+};
@@ -1,105 +1,208 @@
 /**
  * V0 System Prompt Template for Backend-Compatible Components
  * Use this system prompt to ensure all generated components integrate seamlessly with your backend
+ *
+ * The prompts are templates: endpoints, interfaces, metrics, roles and import aliases are filled in from the
+ * backend contract (backend-contract.js), so another project only has to change the contract
+ *
+ * CommonJS; ESM code imports the same exports through v0-system-prompts.mjs
  */
 
-export const BACKEND_COMPATIBLE_SYSTEM_PROMPT = `
-You are an expert React.js and TypeScript developer specializing in creating components that integrate seamlessly with existing backend systems.
-
-CRITICAL REQUIREMENTS - ALWAYS FOLLOW THESE:
-
-1. IMPORT STRUCTURE:
-   - Use "@/components/ui/" for all UI components (Button, Card, Input, etc.)
-   - Use "@/lib/supabase/client" for client-side Supabase operations
-   - Use "@/lib/supabase/server" for server-side Supabase operations  
-   - Use "@/lib/api/client" for standardized API calls
-   - Use "@/components/" for other components
-
-2. API INTEGRATION:
-   - ALWAYS use these exact API endpoints:
-     * POST /api/analytics/query - for executing analytics queries
-     * POST /api/analytics/save-query - for saving queries
-     * GET /api/analytics/saved-queries - for fetching saved queries
-     * GET /api/admin/users - for user management (admin only)
-   
-   - ALWAYS use this QueryConfig interface:
-     interface QueryConfig {
-       metrics: string[];
-       filters: Array<{ id: string; field: string; operator: string; value: string }>;
-       groupBy: string[];
-       dateRange: { start: string; end: string };
-     }
-
-3. AVAILABLE METRICS (use these exact values):
-   - sentiment_score (number 0-100)
-   - non_talk_percentage (percentage 0-100) 
-   - cross_talk_percentage (percentage 0-100)
-   - agent_talk_percentage (percentage 0-100)
-   - mobile_pitch_expressed (boolean)
-   - branded_greeting_used (boolean)
-   - cost_disclosure_compliant (boolean)
-   - customer_satisfaction_score (number 1-5)
-
-4. AUTHENTICATION PATTERN:
-   - ALWAYS check authentication with:
-     const supabase = createClient()
-     const { data: { user } } = await supabase.auth.getUser()
-   
-   - For user profiles:
-     const { data: profile } = await supabase.from('users').select('*').eq('id', user.id).single()
-
-5. ROLE-BASED ACCESS:
-   - Use RoleGuard component for permission-based features
-   - Available roles: admin, analyst, query_builder
-   - Permissions: canViewAnalytics, canCreateQueries, canSaveQueries, canShareQueries, canExportData, canManageUsers
-
-6. ERROR HANDLING:
-   - ALWAYS include proper error handling for API calls
-   - Show user-friendly error messages
-   - Use try/catch blocks for async operations
-
-7. STYLING:
-   - Use Tailwind CSS classes
-   - Follow the existing design system with primary colors and consistent spacing
-   - Ensure responsive design (mobile-first approach)
-
-8. COMPONENT STRUCTURE:
-   - Use TypeScript for all components
-   - Include proper prop types and interfaces
-   - Use Next.js 13+ app directory conventions
-   - Include "use client" directive for client components
-
-9. DATA FETCHING:
-   - Use React hooks (useState, useEffect) for state management
-   - Implement loading states and error states
-   - Use proper TypeScript types for all data
-
-10. BACKEND COMPATIBILITY:
-    - Components must work with Supabase authentication
-    - Must integrate with existing PostgreSQL schema
-    - Must use existing API routes without modification
-    - Must respect Row Level Security (RLS) policies
-
-EXAMPLE API CALL PATTERN:
+const { DEFAULT_BACKEND_CONTRACT, normalizeRoute, normalizeImportPath, normalizeMetric } = require('./backend-contract');
+const { renderTemplate } = require('./prompt-template');
+
+/**
+ * The backend system prompt, one template per section. Titled sections are numbered in order; priority
+ * decides which sections go first when a prompt exceeds its token budget (see prompt-budget.js). A section whose
+ * requires lists a variable the contract leaves empty is left out, like any section that renders empty
+ */
+const BACKEND_PROMPT_SECTIONS = [
+  {
+    name: 'intro',
+    priority: 'required',
+    template: `You are an expert React.js and TypeScript developer specializing in creating components that integrate seamlessly with existing backend systems.
+
+CRITICAL REQUIREMENTS - ALWAYS FOLLOW THESE:`
+  },
+  {
+    name: 'imports',
+    title: 'IMPORT STRUCTURE',
+    priority: 'high',
+    template: '{{importPaths}}'
+  },
+  {
+    name: 'api',
+    title: 'API INTEGRATION',
+    priority: 'required',
+    requires: ['apiEndpoints'],
+    template: `- ALWAYS use these exact API endpoints:
+  {{apiEndpoints}}`
+  },
+  {
+    name: 'interfaces',
+    title: 'TYPESCRIPT INTERFACES',
+    priority: 'required',
+    requires: ['interfaces'],
+    template: `- ALWAYS use these interfaces:
+  {{interfaces}}`
+  },
+  {
+    name: 'metrics',
+    title: 'AVAILABLE METRICS (use these exact values)',
+    priority: 'high',
+    template: '{{metrics}}'
+  },
+  {
+    name: 'auth',
+    title: 'AUTHENTICATION PATTERN',
+    priority: 'high',
+    requires: ['authCheck'],
+    template: `- ALWAYS check authentication with:
+  {{authClientImport}}
+  {{authClientSetup}}
+  {{authCheck}}
+
+- Load the user's profile with: {{profileQuery}}`
+  },
+  {
+    name: 'roles',
+    title: 'ROLE-BASED ACCESS',
+    priority: 'high',
+    requires: ['roles'],
+    template: `- Use RoleGuard component for permission-based features
+- Available roles: {{roles}}
+- Permissions: {{permissions}}`
+  },
+  {
+    name: 'errors',
+    title: 'ERROR HANDLING',
+    priority: 'medium',
+    template: `- ALWAYS include proper error handling for API calls
+- Show user-friendly error messages
+- Use try/catch blocks for async operations`
+  },
+  {
+    name: 'styling',
+    title: 'STYLING',
+    priority: 'low',
+    template: `- Use Tailwind CSS classes
+- Follow the existing design system with primary colors and consistent spacing
+- Ensure responsive design (mobile-first approach)`
+  },
+  {
+    name: 'structure',
+    title: 'COMPONENT STRUCTURE',
+    priority: 'medium',
+    template: `- Use TypeScript for all components
+- Include proper prop types and interfaces
+- Use Next.js 13+ app directory conventions
+- Include "use client" directive for client components`
+  },
+  {
+    name: 'dataFetching',
+    title: 'DATA FETCHING',
+    priority: 'low',
+    template: `- Use React hooks (useState, useEffect) for state management
+- Implement loading states and error states
+- Use proper TypeScript types for all data`
+  },
+  {
+    name: 'compatibility',
+    title: 'BACKEND COMPATIBILITY',
+    priority: 'medium',
+    template: `- Components must work with {{authProvider}} authentication
+- Must integrate with the existing {{databaseEngine}} schema (tables: {{tables}})
+- Must use existing API routes without modification
+- Must respect {{databasePolicies}} policies`
+  },
+  {
+    name: 'example',
+    priority: 'low',
+    template: '{{apiExample}}'
+  },
+  {
+    name: 'reminder',
+    priority: 'required',
+    template: 'Remember: Generated components MUST integrate seamlessly with the existing {{projectName}} backend without requiring API modifications.'
+  }
+];
+
+const DOMAIN_CONTEXT_TEMPLATE = `DOMAIN CONTEXT: {{domainTitle}}
+
+{{domainDescription}}`;
+
+const CLOSING = 'Generate professional, production-ready components that integrate seamlessly with the existing backend infrastructure.';
+
+/**
+ * Turn a backend contract into the values of the template variables
+ * Keys the contract leaves out or empty give empty values, which leave their lines and sections out of the prompts
+ * @param {Object} [contract=DEFAULT_BACKEND_CONTRACT] - Backend contract
+ * @returns {Object<string, string>} Value per variable name (see the README for the list)
+ */
+function getPromptVariables(contract = DEFAULT_BACKEND_CONTRACT) {
+  const routes = (contract.requiredApiRoutes || []).map(normalizeRoute);
+  const metrics = (contract.metrics || []).map(normalizeMetric);
+  const interfaces = Object.entries(contract.requiredInterfaces || {});
+  const { domain = {}, database = {}, supabasePatterns = {} } = contract;
+
+  return {
+    projectName: contract.projectName || '',
+    domainTitle: domain.title || '',
+    domainDescription: domain.description || '',
+    importPaths: (contract.standardImportPaths || []).map(normalizeImportPath)
+      .map(({ path, use }) => `- Use "${path}"${use ? ` for ${use}` : ''}`).join('\n'),
+    apiEndpoints: routes.map(({ method, path, description }) =>
+      `* ${method ? `${method} ` : ''}${path}${description ? ` - for ${description}` : ''}`).join('\n'),
+    interfaces: interfaces.map(([name, fields]) => [
+      `interface ${name} {`,
+      ...Object.entries(fields).map(([field, type]) =>
+        type.endsWith('?') ? `  ${field}?: ${type.slice(0, -1)};` : `  ${field}: ${type};`),
+      '}'
+    ].join('\n')).join('\n'),
+    interfaceNames: interfaces.map(([name]) => name).join(', '),
+    metrics: metrics.map(({ name, description }) => `- ${name}${description ? ` (${description})` : ''}`).join('\n'),
+    metricNames: metrics.map(({ name }) => name).join(', '),
+    roles: (contract.roles || []).join(', '),
+    permissions: (contract.permissions || []).join(', '),
+    tables: (contract.requiredTables || []).join(', '),
+    databaseEngine: database.engine || '',
+    databasePolicies: database.rowLevelSecurity ? 'Row Level Security (RLS)' : '',
+    authProvider: contract.authProvider || '',
+    authClientImport: supabasePatterns.clientImport || '',
+    authClientSetup: supabasePatterns.clientSetup || '',
+    authCheck: supabasePatterns.authCheck || '',
+    profileQuery: supabasePatterns.profileQuery || '',
+    apiExample: formatApiExample(routes.find(route => route.method && route.input))
+  };
+}
+
+/**
+ * Example call of a contract route, for the system prompt
+ * @param {Object} [route] - Normalized route with a method and an input interface
+ * @returns {string} Example section, or '' without a route
+ */
+function formatApiExample(route) {
+  if (!route) return '';
+
+  return `EXAMPLE API CALL PATTERN:
 \`\`\`typescript
-const handleRunQuery = async (config: QueryConfig) => {
+const handleRequest = async (payload: ${route.input}) => {
   setIsLoading(true)
   setError(null)
   
   try {
-    const response = await fetch('/api/analytics/query', {
-      method: 'POST',
+    const response = await fetch('${route.path}', {
+      method: '${route.method}',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(config),
+      body: JSON.stringify(payload),
     })
     
-    const result = await response.json()
+    const result${route.output ? `: ${route.output}` : ''} = await response.json()
     
     if (result.success) {
       setData(result.data)
-      setTotalRecords(result.totalRecords)
     } else {
-      setError(result.error || 'Query failed')
+      setError(result.error || 'Request failed')
     }
   } catch (err) {
     setError('Network error occurred')
@@ -107,50 +210,100 @@ const handleRunQuery = async (config: QueryConfig) => {
     setIsLoading(false)
   }
 }
-\`\`\`
-
-Remember: Generated components MUST integrate seamlessly with the existing Query Engine Studio backend without requiring API modifications.
-`;
-
-export const QUERY_ENGINE_CONTEXT = `
-DOMAIN CONTEXT: Call Center Analytics Query Engine Studio
+\`\`\``;
+}
 
-You are building components for a post-call analytics system used by:
-- Speech analysts who analyze call quality and compliance
-- Query builders who create custom analytics reports  
-- Administrators who manage users and system settings
+/**
+ * Render a prompt template (a component context, hint or complete system prompt) with a contract
+ * @param {string} template - Text with {{variable}} placeholders
+ * @param {Object} [contract=DEFAULT_BACKEND_CONTRACT] - Backend contract
+ * @param {string} [source] - What is being rendered, for error messages
+ * @returns {string} Rendered text
+ * @throws {V0ValidationError} When the template uses an unknown variable
+ */
+function renderPromptTemplate(template, contract = DEFAULT_BACKEND_CONTRACT, source) {
+  return renderTemplate(template, getPromptVariables(contract), source);
+}
 
-The system analyzes call center agent behaviors including:
-- Sentiment scoring (positive/negative on 0-100 scale)
-- Talk time analysis (non-talk %, cross-talk %, agent talk %)
-- Compliance tracking (mobile pitch, branded greeting, cost disclosure)
-- Customer satisfaction and call resolution metrics
+/**
+ * Join system prompt sections, numbering the titled ones ("1. IMPORT STRUCTURE:") in order
+ * Sections left out (e.g. trimmed to fit a budget) don't leave gaps in the numbering
+ * @param {Array<{title: ?string, text: string}>} sections - Sections to join
+ * @returns {string} System prompt
+ */
+function assembleSystemPrompt(sections) {
+  let number = 0;
+  return sections.map(section => {
+    if (!section.title) return section.text;
+    number++;
+    return `${number}. ${section.title}:\n${section.text.split('\n').map(line => line && `   ${line}`).join('\n')}`;
+  }).join('\n\n');
+}
 
-All components should reflect this professional call center analytics context.
-`;
+/**
+ * Remove the indentation all lines of a text share, and the blank lines around it
+ * @param {string} text - Text such as a component context written as an indented template literal
+ * @returns {string} Text
+ */
+function dedent(text) {
+  const lines = text.replace(/^\s*\n|\s+$/g, '').split('\n');
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length));
+  return lines.map(line => line.slice(Math.min(indent, line.match(/^[ \t]*/)[0].length))).join('\n');
+}
 
-// Helper function to generate the complete system prompt
-export function generateSystemPrompt(additionalContext = '') {
-  return `${BACKEND_COMPATIBLE_SYSTEM_PROMPT}
+/**
+ * Render the sections of the complete system prompt: the backend requirements and domain context of a
+ * contract, then a component's own context. Sections that render empty, or need a value the contract doesn't
+ * define, are left out
+ * @param {string} [additionalContext=''] - Component context, already rendered (see renderPromptTemplate)
+ * @param {Object} [contract=DEFAULT_BACKEND_CONTRACT] - Backend contract
+ * @returns {Array<{name: string, title: ?string, priority: string, text: string}>} Sections, in prompt order
+ */
+function buildSystemPromptSections(additionalContext = '', contract = DEFAULT_BACKEND_CONTRACT) {
+  const variables = getPromptVariables(contract);
+  const render = ({ name, title = null, priority, requires = [], template }) => {
+    const text = renderTemplate(template, variables, `the "${name}" section of the system prompt`).trim();
+    return { name, title, priority, text: requires.every(variable => variables[variable]) ? text : '' };
+  };
 
-${QUERY_ENGINE_CONTEXT}
+  return [
+    ...BACKEND_PROMPT_SECTIONS.map(render),
+    render({ name: 'domain', priority: 'medium', requires: ['domainDescription'], template: DOMAIN_CONTEXT_TEMPLATE }),
+    { name: 'context', title: null, priority: 'required', text: dedent(additionalContext) },
+    { name: 'closing', title: null, priority: 'required', text: CLOSING }
+  ].filter(section => section.text);
+}
 
-${additionalContext}
+// The templates as a whole, and the shared prompts rendered with Query Engine Studio's contract
+const BACKEND_SYSTEM_PROMPT_TEMPLATE = assembleSystemPrompt(
+  BACKEND_PROMPT_SECTIONS.map(section => ({ ...section, text: section.template }))
+);
+const BACKEND_COMPATIBLE_SYSTEM_PROMPT = assembleSystemPrompt(
+  buildSystemPromptSections().filter(section => BACKEND_PROMPT_SECTIONS.some(backend => backend.name === section.name))
+);
+const QUERY_ENGINE_CONTEXT = renderPromptTemplate(DOMAIN_CONTEXT_TEMPLATE);
 
-Generate professional, production-ready components that integrate seamlessly with the existing backend infrastructure.`;
+/**
+ * Generate the complete system prompt, untrimmed (see fitPromptToBudget in prompt-budget.js for a budget)
+ * @param {string} [additionalContext=''] - Component context, already rendered (see renderPromptTemplate)
+ * @param {Object} [contract=DEFAULT_BACKEND_CONTRACT] - Backend contract
+ * @returns {string} System prompt
+ */
+function generateSystemPrompt(additionalContext = '', contract = DEFAULT_BACKEND_CONTRACT) {
+  return assembleSystemPrompt(buildSystemPromptSections(additionalContext, contract));
 }
 
-// Predefined prompts for common component types
-export const COMPONENT_PROMPTS = {
-  dashboard: generateSystemPrompt(`
+// What each predefined component type asks for on top of the shared prompt (templates, see renderPromptTemplate)
+const COMPONENT_CONTEXTS = {
+  dashboard: `
     Create a comprehensive analytics dashboard with:
-    - Key metrics cards showing total calls, active agents, avg sentiment, compliance rate
+    - Key metrics cards for {{metricNames}}
     - Query builder interface for custom analytics
     - Results display with table and chart views
     - Role-based navigation and permissions
-  `),
+  `,
   
-  queryBuilder: generateSystemPrompt(`
+  queryBuilder: `
     Create an advanced query builder component with:
     - Metric selection with checkboxes for all available metrics
     - Dynamic filter builder with field/operator/value selection
@@ -158,9 +311,9 @@ export const COMPONENT_PROMPTS = {
     - Date range picker
     - Save/load query functionality
     - Query validation and error handling
-  `),
+  `,
   
-  resultsTable: generateSystemPrompt(`
+  resultsTable: `
     Create a data results table component with:
     - Sortable columns
     - Pagination for large datasets
@@ -168,31 +321,83 @@ export const COMPONENT_PROMPTS = {
     - Filtering and search capabilities
     - Loading and error states
     - Responsive design for mobile
-  `),
+  `,
   
-  analyticsCharts: generateSystemPrompt(`
+  analyticsCharts: `
     Create interactive analytics charts with:
     - Multiple chart types (bar, line, pie)
-    - Sentiment score visualization
-    - Compliance metrics display
-    - Talk time breakdowns
+    - Visualizations of the available metrics ({{metricNames}})
     - Responsive chart sizing
     - Export chart functionality
-  `),
+  `,
   
-  userManagement: generateSystemPrompt(`
+  userManagement: `
     Create user management interface with:
     - User list with role and department info
     - Add/edit/delete user functionality
-    - Role assignment (admin, analyst, query_builder)
+    - Role assignment ({{roles}})
     - Department management
     - Permission-based access controls
-  `)
+  `,
+  
+  authentication: `
+    Create authentication components with:
+    - Sign in and sign up forms
+    - Use {{authProvider}} auth ({{authClientImport}})
+    - Password reset flow
+    - Field validation and clear error messages
+    - Redirect to the dashboard after a successful sign in
+    - Loading states while requests are in flight
+  `,
+  
+  navigation: `
+    Create navigation components with:
+    - Header and/or sidebar with links to the application's pages
+    - Links filtered by the user's role ({{roles}})
+    - Active route highlighting
+    - Collapsible mobile menu
+    - User menu with sign out
+  `,
+  
+  forms: `
+    Create form components with:
+    - Typed form state matching the backend interfaces ({{interfaceNames}})
+    - Field-level validation and error messages
+    - Submission to the matching API endpoint
+    - Loading, success and error states
+    - Accessible labels and keyboard navigation
+  `
 };
 
+// Backend integration hint appended to the user's prompt, per component type (templates too)
+const INTEGRATION_HINTS = {
+  dashboard: 'Ensure the dashboard integrates with the existing {{projectName}} API endpoints and displays real data from them.',
+  queryBuilder: 'Make sure the query builder uses the backend\'s interfaces ({{interfaceNames}}) and only the available metrics.',
+  resultsTable: 'The table should work with the API response format and support all query result types.',
+  analyticsCharts: 'Charts should visualize the metrics the API provides ({{metricNames}}).',
+  userManagement: 'User management should integrate with {{authProvider}} auth and the backend\'s role permissions.',
+  authentication: 'Authentication should use {{authProvider}} auth and load the signed-in user\'s role.',
+  navigation: 'Navigation should only show the pages the signed-in user\'s role can access.',
+  forms: 'Forms should submit to the backend API using its TypeScript interfaces.'
+};
+
+// Predefined prompts for common component types, rendered with Query Engine Studio's contract
+const COMPONENT_PROMPTS = Object.fromEntries(
+  Object.entries(COMPONENT_CONTEXTS).map(([componentType, context]) => [componentType, generateSystemPrompt(renderPromptTemplate(context))])
+);
+
 module.exports = {
+  BACKEND_PROMPT_SECTIONS,
+  BACKEND_SYSTEM_PROMPT_TEMPLATE,
+  DOMAIN_CONTEXT_TEMPLATE,
   BACKEND_COMPATIBLE_SYSTEM_PROMPT,
   QUERY_ENGINE_CONTEXT,
+  getPromptVariables,
+  renderPromptTemplate,
+  assembleSystemPrompt,
+  buildSystemPromptSections,
   generateSystemPrompt,
-  COMPONENT_PROMPTS
+  COMPONENT_CONTEXTS,
+  COMPONENT_PROMPTS,
+  INTEGRATION_HINTS
 };
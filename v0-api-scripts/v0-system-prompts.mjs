@@ -0,0 +1,24 @@
+/**
+ * V0 System Prompts - ES module entry
+ * Re-exports v0-system-prompts.js so ESM tooling can `import` the prompt library the CLI `require`s
+ */
+
+import prompts from './v0-system-prompts.js';
+
+export const {
+  BACKEND_PROMPT_SECTIONS,
+  BACKEND_SYSTEM_PROMPT_TEMPLATE,
+  DOMAIN_CONTEXT_TEMPLATE,
+  BACKEND_COMPATIBLE_SYSTEM_PROMPT,
+  QUERY_ENGINE_CONTEXT,
+  getPromptVariables,
+  renderPromptTemplate,
+  assembleSystemPrompt,
+  buildSystemPromptSections,
+  generateSystemPrompt,
+  COMPONENT_CONTEXTS,
+  COMPONENT_PROMPTS,
+  INTEGRATION_HINTS
+} = prompts;
+
+export default prompts;
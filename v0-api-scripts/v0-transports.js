@@ -0,0 +1,154 @@
+/**
+ * V0 Transports
+ * The wire layer of V0Client: the official v0-sdk or raw HTTP against the v0 REST API
+ *
+ * A transport is any object with these methods, each taking { signal } as its last argument
+ * and returning the parsed API response:
+ *   createChat(body)                      - POST /chats
+ *   getChat(chatId)                       - GET  /chats/:chatId
+ *   sendMessage(chatId, body)             - POST /chats/:chatId/messages
+ *   findVersions(chatId, { limit })       - GET  /chats/:chatId/versions
+ *   getVersion(chatId, versionId)         - GET  /chats/:chatId/versions/:versionId
+ *   findChats({ limit })                  - GET  /chats
+ * Failed requests reject with an error whose status (or "HTTP <status>" message) the retry policy understands.
+ * Retries, deadlines and typed errors are handled by V0Client, not here.
+ */
+
+const { v0, createClient } = require('v0-sdk');
+const { abortable } = require('./cancellation');
+const { getLogger } = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://api.v0.app';
+
+/**
+ * Transport backed by the official v0-sdk
+ * The SDK can't cancel a request itself, so callers stop waiting for it when the signal aborts
+ * @param {Object} [options] - Transport options
+ * @param {string} [options.apiKey] - API key (default: V0_API_KEY, which the SDK reads itself)
+ * @param {Logger} [options.logger] - Traces every call
+ * @returns {Object} Transport
+ */
+function createSdkTransport(options = {}) {
+  const { apiKey, logger = getLogger() } = options;
+  // The shared client reads V0_API_KEY; only build a dedicated one for a different key
+  const client = apiKey && apiKey !== process.env.V0_API_KEY ? createClient({ apiKey }) : v0;
+
+  /**
+   * Call one SDK method
+   * @param {string} method - Name of the v0.chats method
+   * @param {Object} params - Its parameters
+   * @param {AbortSignal} [signal] - Stops waiting for the call
+   * @returns {Promise<Object>} SDK response
+   */
+  function call(method, params, signal) {
+    logger.trace(`➡️  v0.chats.${method}`, params.chatId || '');
+    return abortable(client.chats[method](params), signal);
+  }
+
+  return {
+    name: 'sdk',
+    createChat: (body, { signal } = {}) => call('create', body, signal),
+    getChat: (chatId, { signal } = {}) => call('getById', { chatId }, signal),
+    sendMessage: (chatId, body, { signal } = {}) => call('sendMessage', { chatId, ...body }, signal),
+    findVersions: (chatId, { limit, signal } = {}) =>
+      call('findVersions', { chatId, ...(limit && { limit: String(limit) }) }, signal),
+    getVersion: (chatId, versionId, { signal } = {}) => call('getVersion', { chatId, versionId }, signal),
+    findChats: ({ limit, signal } = {}) => call('find', { ...(limit && { limit }) }, signal)
+  };
+}
+
+/**
+ * Transport that calls the v0 REST API with fetch
+ * Unlike the SDK it cancels requests for real and keeps Retry-After and the request id of failed calls
+ * @param {Object} [options] - Transport options
+ * @param {string} [options.apiKey=process.env.V0_API_KEY] - API key
+ * @param {string} [options.baseUrl='https://api.v0.app'] - API base URL
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation
+ * @param {Logger} [options.logger] - Traces every request and response status
+ * @returns {Object} Transport
+ */
+function createHttpTransport(options = {}) {
+  const {
+    apiKey = process.env.V0_API_KEY,
+    baseUrl = DEFAULT_BASE_URL,
+    fetch = globalThis.fetch,
+    logger = getLogger()
+  } = options;
+
+  if (typeof fetch !== 'function') {
+    throw new Error('The http transport needs a fetch implementation (Node 18+ or options.fetch)');
+  }
+
+  /**
+   * Send one request
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [request] - Request details
+   * @param {Object} [request.body] - JSON body
+   * @param {Object} [request.query] - Query parameters
+   * @param {AbortSignal} [request.signal] - Cancels the request
+   * @returns {Promise<Object>} Parsed response
+   */
+  async function request(method, path, { body, query, signal } = {}) {
+    const queryString = query ? `?${new URLSearchParams(query).toString()}` : '';
+    logger.trace(`➡️  ${method} ${path}${queryString}`);
+    const response = await fetch(`${baseUrl}${path}${queryString}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      ...(body && { body: JSON.stringify(body) }),
+      signal
+    });
+    logger.trace(`⬅️  ${response.status} ${method} ${path}`);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => null);
+      const error = new Error(
+        `V0 API error: ${response.status} ${response.statusText}${
+          errorData ? ` - ${JSON.stringify(errorData)}` : ''
+        }`
+      );
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      error.requestId = response.headers.get('x-request-id');
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  // IDs come from the command line and history files, so they are encoded rather than trusted to be URL-safe
+  return {
+    name: 'http',
+    createChat: (body, { signal } = {}) => request('POST', '/chats', { body, signal }),
+    getChat: (chatId, { signal } = {}) => request('GET', `/chats/${encodeURIComponent(chatId)}`, { signal }),
+    sendMessage: (chatId, body, { signal } = {}) => request('POST', `/chats/${encodeURIComponent(chatId)}/messages`, { body, signal }),
+    findVersions: (chatId, { limit, signal } = {}) =>
+      request('GET', `/chats/${encodeURIComponent(chatId)}/versions`, { query: limit ? { limit: String(limit) } : undefined, signal }),
+    getVersion: (chatId, versionId, { signal } = {}) => request('GET', `/chats/${encodeURIComponent(chatId)}/versions/${encodeURIComponent(versionId)}`, { signal }),
+    findChats: ({ limit, signal } = {}) =>
+      request('GET', '/chats', { query: limit ? { limit: String(limit) } : undefined, signal })
+  };
+}
+
+/**
+ * Resolve the transport option of V0Client
+ * @param {string|Object} [transport='sdk'] - 'sdk', 'http' or a transport object
+ * @param {Object} [options] - Options for the built-in transports (apiKey, baseUrl, fetch, logger)
+ * @returns {Object} Transport
+ */
+function resolveTransport(transport = 'sdk', options = {}) {
+  if (transport && typeof transport === 'object') return transport;
+  if (transport === 'sdk') return createSdkTransport(options);
+  if (transport === 'http') return createHttpTransport(options);
+  throw new Error(`Unknown transport "${transport}" (expected "sdk", "http" or a transport object)`);
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  createSdkTransport,
+  createHttpTransport,
+  resolveTransport
+};
@@ -0,0 +1,621 @@
+#!/usr/bin/env node
+
+/**
+ * v0 - one command for generating, refining and downloading v0 components
+ * Subcommands share one flag parser (cli-args.js) and the project config defaults; the work itself is done
+ * by the same functions the individual scripts use
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { cancelOnInterrupt } = require('./cancellation');
+const { V0AuthError, V0ValidationError, EXIT_CODES, getExitCode } = require('./v0-errors');
+const { useJsonOutput, readCliDefaults, printResult, exitWithError } = require('./cli-result');
+const { MODELS, PRIVACY_LEVELS, CONFLICT_STYLES, parseCommandLine, formatCommandHelp } = require('./cli-args');
+const { loadProjectConfig, getCliDefaults } = require('./project-config');
+const { BACKEND_INTEGRATION_CONFIG, getBackendContract, validateApiContracts, validateEnvironmentVariables } = require('./backend-integration-config');
+const { generateSystemPrompt, renderPromptTemplate } = require('./v0-system-prompts');
+const { loadComponentTypes } = require('./prompt-packs');
+const { checkLocalState } = require('./v0-lockfile');
+const { pinVersion, unpinVersion } = require('./chat-versions');
+const { runCreate, runRefine } = require('./v0-chat-creator-enforced');
+const { runBatch, printBatchReport } = require('./batch-runner');
+const { searchHistory, findHistoryEntry, printHistory } = require('./generation-history');
+const {
+  downloadFromChatId,
+  listRecentChats,
+  listChatVersions,
+  showStatus,
+  listRecordedRuns,
+  undoLastRun
+} = require('./v0-chat-creator-sdk');
+const { getLogger, applyLogFlags } = require('./logger');
+
+const logger = getLogger();
+
+const DEFAULT_OUTPUT_DIR = './src/components';
+
+// Flags of every command that creates a generation and downloads it
+const GENERATION_FLAGS = [
+  'prompt', 'model', 'thinking', 'privacy', 'output', 'dryRun', 'plan', 'merge', 'conflictStyle',
+  'async', 'timeout', 'retries', 'retryDelay', 'retryWrites', 'json'
+];
+
+/**
+ * Check a project config without contacting v0: the config itself, the API key and the backend contract
+ * against the files recorded in the output directory's v0.lock.json
+ * @param {Object} options - Parsed options
+ * @param {string} options.outputDir - Output directory to check
+ * @param {boolean} [options.json] - Print one JSON result object
+ * @returns {Promise<void>} Resolves once the result has been reported; sets process.exitCode on problems
+ */
+async function validateProject(options) {
+  const problems = [];
+  let project = null;
+
+  try {
+    project = loadProjectConfig();
+    logger.info(project.path ? `✅ Project config: ${project.path}` : '💡 No project config found, using built-in defaults');
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    problems.push(error.message);
+  }
+
+  const defaults = project?.config.defaults || {};
+  [
+    ['model', MODELS],
+    ['privacy', PRIVACY_LEVELS],
+    ['conflictStyle', CONFLICT_STYLES]
+  ].forEach(([key, allowed]) => {
+    if (defaults[key] !== undefined && !allowed.includes(defaults[key])) {
+      const message = `defaults.${key} "${defaults[key]}" is not one of ${allowed.join(', ')}`;
+      logger.error(`❌ ${message}`);
+      problems.push(message);
+    }
+  });
+
+  if (process.env.V0_API_KEY) {
+    logger.info('✅ V0_API_KEY is set');
+  } else {
+    logger.error('❌ V0_API_KEY not found in environment variables');
+    problems.push('V0_API_KEY not found in environment variables');
+  }
+
+  let types = {};
+  try {
+    const { packs, ...loaded } = loadComponentTypes({ packs: project?.config.packs, prompts: project?.config.prompts, root: project?.root });
+    types = loaded.types;
+    if (packs.length > 1) logger.info(`✅ Prompt packs: ${packs.map(pack => pack.name).join(', ')}`);
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    problems.push(error.message);
+  }
+
+  let contract = null;
+  try {
+    contract = project ? getBackendContract(project.config) : null;
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    problems.push(error.message);
+  }
+
+  // Every prompt template must render with the contract, or generating that type would fail
+  try {
+    const promptContract = contract || BACKEND_INTEGRATION_CONFIG;
+    generateSystemPrompt('', promptContract);
+    Object.entries(types).forEach(([componentType, definition]) => {
+      ['context', 'system', 'hint'].filter(field => definition[field]).forEach(field => {
+        renderPromptTemplate(definition[field], promptContract, `the ${field} of component type "${componentType}" (${definition.pack})`);
+      });
+    });
+    logger.info(`✅ System prompts render from the ${promptContract.projectName} contract`);
+  } catch (error) {
+    const message = `System prompts: ${error.message}`;
+    logger.error(`❌ ${message}`);
+    problems.push(message);
+  }
+
+  if (project && !contract && project.config.backend === false) {
+    logger.info('⏭️  Backend integration disabled by the project config');
+  } else if (contract) {
+    const files = checkLocalState(options.outputDir)
+      .filter(file => file.local !== 'missing')
+      .map(file => path.join(options.outputDir, file.path));
+    logger.info(`🔍 Checking ${files.length} generated files in ${options.outputDir} against the backend contract`);
+
+    const endpoints = await validateApiContracts(files, contract);
+    // envTemplate off: validating must not create files
+    const missingEnvVars = await validateEnvironmentVariables(null, { ...contract, scaffold: { ...contract.scaffold, envTemplate: false } });
+
+    endpoints.forEach(({ file, endpoint }) => problems.push(`${file} uses non-standard API endpoint ${endpoint}`));
+    missingEnvVars.forEach(envVar => problems.push(`Missing environment variable ${envVar}`));
+  }
+
+  const failure = problems.length > 0
+    ? new V0ValidationError(`${problems.length} problem${problems.length === 1 ? '' : 's'} found`)
+    : null;
+  if (failure) process.exitCode = getExitCode(failure);
+
+  if (options.json) {
+    printResult({
+      command: 'validate',
+      ok: !failure,
+      exitCode: failure ? getExitCode(failure) : 0,
+      configPath: project?.path ?? null,
+      outputDir: options.outputDir,
+      problems,
+      warnings: []
+    });
+  } else if (failure) {
+    logger.error(`\n❌ ${failure.message}`);
+  } else {
+    logger.info('\n✅ Everything looks good');
+  }
+}
+
+/**
+ * Generate every item of a batch spec and report which succeeded
+ * @param {Object} options - Parsed options; options.spec is the spec file
+ * @returns {Promise<void>} Resolves once the report has been printed; sets process.exitCode to the
+ *   exit code of the first failed item
+ */
+async function runBatchCommand(options) {
+  const report = await runBatch(options.spec, options);
+  const firstFailure = report.items.find(result => result.status === 'failed');
+  const exitCode = firstFailure ? firstFailure.exitCode : report.cancelled ? 130 : 0;
+  if (exitCode) process.exitCode = exitCode;
+
+  if (options.json) {
+    printResult({ command: 'batch', ok: exitCode === 0, exitCode, ...report, warnings: [] });
+  } else {
+    printBatchReport(report);
+  }
+}
+
+/**
+ * Search the recorded generations
+ * @param {Object} options - Parsed options: query, componentType, since, until, path, limit
+ * @param {boolean} [options.json] - Print one JSON result object
+ */
+function showHistory(options) {
+  const entries = searchHistory(options);
+
+  if (options.json) {
+    printResult({ command: 'history', ok: true, exitCode: 0, entries, warnings: [] });
+  } else {
+    printHistory(entries);
+  }
+}
+
+/**
+ * Run a recorded generation again with the same prompt, component type, model and output directory
+ * Flags override the recorded values; the new run is recorded with rerunOf set to the old one
+ * @param {Object} options - Parsed options; options.id is the history entry (or a prefix of its ID)
+ * @returns {Promise<void>} Resolves once the result has been reported
+ */
+function rerunEntry(options) {
+  const entry = findHistoryEntry(options.id);
+  const runOptions = {
+    prompt: entry.prompt,
+    modelId: entry.modelId ?? undefined,
+    thinking: entry.thinking,
+    privacy: entry.privacy ?? undefined,
+    outputDir: entry.outputDir,
+    rerunOf: entry.id,
+    ...options
+  };
+
+  logger.info(`🔁 Re-running ${entry.command} ${entry.id} from ${entry.createdAt}\n`);
+
+  switch (entry.command) {
+    case 'refine':
+      return runRefine(entry.chatId, entry.prompt, runOptions);
+    case 'create':
+      return runCreate({ ...runOptions, system: entry.system ?? undefined });
+    default:
+      // generate and batch items: same component type, so the same system prompt and hints
+      return require('./smart-v0-generator').runGenerate({ ...runOptions, componentType: entry.componentType ?? undefined });
+  }
+}
+
+/**
+ * Download the files of a recorded generation again, at the version it produced
+ * @param {Object} options - Parsed options; options.id is the history entry, outputDir overrides the recorded one
+ * @returns {Promise<Array|Object>} See downloadFromChatId
+ */
+function redownloadEntry(options) {
+  const entry = findHistoryEntry(options.id);
+  if (!entry.chatId) {
+    throw new V0ValidationError(`Run ${entry.id} failed before v0 created a chat; use "v0 rerun ${entry.id}" instead`);
+  }
+
+  return downloadFromChatId(entry.chatId, options.outputDir || entry.outputDir, {
+    ...options,
+    versionId: options.versionId || entry.versionId || undefined
+  });
+}
+
+/**
+ * Print the project config the commands would use
+ * @param {Object} options - Parsed options
+ * @param {boolean} [options.json] - Print one JSON result object
+ */
+function showConfig(options) {
+  const project = loadProjectConfig();
+  const defaults = getCliDefaults();
+  const backend = getBackendContract(project.config);
+  const { types, packs } = loadComponentTypes({ packs: project.config.packs, prompts: project.config.prompts, root: project.root });
+
+  if (options.json) {
+    printResult({
+      command: 'config',
+      ok: true,
+      exitCode: 0,
+      path: project.path,
+      root: project.root,
+      defaults,
+      routes: project.config.routes || [],
+      prompts: Object.keys(project.config.prompts || {}),
+      packs: packs.map(pack => ({ name: pack.name, source: pack.source, types: Object.keys(pack.types) })),
+      componentTypes: Object.fromEntries(Object.entries(types).map(([name, definition]) => [name, {
+        pack: definition.pack,
+        model: definition.model ?? null
+      }])),
+      backend,
+      warnings: []
+    });
+    return;
+  }
+
+  logger.info(project.path ? `📄 Project config: ${project.path}` : '📄 No project config found (.v0rc, v0.config.js), using built-in defaults');
+  logger.info(`📁 Project root: ${project.root}`);
+
+  logger.info('\n⚙️  Defaults:');
+  if (Object.keys(defaults).length === 0) logger.info('   (none)');
+  Object.entries(defaults).forEach(([key, value]) => {
+    logger.info(`   ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  });
+
+  logger.info(`\n🧭 Routes: ${(project.config.routes || []).length}`);
+  (project.config.routes || []).forEach(rule => logger.info(`   ${typeof rule === 'string' ? rule : JSON.stringify(rule)}`));
+
+  logger.info('\n🧠 Prompt packs:');
+  packs.forEach(pack => {
+    logger.info(`   ${pack.name}${pack.source ? ` (${pack.source})` : ''}: ${Object.keys(pack.types).join(', ')}`);
+  });
+
+  if (!backend) {
+    logger.info('\n🔧 Backend integration: disabled');
+  } else {
+    logger.info(`\n🔧 Backend integration: ${backend.projectName} (${project.config.backend ? 'project contract' : 'built-in contract'})`);
+    logger.info(`   API routes: ${backend.requiredApiRoutes.length}, tables: ${backend.requiredTables.length}, env vars: ${backend.requiredEnvVars.length}`);
+    logger.info(`   Metrics: ${backend.metrics.length}, roles: ${backend.roles.join(', ')}`);
+  }
+}
+
+/**
+ * Subcommands: name, help text, accepted flags and positional arguments, and what they run
+ * needsApiKey commands (or those whose needsApiKey(options) returns true) fail with exit code 3 before doing
+ * anything when V0_API_KEY is missing
+ */
+const COMMANDS = [
+  {
+    name: 'generate',
+    summary: 'Generate a component with the smart, backend-aware system prompt',
+    description: [
+      'Scores the prompt against the keywords of every component type, picks the matching system prompt',
+      '(combining close runners-up into one composite component) and downloads the result.',
+      'Use --explain to see the scores without calling v0, and --type to skip detection.'
+    ].join('\n'),
+    positional: [{ name: 'prompt', key: 'prompt', required: true }],
+    flags: ['type', 'explain', 'budget', ...GENERATION_FLAGS],
+    needsApiKey: options => !options.explain,
+    // The system prompt is chosen per component type (see prompts in the project config)
+    defaults: ({ system, ...defaults }) => defaults,
+    examples: [
+      'v0 generate "Create a call center analytics dashboard"',
+      'v0 generate "Build a compliance tracking dashboard" -m v0-1.5-lg -t --dry-run',
+      'v0 generate "A form to add new users with admin roles" --explain',
+      'v0 generate "Team overview" --type userManagement'
+    ],
+    // Required lazily so the other commands work without loading the prompt library
+    run: options => require('./smart-v0-generator').runGenerate(options)
+  },
+  {
+    name: 'prompt',
+    summary: 'Show the size of the final system + user prompt of a generation, or with --show the prompts',
+    description: [
+      'Builds the prompts "v0 generate" would send, trimmed to the token budget, and reports their estimated',
+      'size section by section. Calls nothing. --show prints the exact system and user prompt.'
+    ].join('\n'),
+    positional: [{ name: 'prompt', key: 'prompt', required: true }],
+    flags: ['prompt', 'type', 'model', 'budget', 'show', 'json'],
+    defaults: ({ system, ...defaults }) => defaults,
+    examples: [
+      'v0 prompt "Create a call center analytics dashboard" --show',
+      'v0 prompt "Dashboard with charts and a results table" --budget 1200',
+      'v0 prompt "Team overview" --type userManagement --show > prompt.txt'
+    ],
+    run: options => require('./smart-v0-generator').runPrompt(options)
+  },
+  {
+    name: 'create',
+    summary: 'Create a chat from a prompt and download the files (your own system prompt)',
+    positional: [{ name: 'prompt', key: 'prompt', required: true }],
+    flags: ['system', ...GENERATION_FLAGS],
+    needsApiKey: true,
+    examples: [
+      'v0 create "Create a modern button component"',
+      'v0 create -p "Create a login form" -s "You are a security-focused developer" -o ./components'
+    ],
+    run: runCreate
+  },
+  {
+    name: 'refine',
+    summary: 'Send a follow-up message to a chat and download the changed files',
+    positional: [
+      { name: 'chat-id', key: 'chatId', required: true },
+      { name: 'prompt', key: 'prompt', required: true },
+      { name: 'output-dir', key: 'outputDir' }
+    ],
+    flags: GENERATION_FLAGS.filter(name => !['prompt', 'privacy'].includes(name)),
+    needsApiKey: true,
+    // The chat keeps its own model unless --model is passed
+    defaults: ({ modelId, ...defaults }) => defaults,
+    examples: [
+      'v0 refine abc123 "Now make the table sortable"',
+      'v0 refine abc123 "Add pagination" --merge --conflict-style sidecar'
+    ],
+    run: options => runRefine(options.chatId, options.prompt, options)
+  },
+  {
+    name: 'batch',
+    summary: 'Generate every component listed in a spec file',
+    description: [
+      'Generates the items of a .json or .yaml spec with the smart generator, a few at a time.',
+      'Each item has a prompt and optionally id, componentType, model, output, privacy and thinking;',
+      'the spec may also set concurrency and retries. Progress is saved in .v0/batches after every item,',
+      'so running the same command again skips what already succeeded and retries the rest.'
+    ].join('\n'),
+    positional: [{ name: 'spec', key: 'spec', required: true }],
+    flags: [
+      'concurrency', 'itemRetries', 'fresh', 'model', 'thinking', 'privacy', 'output',
+      'merge', 'conflictStyle', 'timeout', 'retries', 'retryDelay', 'budget', 'json'
+    ],
+    needsApiKey: true,
+    defaults: ({ system, ...defaults }) => defaults,
+    examples: [
+      'v0 batch pages.yaml',
+      'v0 batch pages.json --concurrency 3 --item-retries 2 -o ./src/components'
+    ],
+    run: runBatchCommand
+  },
+  {
+    name: 'download',
+    summary: 'Download the latest (or pinned) files of a chat',
+    positional: [
+      { name: 'chat-id', key: 'chatId', required: true },
+      { name: 'output-dir', key: 'outputDir' }
+    ],
+    flags: ['output', 'version', 'dryRun', 'plan', 'merge', 'conflictStyle', 'timeout', 'retries', 'retryDelay', 'json'],
+    needsApiKey: true,
+    examples: [
+      'v0 download abc123',
+      'v0 download abc123 ./src/ui --version v2 --dry-run'
+    ],
+    run: options => downloadFromChatId(options.chatId, options.outputDir, options)
+  },
+  {
+    name: 'list',
+    summary: 'List your recent chats',
+    flags: ['json'],
+    needsApiKey: true,
+    run: listRecentChats
+  },
+  {
+    name: 'status',
+    summary: 'Show locally edited, outdated and orphaned files from v0.lock.json',
+    positional: [{ name: 'output-dir', key: 'outputDir' }],
+    flags: ['output', 'json'],
+    needsApiKey: true,
+    run: options => showStatus(options.outputDir, options)
+  },
+  {
+    name: 'versions',
+    summary: "List a chat's versions with status and file count",
+    positional: [{ name: 'chat-id', key: 'chatId', required: true }],
+    flags: ['json'],
+    needsApiKey: true,
+    run: options => listChatVersions(options.chatId, options)
+  },
+  {
+    name: 'pin',
+    summary: 'Pin downloads of a chat to a known-good version',
+    positional: [
+      { name: 'chat-id', key: 'chatId', required: true },
+      { name: 'version-id', key: 'versionId', required: true }
+    ],
+    run: options => pinVersion(options.chatId, options.versionId)
+  },
+  {
+    name: 'unpin',
+    summary: 'Follow the latest version of a chat again',
+    positional: [{ name: 'chat-id', key: 'chatId', required: true }],
+    run: options => {
+      if (!unpinVersion(options.chatId)) logger.info(`⚠️  Chat ${options.chatId} was not pinned`);
+    }
+  },
+  {
+    name: 'runs',
+    summary: 'List recorded runs that can be undone',
+    run: () => listRecordedRuns()
+  },
+  {
+    name: 'undo',
+    summary: 'Restore every file the last (or given) run touched',
+    positional: [{ name: 'run-id', key: 'runId' }],
+    flags: ['force'],
+    run: options => undoLastRun(options.runId, options.force)
+  },
+  {
+    name: 'history',
+    summary: 'Search the generations recorded in .v0/history.jsonl',
+    description: [
+      'Lists recorded generate, create, refine and batch runs, newest first: prompt, component type, chat,',
+      'output directory and files. The query matches the prompt and the enhanced prompt.'
+    ].join('\n'),
+    positional: [{ name: 'query', key: 'query' }],
+    flags: ['type', 'since', 'until', 'path', 'limit', 'json'],
+    // Filters only: the generation defaults of the project config don't apply
+    defaults: () => ({ limit: 20 }),
+    examples: [
+      'v0 history dashboard',
+      'v0 history --type forms --since 7d',
+      'v0 history --path src/components/admin --json'
+    ],
+    run: showHistory
+  },
+  {
+    name: 'rerun',
+    summary: 'Run a recorded generation again',
+    description: 'Sends the recorded prompt again with the same component type, model and output directory. Flags override them.',
+    positional: [{ name: 'history-id', key: 'id', required: true }],
+    flags: ['model', 'thinking', 'output', 'dryRun', 'plan', 'merge', 'conflictStyle', 'async', 'timeout', 'retries', 'retryDelay', 'retryWrites', 'json'],
+    needsApiKey: true,
+    // The recorded run's own settings come first
+    defaults: ({ outputDir, modelId, privacy, thinking, system, ...defaults }) => defaults,
+    examples: [
+      'v0 rerun 3f2a9c1e',
+      'v0 rerun 3f2a -m v0-1.5-lg --dry-run'
+    ],
+    run: rerunEntry
+  },
+  {
+    name: 'redownload',
+    summary: 'Download the files of a recorded generation again',
+    description: 'Downloads the version a recorded run produced into its output directory (or the one given).',
+    positional: [
+      { name: 'history-id', key: 'id', required: true },
+      { name: 'output-dir', key: 'outputDir' }
+    ],
+    flags: ['output', 'version', 'dryRun', 'plan', 'merge', 'conflictStyle', 'timeout', 'retries', 'retryDelay', 'json'],
+    needsApiKey: true,
+    defaults: ({ outputDir, ...defaults }) => defaults,
+    examples: [
+      'v0 redownload 3f2a9c1e',
+      'v0 redownload 3f2a ./src/restored --dry-run'
+    ],
+    run: redownloadEntry
+  },
+  {
+    name: 'validate',
+    summary: 'Check the project config, API key and backend contract of generated files',
+    description: 'Checks the project config, that V0_API_KEY is set, that every system prompt renders from the backend contract, and the files recorded in v0.lock.json against the backend contract. Exits with code 2 on any problem.',
+    positional: [{ name: 'output-dir', key: 'outputDir' }],
+    flags: ['output', 'json'],
+    run: validateProject
+  },
+  {
+    name: 'config',
+    summary: 'Show the project config and the defaults it sets',
+    flags: ['json'],
+    run: showConfig
+  }
+];
+
+/**
+ * Display the list of commands
+ */
+function showHelp() {
+  const width = Math.max(...COMMANDS.map(command => command.name.length)) + 2;
+  console.log(`
+🚀 v0 - generate, refine and download v0 components
+
+Usage:
+  v0 <command> [arguments] [options]
+  node v0.js <command> ...  (or npm run v0 -- <command> ...)
+
+Commands:
+${COMMANDS.map(command => `  ${command.name.padEnd(width)}${command.summary}`).join('\n')}
+
+Run "v0 <command> --help" for the arguments and options of a command.
+Defaults come from the project config (.v0rc / v0.config.js, see "v0 config"); flags override them.
+`);
+}
+
+/**
+ * Run the command line
+ * @param {Array<string>} argv - Arguments after "v0"
+ */
+function main(argv) {
+  const [name, ...args] = argv;
+
+  if (!name || name === '--help' || name === '-h' || (name === 'help' && !args[0])) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const command = COMMANDS.find(entry => entry.name === (name === 'help' ? args[0] : name));
+  if (!command) {
+    logger.error(`❌ Unknown command "${name === 'help' ? args[0] : name}"`);
+    logger.info('Run "v0 --help" for the list of commands');
+    process.exit(EXIT_CODES.V0ValidationError);
+  }
+
+  if (name === 'help') {
+    console.log(formatCommandHelp(command));
+    process.exit(0);
+  }
+
+  const json = args.includes('--json') && (command.flags || []).includes('json');
+  // With --json, stdout carries only the result object
+  if (json) useJsonOutput();
+
+  let options;
+  try {
+    const defaults = { outputDir: DEFAULT_OUTPUT_DIR, ...readCliDefaults() };
+    options = parseCommandLine(command, args, command.defaults ? command.defaults(defaults) : defaults);
+  } catch (error) {
+    logger.error(`❌ ${error.message}`);
+    logger.info(`Run "v0 ${command.name} --help" for usage`);
+    exitWithError(command.name, error, { json });
+  }
+
+  if (options.help) {
+    console.log(formatCommandHelp(command));
+    process.exit(0);
+  }
+
+  const needsApiKey = typeof command.needsApiKey === 'function' ? command.needsApiKey(options) : command.needsApiKey;
+  if (needsApiKey && !process.env.V0_API_KEY) {
+    logger.error('❌ V0_API_KEY not found in environment variables');
+    logger.info('Make sure your .env file contains: V0_API_KEY=your_api_key_here');
+    logger.info('Get your API key from: https://v0.app/chat/settings/keys');
+    exitWithError(command.name, new V0AuthError('V0_API_KEY not found in environment variables'), { json });
+  }
+
+  // A --plan goes into the result object instead of being printed on its own
+  if (options.json && options.plan) {
+    options.dryRun = true;
+    options.plan = false;
+  }
+
+  // Ctrl-C cancels the in-flight request; nothing is written after that
+  options.signal = cancelOnInterrupt();
+
+  Promise.resolve()
+    .then(() => command.run(options))
+    .then(() => process.exit())
+    .catch(error => {
+      logger.error(`❌ ${error.message}`);
+      exitWithError(command.name, error, { json });
+    });
+}
+
+module.exports = { COMMANDS, main };
+
+// Run script if executed directly
+if (require.main === module) {
+  applyLogFlags();
+  main(process.argv.slice(2));
+}